@@ -0,0 +1,78 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { STATUSES, TRANSITIONS, canTransition, transitionChore } = require('../utils/choreLifecycle');
+
+describe('choreLifecycle', () => {
+  describe('TRANSITIONS', () => {
+    it('lists moves for every status, and only to known statuses', () => {
+      expect(Object.keys(TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+      Object.values(TRANSITIONS).forEach(targets => {
+        targets.forEach(target => expect(STATUSES).toContain(target));
+      });
+    });
+
+    it('only lets a completed chore go back for approval', () => {
+      expect(TRANSITIONS.completed).toEqual(['pending_approval']);
+    });
+
+    it('treats cancelled as final', () => {
+      expect(TRANSITIONS.cancelled).toEqual([]);
+      STATUSES.filter(status => status !== 'cancelled').forEach(status => {
+        expect(canTransition('cancelled', status)).toBe(false);
+      });
+    });
+  });
+
+  describe('canTransition', () => {
+    it('allows listed moves and staying put', () => {
+      expect(canTransition('pending_approval', 'completed')).toBe(true);
+      expect(canTransition('in_progress', 'in_progress')).toBe(true);
+      expect(canTransition('available', 'completed')).toBe(false);
+      expect(canTransition('unknown', 'available')).toBe(false);
+    });
+  });
+
+  describe('transitionChore', () => {
+    const chore = { id: 4, family_id: 1, status: 'pending_approval' };
+    let connection;
+
+    beforeEach(() => {
+      connection = { execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+    });
+
+    it('updates the chore, bumps its version and records history', async () => {
+      const transition = await transitionChore(connection, chore, 'completed', {
+        actorId: 2,
+        reason: 'Approved',
+        changes: { approved_by: 2 }
+      });
+
+      const [update, updateParams] = connection.execute.mock.calls[0];
+      expect(update).toContain('SET status = ?, approved_by = ?, version = version + 1, updated_at = NOW()');
+      expect(update).toContain('WHERE id = ? AND status = ?');
+      expect(updateParams).toEqual(['completed', 2, 4, 'pending_approval']);
+
+      const [history, historyParams] = connection.execute.mock.calls[1];
+      expect(history).toContain('INSERT INTO chore_status_history');
+      expect(historyParams).toEqual([4, 1, 'pending_approval', 'completed', 2, 'Approved', null]);
+
+      expect(transition).toEqual(expect.objectContaining({ choreId: 4, from: 'pending_approval', to: 'completed' }));
+    });
+
+    it('refuses an illegal move without touching the database', async () => {
+      await expect(transitionChore(connection, { ...chore, status: 'available' }, 'completed'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(transitionChore(connection, chore, 'lost'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(connection.execute).not.toHaveBeenCalled();
+    });
+
+    it('fails with a conflict when someone else moved the chore first', async () => {
+      connection.execute.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      await expect(transitionChore(connection, chore, 'completed'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This chore was changed by someone else; reload it and try again' });
+      expect(connection.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+});
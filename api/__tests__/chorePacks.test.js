@@ -0,0 +1,27 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { parseCsv } = require('../utils/chorePacks');
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('title,reward\nDishes,2\nBins,1')).toEqual([
+      ['title', 'reward'],
+      ['Dishes', '2'],
+      ['Bins', '1']
+    ]);
+  });
+
+  it('handles quoted fields with commas, doubled quotes and newlines', () => {
+    expect(parseCsv('title,notes\r\n"Wash, dry","Use the ""good"" towel\nnot the old one"\r\n')).toEqual([
+      ['title', 'notes'],
+      ['Wash, dry', 'Use the "good" towel\nnot the old one']
+    ]);
+  });
+
+  it('keeps empty fields and skips blank lines', () => {
+    expect(parseCsv('a,,c\n\n , \nd,e,\n')).toEqual([
+      ['a', '', 'c'],
+      ['d', 'e', '']
+    ]);
+  });
+});
@@ -0,0 +1,221 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: 2, family_id: 1, role: 'parent', name: 'Parent' };
+    next();
+  },
+  checkChoreAccess: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { errorHandler } = require('../middleware/errorHandler');
+const choreRoutes = require('../routes/chores');
+const { completeSwap } = require('../utils/choreSwaps');
+
+const app = express();
+app.use(express.json());
+app.use('/api/chores', choreRoutes);
+app.use(errorHandler);
+
+// A chore as it stands in the database, and as it reads after the write
+let chore;
+let connection;
+
+beforeEach(() => {
+  chore = {
+    id: 4,
+    family_id: 1,
+    title: 'Dishes',
+    status: 'pending_approval',
+    assigned_to: 3,
+    assignee_name: 'Sam',
+    current_reward: '2.00',
+    reward_type: 'money',
+    created_by: 2,
+    is_shared: 0,
+    version: 3
+  };
+
+  // Answers the statements the chore actions run inside the transaction,
+  // bumping the chore's version the way the database would
+  connection = {
+    execute: jest.fn(async (sql) => {
+      if (sql.includes('FOR UPDATE')) return [[{ ...chore }]];
+      if (sql.startsWith('UPDATE chores') && sql.includes('version = version + 1')) chore.version++;
+      if (sql.includes('MAX(revision_round)')) return [[{ latest: 1 }]];
+      if (sql.includes('FROM chore_submissions')) return [[{ id: 11, user_id: 3 }]];
+      if (sql.trim().startsWith('SELECT')) return [[]];
+      return [{ affectedRows: 1, insertId: 1 }];
+    })
+  };
+
+  db.transaction.mockReset().mockImplementation(async (callback) => await callback(connection));
+  db.query.mockReset().mockImplementation(async (sql) => {
+    if (sql.includes('FROM chores WHERE id = ?')) return [{ ...chore }];
+    return [];
+  });
+});
+
+describe('chore routes', () => {
+  describe('PATCH /api/chores/:id', () => {
+    it('refuses to change the status directly', async () => {
+      const res = await request(app).patch('/api/chores/4').send({ title: 'Dishes', status: 'completed' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/^Status cannot be edited/);
+    });
+
+    it('holds the reward to the same rules as a new chore', async () => {
+      for (const reward_amount of [-1, 'lots', null]) {
+        const res = await request(app).patch('/api/chores/4').send({ reward_amount });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual(['Reward amount must be a number of at least 0']);
+      }
+
+      const res = await request(app).patch('/api/chores/4').send({ reward_type: 'sweets' });
+      expect(res.body.errors).toEqual(['Reward type must be one of: money, screen_time']);
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/chores/:id/cancel', () => {
+    it('refuses a stale If-Match with the current chore', async () => {
+      const res = await request(app).post('/api/chores/4/cancel').set('If-Match', '"2"').send({});
+
+      expect(res.status).toBe(412);
+      expect(res.headers.etag).toBe('"3"');
+      expect(res.body.data.chore).toEqual(expect.objectContaining({ id: 4, version: 3 }));
+      expect(connection.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('cancels when If-Match is current', async () => {
+      chore.assigned_to = null;
+
+      const res = await request(app).post('/api/chores/4/cancel').set('If-Match', '"3"').send({ reason: 'Rained off' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBe('"4"');
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE chores SET status = ?'),
+        expect.arrayContaining(['cancelled', 'Rained off'])
+      );
+    });
+
+    it('rejects a chore that is already completed', async () => {
+      chore.status = 'completed';
+
+      const res = await request(app).post('/api/chores/4/cancel').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('A completed chore cannot be cancelled');
+    });
+  });
+
+  describe('POST /api/chores/:id/reject', () => {
+    it('refuses a stale If-Match', async () => {
+      const res = await request(app).post('/api/chores/4/reject').set('If-Match', '"1", "2"').send({});
+
+      expect(res.status).toBe(412);
+      expect(res.body.data.chore.version).toBe(3);
+    });
+
+    it('sends the chore back when If-Match is current', async () => {
+      const res = await request(app).post('/api/chores/4/reject').set('If-Match', 'W/"3"').send({ feedback: 'Missed a pan' });
+
+      expect(res.status).toBe(200);
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE chores SET status = ?'),
+        expect.arrayContaining(['in_progress'])
+      );
+    });
+  });
+
+  describe('DELETE /api/chores/:id', () => {
+    it('refuses a stale If-Match', async () => {
+      const res = await request(app).delete('/api/chores/4').set('If-Match', '"7"');
+
+      expect(res.status).toBe(412);
+      expect(res.body.data.chore.id).toBe(4);
+    });
+
+    it('moves the chore to the trash when If-Match is current', async () => {
+      const res = await request(app).delete('/api/chores/4').set('If-Match', '"3"');
+
+      expect(res.status).toBe(200);
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE chores SET deleted_at = NOW()'),
+        [2, 4]
+      );
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO chore_status_history'),
+        [4, 1, 'pending_approval', 'pending_approval', 2, 'Moved to the trash', '{"trash":"deleted"}']
+      );
+    });
+  });
+
+  describe('POST /api/chores/:id/restore', () => {
+    it('refuses a stale If-Match', async () => {
+      const res = await request(app).post('/api/chores/4/restore').set('If-Match', '"2"');
+
+      expect(res.status).toBe(412);
+      expect(connection.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('restores the chore and records it in the history', async () => {
+      const res = await request(app).post('/api/chores/4/restore').set('If-Match', '"3"');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBe('"4"');
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO chore_status_history'),
+        [4, 1, 'pending_approval', 'pending_approval', 2, 'Restored from the trash', '{"trash":"restored"}']
+      );
+    });
+  });
+
+  describe('POST /api/chores/:id/approve', () => {
+    it('rejects credit that is not a number', async () => {
+      const res = await request(app).post('/api/chores/4/approve').send({ credit_amount: 'lots', partial_reason: 'Half done' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('credit_amount must be a non-negative number');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('rejects credit worth more than the reward', async () => {
+      const res = await request(app).post('/api/chores/4/approve').send({ credit_amount: 5, partial_reason: 'Half done' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('credit_amount cannot be more than the reward of 2');
+    });
+
+    it('refuses a stale If-Match before approving', async () => {
+      const res = await request(app).post('/api/chores/4/approve').set('If-Match', '"2"').send({});
+
+      expect(res.status).toBe(412);
+      expect(connection.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('trading a chore', () => {
+    it('changes its version, so an ETag from before the hand-off is stale', async () => {
+      chore.status = 'in_progress';
+      const etag = `"${chore.version}"`;
+
+      await completeSwap(connection, { id: 8, family_id: 1, chore_id: 4, from_user_id: 3, to_user_id: 5, reward_percent: 25 }, 5);
+
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('SET handoff_user_id = ?, handoff_percent = ?, version = version + 1'),
+        [3, 25, 4]
+      );
+
+      const res = await request(app).post('/api/chores/4/cancel').set('If-Match', etag).send({});
+
+      expect(res.status).toBe(412);
+      expect(res.body.data.chore.version).toBe(chore.version);
+    });
+  });
+});
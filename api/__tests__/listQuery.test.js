@@ -0,0 +1,108 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const db = require('../config/database');
+const { CHORE_LIST_CONFIG, buildListQuery, runListQuery } = require('../utils/listQuery');
+
+describe('listQuery', () => {
+  describe('buildListQuery', () => {
+    it('uses the default sort and page size', () => {
+      expect(buildListQuery({}, CHORE_LIST_CONFIG)).toEqual({
+        where: [],
+        params: [],
+        orderBy: 'c.created_at DESC, c.id DESC',
+        limit: 100,
+        sortKey: '-created_at'
+      });
+    });
+
+    it('filters on several values of a field', () => {
+      const { where, params } = buildListQuery({ status: 'available,in_progress' }, CHORE_LIST_CONFIG);
+
+      expect(where).toEqual(['(c.status IN (?, ?))']);
+      expect(params).toEqual(['available', 'in_progress']);
+    });
+
+    it('rejects values outside a filter\'s allowed list', () => {
+      expect(() => buildListQuery({ status: 'available,lost' }, CHORE_LIST_CONFIG))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid status filter: lost' }));
+    });
+
+    it('resolves assignee=me and assignee=none', () => {
+      const { where, params } = buildListQuery({ assignee: 'me,none' }, CHORE_LIST_CONFIG, { userId: 7 });
+
+      expect(where).toEqual(['(c.assigned_to IN (?) OR c.assigned_to IS NULL)']);
+      expect(params).toEqual([7]);
+    });
+
+    it('escapes LIKE wildcards in the search term', () => {
+      const { where, params } = buildListQuery({ q: '50%_off' }, CHORE_LIST_CONFIG);
+
+      expect(where).toEqual(['(c.title LIKE ? OR c.description LIKE ?)']);
+      expect(params).toEqual(['%50\\%\\_off%', '%50\\%\\_off%']);
+    });
+
+    it('sorts ascending or descending on a known key', () => {
+      expect(buildListQuery({ sort: 'title' }, CHORE_LIST_CONFIG).orderBy).toBe('c.title ASC, c.id ASC');
+      expect(() => buildListQuery({ sort: 'colour' }, CHORE_LIST_CONFIG)).toThrow(/Invalid sort/);
+    });
+
+    it('caps the page size and rejects non-positive ones', () => {
+      expect(buildListQuery({ limit: '500' }, CHORE_LIST_CONFIG).limit).toBe(200);
+      expect(() => buildListQuery({ limit: '0' }, CHORE_LIST_CONFIG)).toThrow('Limit must be a positive number');
+    });
+
+    it('rejects bad dates and cursors', () => {
+      expect(() => buildListQuery({ due_from: 'tomorrow-ish' }, CHORE_LIST_CONFIG)).toThrow('Invalid due_from date');
+      expect(() => buildListQuery({ cursor: 'garbage' }, CHORE_LIST_CONFIG)).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('runListQuery', () => {
+    const options = (query) => ({
+      select: 'c.id, c.title',
+      from: 'chores c',
+      where: ['c.family_id = ?'],
+      params: [1],
+      query,
+      config: CHORE_LIST_CONFIG,
+      context: { userId: 7 }
+    });
+
+    beforeEach(() => db.query.mockReset());
+
+    it('returns a cursor that continues after the last row', async () => {
+      db.query.mockResolvedValueOnce([
+        { id: 9, title: 'Dishes', _sort_value: new Date('2026-07-02T00:00:00Z') },
+        { id: 8, title: 'Bins', _sort_value: new Date('2026-07-01T00:00:00Z') },
+        { id: 5, title: 'Beds', _sort_value: new Date('2026-06-30T00:00:00Z') }
+      ]);
+
+      const first = await runListQuery(options({ limit: '2' }));
+
+      expect(db.query.mock.calls[0][0]).toContain('LIMIT 3');
+      expect(first.items).toEqual([{ id: 9, title: 'Dishes' }, { id: 8, title: 'Bins' }]);
+      expect(first.pagination).toEqual(expect.objectContaining({ limit: 2, sort: '-created_at' }));
+      expect(first.pagination.next_cursor).toEqual(expect.any(String));
+
+      db.query.mockResolvedValueOnce([{ id: 5, title: 'Beds', _sort_value: new Date('2026-06-30T00:00:00Z') }]);
+
+      const second = await runListQuery(options({ limit: '2', cursor: first.pagination.next_cursor }));
+      const [sql, params] = db.query.mock.calls[1];
+
+      expect(sql).toContain('(c.created_at < ? OR (c.created_at = ? AND c.id < ?))');
+      expect(params).toEqual([1, new Date('2026-07-01T00:00:00Z'), new Date('2026-07-01T00:00:00Z'), 8]);
+      expect(second.pagination.next_cursor).toBeNull();
+    });
+
+    it('rejects a cursor from a different sort', async () => {
+      db.query.mockResolvedValueOnce([
+        { id: 2, title: 'A', _sort_value: 'A' },
+        { id: 3, title: 'B', _sort_value: 'B' }
+      ]);
+      const { pagination } = await runListQuery(options({ sort: 'title', limit: '1' }));
+
+      await expect(runListQuery(options({ cursor: pagination.next_cursor })))
+        .rejects.toThrow('Cursor does not match the requested sort');
+    });
+  });
+});
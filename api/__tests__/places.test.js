@@ -0,0 +1,72 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { validatePlace, parseCoordinates, distanceMeters, verifyLocation } = require('../utils/places');
+
+describe('places', () => {
+  describe('validatePlace', () => {
+    it('accepts a complete place', () => {
+      expect(validatePlace({ name: 'Home', latitude: 51.5, longitude: -0.12, radius_meters: 100 })).toEqual([]);
+    });
+
+    it('requires every field unless the update is partial', () => {
+      expect(validatePlace({})).toHaveLength(4);
+      expect(validatePlace({}, true)).toEqual([]);
+      expect(validatePlace({ latitude: 91, radius_meters: 5 }, true)).toEqual([
+        'Latitude must be between -90 and 90',
+        'Radius must be a whole number of meters from 10 to 50000'
+      ]);
+    });
+  });
+
+  describe('parseCoordinates', () => {
+    it('returns null when no location was sent', () => {
+      expect(parseCoordinates({})).toEqual({ coordinates: null, error: null });
+    });
+
+    it('reads numeric strings', () => {
+      expect(parseCoordinates({ latitude: '51.5', longitude: '-0.12', accuracy: '20' })).toEqual({
+        coordinates: { latitude: 51.5, longitude: -0.12, accuracy: 20 },
+        error: null
+      });
+    });
+
+    it('rejects out-of-range values', () => {
+      expect(parseCoordinates({ latitude: 51.5 }).error).toBe('Location needs a valid latitude and longitude');
+      expect(parseCoordinates({ latitude: 1, longitude: 1, accuracy: -3 }).error)
+        .toBe('Location accuracy must be a non-negative number of meters');
+    });
+  });
+
+  describe('distanceMeters', () => {
+    it('measures great-circle distance', () => {
+      const point = { latitude: 51.5, longitude: -0.12 };
+
+      expect(distanceMeters(point, point)).toBe(0);
+      expect(distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195, 0);
+      expect(distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(111195, 0);
+    });
+  });
+
+  describe('verifyLocation', () => {
+    const place = { id: 3, name: 'Home', latitude: '0.000000', longitude: '0.000000', radius_meters: 100 };
+
+    it('drops coordinates for chores without a place', () => {
+      expect(verifyLocation(null, { latitude: 0, longitude: 0, accuracy: null })).toBeNull();
+    });
+
+    it('records a missing location as not within', () => {
+      expect(verifyLocation(place, null)).toEqual({
+        place_id: 3, place_name: 'Home', radius_meters: 100, provided: false, within: false
+      });
+    });
+
+    it('counts GPS accuracy in the submitter\'s favour, up to a cap', () => {
+      // 0.001 degrees of latitude is about 111 meters
+      const near = { latitude: 0.001, longitude: 0, accuracy: null };
+
+      expect(verifyLocation(place, near)).toEqual(expect.objectContaining({ distance_meters: 111, within: false }));
+      expect(verifyLocation(place, { ...near, accuracy: 20 }).within).toBe(true);
+      expect(verifyLocation(place, { latitude: 0.002, longitude: 0, accuracy: 5000 }).within).toBe(false);
+    });
+  });
+});
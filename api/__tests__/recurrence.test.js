@@ -0,0 +1,189 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const {
+  parseRRule,
+  parseDaysOfWeek,
+  parseDueTimes,
+  slotOf,
+  validateSchedule,
+  nextOccurrence,
+  isPastEnd,
+  upcomingOccurrences
+} = require('../utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('recurrence', () => {
+  describe('parseRRule', () => {
+    it('parses a rule with an RRULE: prefix', () => {
+      const { rule, error } = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+      expect(error).toBeNull();
+      expect(rule).not.toBeNull();
+    });
+
+    it('rejects missing, malformed and unsupported rules', () => {
+      expect(parseRRule('').error).toBe('A recurrence rule is required');
+      expect(parseRRule('FREQ=WEEKLY;BYDAY').error).toMatch(/Malformed rule part/);
+      expect(parseRRule('FREQ=HOURLY').error).toBeTruthy();
+      expect(parseRRule('FREQ=DAILY;BYHOUR=9').error).toBeTruthy();
+    });
+  });
+
+  describe('parseDaysOfWeek', () => {
+    it('reads names in any case and returns them in week order', () => {
+      expect(parseDaysOfWeek('Friday, monday')).toEqual(['monday', 'friday']);
+      expect(parseDaysOfWeek(['wednesday'])).toEqual(['wednesday']);
+      expect(parseDaysOfWeek(null)).toEqual([]);
+    });
+
+    it('returns null for anything that is not a day name', () => {
+      expect(parseDaysOfWeek('monday,funday')).toBeNull();
+    });
+  });
+
+  describe('parseDueTimes', () => {
+    it('sorts and de-duplicates times from a list or JSON', () => {
+      expect(parseDueTimes(['18:00', '07:00', '18:00'])).toEqual(['07:00', '18:00']);
+      expect(parseDueTimes('["12:30"]')).toEqual(['12:30']);
+      expect(parseDueTimes('')).toEqual([]);
+    });
+
+    it('returns null for invalid times', () => {
+      expect(parseDueTimes(['24:00'])).toBeNull();
+      expect(parseDueTimes(['7:00'])).toBeNull();
+    });
+  });
+
+  describe('slotOf', () => {
+    it('gives the local time of a due date', () => {
+      expect(slotOf('2026-07-01T11:00:00Z', 'America/New_York')).toBe('07:00');
+      expect(slotOf('2026-07-01T11:00:00Z')).toBe('11:00');
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    it('keeps the local due time across a DST change', () => {
+      const schedule = {
+        frequency: 'daily',
+        due_times: ['07:00'],
+        start_date: '2026-03-06',
+        timezone: 'America/New_York'
+      };
+
+      expect(iso(upcomingOccurrences(schedule, new Date('2026-03-07T00:00:00Z'), 3))).toEqual([
+        '2026-03-07T12:00:00.000Z',
+        '2026-03-08T11:00:00.000Z',
+        '2026-03-09T11:00:00.000Z'
+      ]);
+    });
+
+    it('falls back to the last day of shorter months for day 31', () => {
+      const schedule = { frequency: 'monthly', day_of_month: 31, start_date: '2026-01-01' };
+
+      expect(iso(upcomingOccurrences(schedule, new Date('2026-01-01T00:00:00Z'), 4))).toEqual([
+        '2026-01-31T09:00:00.000Z',
+        '2026-02-28T09:00:00.000Z',
+        '2026-03-31T09:00:00.000Z',
+        '2026-04-30T09:00:00.000Z'
+      ]);
+    });
+
+    it('picks the last weekday of the month with BYSETPOS', () => {
+      const schedule = {
+        frequency: 'custom',
+        custom_schedule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+        start_date: '2026-01-01'
+      };
+
+      expect(iso(upcomingOccurrences(schedule, new Date('2026-01-01T00:00:00Z'), 3))).toEqual([
+        '2026-01-30T09:00:00.000Z',
+        '2026-02-27T09:00:00.000Z',
+        '2026-03-31T09:00:00.000Z'
+      ]);
+    });
+
+    it('handles ordinal weekdays such as the first Saturday', () => {
+      const schedule = { frequency: 'custom', custom_schedule: 'FREQ=MONTHLY;BYDAY=1SA', start_date: '2026-01-01' };
+
+      expect(iso(upcomingOccurrences(schedule, new Date('2026-01-01T00:00:00Z'), 3))).toEqual([
+        '2026-01-03T09:00:00.000Z',
+        '2026-02-07T09:00:00.000Z',
+        '2026-03-07T09:00:00.000Z'
+      ]);
+    });
+
+    it('counts INTERVAL from the start date', () => {
+      const schedule = { frequency: 'custom', custom_schedule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', start_date: '2026-01-05' };
+
+      expect(iso(upcomingOccurrences(schedule, new Date('2026-01-05T00:00:00Z'), 3))).toEqual([
+        '2026-01-06T09:00:00.000Z',
+        '2026-01-20T09:00:00.000Z',
+        '2026-02-03T09:00:00.000Z'
+      ]);
+    });
+
+    it('stops after COUNT occurrences', () => {
+      const schedule = { frequency: 'custom', custom_schedule: 'FREQ=DAILY;COUNT=2', start_date: '2026-01-01' };
+
+      expect(upcomingOccurrences(schedule, new Date('2026-01-01T00:00:00Z'), 5)).toHaveLength(2);
+    });
+
+    it('gives each due time its own slot on the chosen weekdays', () => {
+      const schedule = {
+        frequency: 'weekly',
+        day_of_week: 'monday,wednesday',
+        due_times: ['18:00', '07:00'],
+        start_date: '2026-01-05'
+      };
+
+      expect(iso(upcomingOccurrences(schedule, new Date('2026-01-05T08:00:00Z'), 4))).toEqual([
+        '2026-01-05T18:00:00.000Z',
+        '2026-01-07T07:00:00.000Z',
+        '2026-01-07T18:00:00.000Z',
+        '2026-01-12T07:00:00.000Z'
+      ]);
+    });
+
+    it('returns null after the end date', () => {
+      const schedule = { frequency: 'daily', start_date: '2026-01-01', end_date: '2026-01-02' };
+
+      expect(nextOccurrence(schedule, new Date('2026-01-02T10:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    it('accepts a valid schedule', () => {
+      expect(validateSchedule({ frequency: 'daily', start_date: '2026-01-01' })).toEqual([]);
+    });
+
+    it('rejects a schedule that never comes due', () => {
+      const errors = validateSchedule({
+        frequency: 'custom',
+        custom_schedule: 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30',
+        start_date: '2026-01-01'
+      });
+
+      expect(errors).toContain('This schedule never comes due');
+    });
+
+    it('reports invalid fields', () => {
+      const errors = validateSchedule({ frequency: 'hourly', start_date: 'soon', due_times: ['25:00'] });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^Frequency must be one of/),
+        'start_date must be a date (YYYY-MM-DD)',
+        'due_times must be a list of times in HH:MM format'
+      ]));
+    });
+  });
+
+  describe('isPastEnd', () => {
+    it('compares against the local day', () => {
+      const schedule = { end_date: '2026-03-10', timezone: 'America/New_York' };
+
+      expect(isPastEnd(schedule, '2026-03-11T02:00:00Z')).toBe(false);
+      expect(isPastEnd(schedule, '2026-03-11T05:00:00Z')).toBe(true);
+      expect(isPastEnd({}, '2030-01-01T00:00:00Z')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../utils/backup', () => ({}));
+jest.mock('../utils/notifications');
+
+const db = require('../config/database');
+const { generateSlot } = require('../utils/recurringGeneration');
+const { processExpiredAssignments } = require('../utils/scheduler');
+
+// Statements run inside a transaction, answered by what they start with
+const fakeConnection = (answers = {}) => ({
+  execute: jest.fn(async (sql) => {
+    const match = Object.keys(answers).find(prefix => sql.includes(prefix));
+    if (match) return answers[match];
+    if (sql.trim().startsWith('SELECT')) return [[]];
+    return [{ affectedRows: 1, insertId: 40 }];
+  })
+});
+
+describe('rotation of generated chores', () => {
+  const recurringChore = {
+    id: 6,
+    family_id: 1,
+    title: 'Bins',
+    reward_type: 'money',
+    reward_amount: '1.00',
+    auto_assign: 1,
+    rotation_type: 'round_robin',
+    rotation_members: [3, 5],
+    next_due_date: new Date('2026-07-01T09:00:00Z'),
+    frequency: 'daily',
+    start_date: '2026-07-01',
+    timezone: 'UTC',
+    created_by: 2
+  };
+
+  it('hands an expired assignment on to the next member of the rotation', async () => {
+    // Generate the chore; nobody has had it yet, so the first member gets it
+    const generation = fakeConnection();
+    db.query.mockReset().mockResolvedValue([]);
+    db.transaction.mockReset().mockImplementation(async (callback) => await callback(generation));
+
+    await expect(generateSlot({ ...recurringChore })).resolves.toBe(40);
+
+    const [, choreParams] = generation.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO chores'));
+    const metadata = choreParams[choreParams.length - 1];
+    expect(JSON.parse(metadata)).toEqual(expect.objectContaining({ recurring_id: 6, rotation_members: [3, 5] }));
+
+    const [, assignmentParams] = generation.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO chore_assignments'));
+    const [, userId, , , deadline] = assignmentParams;
+    expect(userId).toBe(3);
+    expect(deadline).toBeInstanceOf(Date);
+
+    // Once the deadline passes, the scheduler reassigns it to the next member
+    const expiry = fakeConnection();
+    db.transaction.mockReset().mockImplementation(async (callback) => await callback(expiry));
+    db.query.mockReset().mockImplementation(async (sql) => {
+      if (sql.includes('FROM chore_assignments ca')) {
+        return [{
+          assignment_id: 1,
+          user_id: 3,
+          assigned_by: 2,
+          id: 40,
+          family_id: 1,
+          status: 'assigned',
+          assigned_to: 3,
+          is_shared: 0,
+          acceptance_timer: 5,
+          metadata
+        }];
+      }
+      if (sql.includes('SELECT settings FROM families')) {
+        return [{ settings: JSON.stringify({ acceptance_expiry_policy: 'reassign' }) }];
+      }
+      if (sql.includes('FROM users')) return [{ id: 5 }];
+      return [];
+    });
+
+    await expect(processExpiredAssignments()).resolves.toEqual({ processed: 1 });
+
+    expect(expiry.execute).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO chore_assignments'),
+      [40, 5, 2, 'pending', expect.any(Date), 'Reassigned after acceptance deadline expired']
+    );
+    expect(expiry.execute).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE chores SET status = ?, assigned_to = ?'),
+      ['pending_acceptance', 5, 40, 'assigned']
+    );
+  });
+
+  describe('generated chore', () => {
+    const generate = async (prerequisiteStatus) => {
+      const connection = fakeConnection(prerequisiteStatus
+        ? { 'FROM chore_dependencies cd': [[{ chore_id: 39, status: prerequisiteStatus, deleted_at: null }]] }
+        : {});
+      db.query.mockReset().mockResolvedValue([]);
+      db.transaction.mockReset().mockImplementation(async (callback) => await callback(connection));
+
+      await generateSlot({ ...recurringChore });
+
+      const [, choreParams] = connection.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO chores'));
+      return { connection, choreParams };
+    };
+
+    it('is inserted already assigned, with no status patched in afterwards', async () => {
+      const { connection, choreParams } = await generate(null);
+
+      expect(choreParams).toEqual(expect.arrayContaining(['assigned', 3]));
+      expect(connection.execute).not.toHaveBeenCalledWith(expect.stringMatching(/^UPDATE chores/), expect.anything());
+      expect(connection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO chore_status_history'),
+        [40, 1, null, 'assigned', null, 'Generated from a recurring chore', expect.any(String)]
+      );
+    });
+
+    it('stays available while a prerequisite is open', async () => {
+      const { connection, choreParams } = await generate('in_progress');
+
+      expect(choreParams).toContain('available');
+      expect(choreParams).not.toContain(3);
+      expect(connection.execute).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO chore_dependencies'), [40, 39]);
+      expect(connection.execute).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO chore_assignments'), expect.anything());
+    });
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: 2, family_id: 1, role: 'parent', name: 'Parent' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { errorHandler } = require('../middleware/errorHandler');
+const recurringRoutes = require('../routes/recurring');
+
+const app = express();
+app.use(express.json());
+app.use('/api/recurring', recurringRoutes);
+app.use(errorHandler);
+
+const recurringChore = { id: 6, family_id: 1, title: 'Bins', frequency: 'weekly', version: 5 };
+
+describe('recurring chore routes', () => {
+  describe('DELETE /api/recurring/:id', () => {
+    beforeEach(() => {
+      db.query.mockReset().mockImplementation(async (sql) => {
+        if (sql.startsWith('DELETE')) return { affectedRows: 1 };
+        return [recurringChore];
+      });
+    });
+
+    it('refuses a stale If-Match with the current recurring chore', async () => {
+      const res = await request(app).delete('/api/recurring/6').set('If-Match', '"4"');
+
+      expect(res.status).toBe(412);
+      expect(res.headers.etag).toBe('"5"');
+      expect(res.body.data.recurringChore.id).toBe(6);
+      expect(db.query).not.toHaveBeenCalledWith(expect.stringMatching(/^DELETE/), expect.anything());
+    });
+
+    it('deletes only the version that was read', async () => {
+      const res = await request(app).delete('/api/recurring/6').set('If-Match', '"5"');
+
+      expect(res.status).toBe(200);
+      expect(db.query).toHaveBeenCalledWith('DELETE FROM recurring_chores WHERE id = ? AND version = ?', ['6', 5]);
+    });
+
+    it('answers 412 when someone else changed it in the meantime', async () => {
+      db.query.mockImplementation(async (sql) => (sql.startsWith('DELETE') ? { affectedRows: 0 } : [recurringChore]));
+
+      const res = await request(app).delete('/api/recurring/6');
+
+      expect(res.status).toBe(412);
+    });
+
+    it('returns 404 for another family\'s recurring chore', async () => {
+      db.query.mockResolvedValue([]);
+
+      const res = await request(app).delete('/api/recurring/6');
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Recurring chore not found');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const {
+  parseRewardPolicy,
+  validateRewardPolicy,
+  computeReward,
+  withLiveReward,
+  getRatingBonus,
+  applyRevisionPenalty,
+  applyPartialCredit
+} = require('../utils/rewards');
+
+describe('rewards', () => {
+  describe('parseRewardPolicy', () => {
+    it('reads objects and JSON, and ignores anything else', () => {
+      expect(parseRewardPolicy({ decay: {} })).toEqual({ decay: {} });
+      expect(parseRewardPolicy('{"decay":{}}')).toEqual({ decay: {} });
+      expect(parseRewardPolicy('not json')).toBeNull();
+      expect(parseRewardPolicy(null)).toBeNull();
+    });
+  });
+
+  describe('validateRewardPolicy', () => {
+    it('accepts a valid policy or none', () => {
+      expect(validateRewardPolicy(null)).toEqual([]);
+      expect(validateRewardPolicy({
+        decay: { percent: 10, interval_minutes: 60, floor_percent: 50 },
+        early_bonus: { percent: 20, before: '12:00' }
+      })).toEqual([]);
+    });
+
+    it('reports every invalid rule', () => {
+      expect(validateRewardPolicy({
+        decay: { percent: 0, interval_minutes: 1.5, floor_percent: 120 },
+        early_bonus: { percent: -5, before: '25:00' },
+        surprise: {}
+      })).toEqual([
+        'decay.percent must be a number between 1 and 100',
+        'decay.interval_minutes must be a positive whole number',
+        'decay.floor_percent must be a number between 0 and 100',
+        'early_bonus.percent must be a positive number',
+        'early_bonus.before must be a time in HH:MM format',
+        'Unknown reward policy rule: surprise'
+      ]);
+      expect(validateRewardPolicy([])).toEqual(['Reward policy must be an object']);
+    });
+  });
+
+  describe('computeReward', () => {
+    const decaying = {
+      reward_amount: '10.00',
+      reward_type: 'money',
+      due_date: '2026-07-01T10:00:00Z',
+      reward_policy: { decay: { percent: 10, interval_minutes: 60, floor_percent: 50 } }
+    };
+
+    it('returns the base reward when there is no policy', () => {
+      expect(computeReward({ reward_amount: '4.50', reward_type: 'money' }, new Date('2026-07-01T12:00:00Z'))).toEqual({
+        current_reward: 4.5, next_reward: null, next_change_at: null
+      });
+    });
+
+    it('decays for every full interval past due and says when it next drops', () => {
+      const reward = computeReward(decaying, new Date('2026-07-01T12:30:00Z'));
+
+      expect(reward.current_reward).toBe(8);
+      expect(reward.next_reward).toBe(7);
+      expect(reward.next_change_at.toISOString()).toBe('2026-07-01T13:00:00.000Z');
+    });
+
+    it('stops at the floor', () => {
+      expect(computeReward(decaying, new Date('2026-07-01T20:00:00Z'))).toEqual({
+        current_reward: 5, next_reward: null, next_change_at: null
+      });
+    });
+
+    it('ends the early bonus at the family\'s local time', () => {
+      const chore = {
+        reward_amount: '10.00',
+        reward_type: 'money',
+        due_date: '2026-07-01T20:00:00Z',
+        reward_policy: { early_bonus: { percent: 20, before: '12:00' } }
+      };
+      const now = new Date('2026-07-01T15:00:00Z');
+
+      const local = computeReward(chore, now, 'America/New_York');
+      expect(local.current_reward).toBe(12);
+      expect(local.next_reward).toBe(10);
+      expect(local.next_change_at.toISOString()).toBe('2026-07-01T16:00:00.000Z');
+
+      expect(computeReward(chore, now).current_reward).toBe(10);
+    });
+  });
+
+  describe('withLiveReward', () => {
+    it('adds the live reward to open chores with a policy', () => {
+      const chore = {
+        status: 'in_progress',
+        reward_amount: '10.00',
+        current_reward: '10.00',
+        reward_type: 'money',
+        due_date: new Date(Date.now() - 30 * 60 * 1000),
+        reward_policy: { decay: { percent: 10, interval_minutes: 60 } }
+      };
+
+      expect(withLiveReward(chore)).toEqual(expect.objectContaining({ current_reward: 10, next_reward: 9 }));
+    });
+
+    it('leaves submitted chores and chores without a policy alone', () => {
+      expect(withLiveReward({ status: 'pending_approval', current_reward: '7.00', reward_policy: '{}' })).toEqual({
+        status: 'pending_approval', current_reward: '7.00', reward_policy: '{}', next_reward: null, next_reward_at: null
+      });
+      expect(withLiveReward({ status: 'available', current_reward: '2.00', reward_policy: null }).current_reward).toBe('2.00');
+    });
+  });
+
+  describe('getRatingBonus', () => {
+    const settings = { rating_bonus_percent: { 5: 20, 4: 25 } };
+
+    it('pays the rating\'s percentage of the reward', () => {
+      expect(getRatingBonus(settings, 5, '10.00', 'money')).toBe(2);
+      expect(getRatingBonus(settings, 4, 30, 'screen_time')).toBe(8);
+    });
+
+    it('pays nothing for unlisted or missing ratings', () => {
+      expect(getRatingBonus(settings, 3, 10, 'money')).toBe(0);
+      expect(getRatingBonus(settings, null, 10, 'money')).toBe(0);
+      expect(getRatingBonus({}, 5, 10, 'money')).toBe(0);
+    });
+  });
+
+  describe('applyRevisionPenalty', () => {
+    const settings = { revision_penalty: { after_rounds: 2, reward_percent: 50 } };
+
+    it('only cuts the reward once enough revisions were requested', () => {
+      expect(applyRevisionPenalty(settings, '10.00', 1, 'money')).toBe(10);
+      expect(applyRevisionPenalty(settings, '10.00', 2, 'money')).toBe(5);
+      expect(applyRevisionPenalty({}, '10.00', 5, 'money')).toBe(10);
+    });
+  });
+
+  describe('applyPartialCredit', () => {
+    it('pays a percentage and leaves the rest', () => {
+      expect(applyPartialCredit('10.00', { percent: 33 }, 'money')).toEqual({ paid: 3.3, remainder: 6.7 });
+      expect(applyPartialCredit(45, { percent: 50 }, 'screen_time')).toEqual({ paid: 23, remainder: 22 });
+    });
+
+    it('never pays more than the full reward', () => {
+      expect(applyPartialCredit('10.00', { amount: 4 }, 'money')).toEqual({ paid: 4, remainder: 6 });
+      expect(applyPartialCredit('10.00', { amount: 15 }, 'money')).toEqual({ paid: 10, remainder: 0 });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const db = require('../config/database');
+const {
+  isValidTimezone,
+  zonedParts,
+  zonedTime,
+  zonedDateString,
+  endOfZonedDay,
+  getFamilyTimezone
+} = require('../utils/timezones');
+
+describe('timezones', () => {
+  describe('isValidTimezone', () => {
+    it('accepts IANA names and rejects anything else', () => {
+      expect(isValidTimezone('Europe/London')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(null)).toBe(false);
+    });
+  });
+
+  describe('zonedParts', () => {
+    it('gives the local date and time of an instant', () => {
+      expect(zonedParts('2026-07-01T03:00:00Z', 'America/New_York')).toEqual({
+        year: 2026, month: 6, day: 30, hour: 23, minute: 0, second: 0
+      });
+    });
+  });
+
+  describe('zonedTime', () => {
+    it('converts a local time to an instant', () => {
+      expect(zonedTime(2026, 7, 1, 7, 0, 'America/New_York').toISOString()).toBe('2026-07-01T11:00:00.000Z');
+      expect(zonedTime(2026, 1, 15, 7, 0, 'America/New_York').toISOString()).toBe('2026-01-15T12:00:00.000Z');
+    });
+
+    it('moves a time skipped by DST forward by the gap', () => {
+      expect(zonedTime(2026, 3, 8, 2, 30, 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+      expect(zonedTime(2026, 3, 29, 1, 30, 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    it('uses the first of two repeated times', () => {
+      expect(zonedTime(2026, 11, 1, 1, 30, 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    });
+  });
+
+  describe('zonedDateString', () => {
+    it('gives the local calendar date', () => {
+      expect(zonedDateString('2026-07-01T03:00:00Z', 'America/New_York')).toBe('2026-06-30');
+      expect(zonedDateString('2026-07-01T03:00:00Z')).toBe('2026-07-01');
+    });
+  });
+
+  describe('endOfZonedDay', () => {
+    it('gives the last moment of the local day', () => {
+      expect(endOfZonedDay('2026-06-30T15:00:00Z', 'America/New_York').toISOString()).toBe('2026-07-01T03:59:59.999Z');
+      expect(endOfZonedDay('2026-06-30T15:00:00Z', 'America/New_York', 1).toISOString()).toBe('2026-07-02T03:59:59.999Z');
+    });
+
+    it('accounts for a DST change during the day', () => {
+      expect(endOfZonedDay('2026-03-08T12:00:00Z', 'America/New_York').toISOString()).toBe('2026-03-09T03:59:59.999Z');
+    });
+  });
+
+  describe('getFamilyTimezone', () => {
+    beforeEach(() => db.query.mockReset());
+
+    it('returns the family timezone', async () => {
+      db.query.mockResolvedValue([{ timezone: 'Europe/Berlin' }]);
+
+      await expect(getFamilyTimezone(1)).resolves.toBe('Europe/Berlin');
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM families'), [1]);
+    });
+
+    it('falls back to UTC when unset or unknown', async () => {
+      db.query.mockResolvedValueOnce([{ timezone: null }]);
+      await expect(getFamilyTimezone(1)).resolves.toBe('UTC');
+
+      db.query.mockResolvedValueOnce([{ timezone: 'Nowhere/Special' }]);
+      await expect(getFamilyTimezone(1)).resolves.toBe('UTC');
+
+      db.query.mockResolvedValueOnce([]);
+      await expect(getFamilyTimezone(1)).resolves.toBe('UTC');
+    });
+  });
+});
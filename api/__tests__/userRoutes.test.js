@@ -0,0 +1,79 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: 2, family_id: 1, role: 'parent', name: 'Parent' };
+    next();
+  },
+  checkUserAccess: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { errorHandler } = require('../middleware/errorHandler');
+const userRoutes = require('../routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+beforeEach(() => {
+  db.query.mockReset().mockResolvedValue([]);
+});
+
+describe('user routes', () => {
+  describe('GET /api/users/:id/chores', () => {
+    it('includes chores the user shares with others, as /me/chores does', async () => {
+      db.query.mockResolvedValueOnce([{ id: 4, title: 'Garden', status: 'in_progress', assigned_to: 5, blocked: 0, _sort_value: null }]);
+
+      const res = await request(app).get('/api/users/3/chores');
+
+      expect(res.status).toBe(200);
+      expect(res.body.chores).toHaveLength(1);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('c.assigned_to = ? OR EXISTS');
+      expect(sql).toContain('FROM chore_assignments ca');
+      expect(params.slice(0, 3)).toEqual(['3', '3', '3']);
+    });
+
+    it('rejects a limit that is not a positive number', async () => {
+      for (const limit of ['abc', '-3', '0']) {
+        const res = await request(app).get(`/api/users/3/chores?limit=${limit}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Limit must be a positive number');
+      }
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/users/me/chores', () => {
+    it('shows the live reward and when it next drops', async () => {
+      const dueDate = new Date(Date.now() - 90 * 60 * 1000);
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM families')) return [{ timezone: 'Europe/London' }];
+        return [{
+          id: 4,
+          status: 'in_progress',
+          reward_amount: '10.00',
+          current_reward: '10.00',
+          reward_type: 'money',
+          due_date: dueDate,
+          reward_policy: { decay: { percent: 10, interval_minutes: 60 } },
+          blocked: 0
+        }];
+      });
+
+      const res = await request(app).get('/api/users/me/chores');
+
+      expect(res.status).toBe(200);
+      expect(res.body.chores[0]).toEqual(expect.objectContaining({
+        current_reward: 9,
+        next_reward: 8,
+        next_reward_at: new Date(dueDate.getTime() + 2 * 60 * 60 * 1000).toISOString()
+      }));
+    });
+  });
+});
@@ -111,14 +111,35 @@ function determineAction(method, path, responseData) {
     }
   }
   
+  // Chore swap actions
+  if (path.includes('/swaps')) {
+    if (path.includes('/accept')) return 'accept_swap';
+    if (path.includes('/decline')) return 'decline_swap';
+    if (path.includes('/cancel')) return 'cancel_swap';
+    if (path.includes('/approve')) return 'approve_swap';
+    if (path.includes('/reject')) return 'reject_swap';
+    return method === 'POST' ? 'offer_swap' : 'view_swap';
+  }
+  
   // Chore actions
   if (path.includes('/chores')) {
+    if (path.includes('/bulk')) return 'bulk_chore_action';
+    if (path.includes('/comments')) return method === 'DELETE' ? 'delete_comment' : 'comment_chore';
+    if (path.includes('/checklist')) return method === 'DELETE' ? 'uncheck_checklist_item' : 'check_checklist_item';
     if (path.includes('/assign')) return 'assign_chore';
+    if (path.includes('/claim')) return 'claim_chore';
     if (path.includes('/accept')) return 'accept_chore';
     if (path.includes('/decline')) return 'decline_chore';
     if (path.includes('/submit')) return 'submit_chore';
+    if (path.includes('/unapprove')) return 'unapprove_chore';
     if (path.includes('/approve')) return 'approve_chore';
     if (path.includes('/reject')) return 'reject_chore';
+    if (path.includes('/request-revision')) return 'request_revision';
+    if (path.includes('/cancel')) return 'cancel_chore';
+    if (path.includes('/restore')) return 'restore_chore';
+    if (path.includes('/start')) return 'start_timer';
+    if (path.includes('/pause')) return 'pause_timer';
+    if (path.includes('/resume')) return 'resume_timer';
     
     switch (method) {
       case 'POST': return 'create_chore';
@@ -130,6 +151,26 @@ function determineAction(method, path, responseData) {
     }
   }
   
+  // Pack actions
+  if (path.includes('/packs')) {
+    if (path.includes('/export')) return 'export_pack';
+    if (path.includes('/csv')) return 'import_csv';
+    if (path.includes('/preview')) return 'preview_pack';
+    return 'import_pack';
+  }
+  
+  // Template actions
+  if (path.includes('/templates')) {
+    switch (method) {
+      case 'POST': return 'create_template';
+      case 'PUT':
+      case 'PATCH': return 'update_template';
+      case 'DELETE': return 'delete_template';
+      case 'GET': return 'view_template';
+      default: return 'template_action';
+    }
+  }
+  
   // Upload actions
   if (path.includes('/uploads')) {
     switch (method) {
@@ -159,7 +200,9 @@ function determineAction(method, path, responseData) {
 function determineEntityType(path) {
   if (path.includes('/families')) return 'family';
   if (path.includes('/users')) return 'user';
+  if (path.includes('/swaps')) return 'swap';
   if (path.includes('/chores')) return 'chore';
+  if (path.includes('/templates')) return 'template';
   if (path.includes('/uploads')) return 'file';
   if (path.includes('/achievements')) return 'achievement';
   if (path.includes('/auth')) return 'auth';
@@ -189,6 +232,17 @@ function extractEntityId(req, responseData) {
   return null;
 }
 
+// Record an activity that isn't tied to a single request, inside the caller's transaction
+async function recordActivity(connection, activity) {
+  const { familyId, userId, action, entityType, entityId, details } = activity;
+
+  await connection.execute(
+    `INSERT INTO activity_log (family_id, user_id, action, entity_type, entity_id, details) 
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [familyId, userId, action, entityType, entityId, JSON.stringify(details || {})]
+  );
+}
+
 // Get recent activity for a family
 async function getRecentActivity(familyId, limit = 50) {
   try {
@@ -256,6 +310,7 @@ async function cleanOldActivityLogs() {
 
 module.exports = {
   logActivity,
+  recordActivity,
   getRecentActivity,
   getUserActivitySummary,
   cleanOldActivityLogs
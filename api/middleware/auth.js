@@ -135,7 +135,7 @@ const checkChoreAccess = catchAsync(async (req, res, next) => {
   
   if (choreId) {
     const chore = await db.query(
-      'SELECT family_id, assigned_to, created_by FROM chores WHERE id = ?',
+      'SELECT family_id, assigned_to, created_by FROM chores WHERE id = ? AND deleted_at IS NULL',
       [choreId]
     );
     
@@ -152,9 +152,19 @@ const checkChoreAccess = catchAsync(async (req, res, next) => {
     
     // For children, check if they're assigned to the chore or created it
     if (req.user.role === 'child') {
+      // Participants of a shared chore have an active assignment of their own
+      const participation = chore[0].assigned_to !== req.user.id
+        ? await db.query(
+            `SELECT id FROM chore_assignments 
+             WHERE chore_id = ? AND user_id = ? AND status IN ('pending', 'accepted', 'auto_accepted')`,
+            [choreId, req.user.id]
+          )
+        : [];
+
       if (
         chore[0].assigned_to !== req.user.id &&
-        chore[0].created_by !== req.user.id
+        chore[0].created_by !== req.user.id &&
+        participation.length === 0
       ) {
         return next(
           new AppError('You do not have access to this chore', 403)
@@ -413,7 +413,7 @@ router.get('/me', protect, catchAsync(async (req, res, next) => {
        COALESCE(SUM(ct.reward_earned), 0) as total_earned,
        COUNT(ua.id) as achievements_earned
      FROM users u
-     LEFT JOIN completed_tasks ct ON u.id = ct.user_id
+     LEFT JOIN completed_tasks ct ON u.id = ct.user_id AND ct.reversed_at IS NULL
      LEFT JOIN user_achievements ua ON u.id = ua.user_id
      WHERE u.id = ?`,
     [req.user.id]
@@ -543,8 +543,8 @@ router.get('/family-info', protect, catchAsync(async (req, res, next) => {
        COALESCE(SUM(ct.reward_earned), 0) as total_rewards_paid
      FROM families f
      LEFT JOIN users u ON f.id = u.family_id AND u.is_active = 1
-     LEFT JOIN chores c ON f.id = c.family_id
-     LEFT JOIN completed_tasks ct ON u.id = ct.user_id
+     LEFT JOIN chores c ON f.id = c.family_id AND c.deleted_at IS NULL
+     LEFT JOIN completed_tasks ct ON u.id = ct.user_id AND ct.reversed_at IS NULL
      WHERE f.id = ?
      GROUP BY f.id`,
     [req.user.family_id]
@@ -2,6 +2,51 @@ const express = require('express');
 const { protect, checkChoreAccess } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const db = require('../config/database');
+const { ACTIVE_REWARD_STATUSES, validateRewardPolicy, computeReward, withLiveReward } = require('../utils/rewards');
+const { parseDueDate, isOverdue } = require('../utils/dueDates');
+const { CHORE_LIST_CONFIG, runListQuery } = require('../utils/listQuery');
+const { getFamilySettings, getClaimLimit } = require('../utils/familySettings');
+const { getParticipants, syncSharedChoreStatus, validateSharedAssignment } = require('../utils/sharedChores');
+const { validateChecklist, replaceChecklist, getChecklist, getIncompleteRequiredItems } = require('../utils/checklists');
+const { getTemplate, applyTemplate } = require('../utils/templates');
+const { validateReward, validateNewChore, insertChore } = require('../utils/choreCreation');
+const {
+  BLOCKED_EXPRESSION,
+  getPrerequisites,
+  getOpenPrerequisites,
+  validateDependencies,
+  replaceDependencies
+} = require('../utils/dependencies');
+const { notifyChoreComment } = require('../utils/notifications');
+const {
+  UNREAD_COMMENTS_EXPRESSION,
+  MAX_COMMENT_LENGTH,
+  findMentions,
+  getComments,
+  countUnreadComments,
+  markCommentsRead
+} = require('../utils/comments');
+const {
+  PRIORITIES,
+  lockChore,
+  lockTrashedChore,
+  parseApprovalOptions,
+  assignChore,
+  approveChore,
+  describeApproval,
+  unapproveChore,
+  rejectChore,
+  cancelChore,
+  deleteChore,
+  restoreChore,
+  setChorePriority,
+  TRASH_RETENTION_DAYS
+} = require('../utils/choreActions');
+const { getChoreTimers, startTimer, pauseTimer, resumeTimer, stopTimer, isImplausiblyShort } = require('../utils/choreTimers');
+const { parseCoordinates, verifyLocation, getPlace } = require('../utils/places');
+const { etagFor, isStale, sendStale } = require('../utils/etags');
+const { NOW, transitionChore, runTransitionEffects, getStatusHistory } = require('../utils/choreLifecycle');
+const { getFamilyTimezone } = require('../utils/timezones');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -36,17 +81,72 @@ const upload = multer({
 
 const router = express.Router();
 
+// Shape a chore row for list responses
+const presentChore = (chore, timeZone) => ({
+  ...withLiveReward(chore, timeZone),
+  overdue: isOverdue(chore),
+  blocked: Boolean(chore.blocked)
+});
+
+// Refuse to hand out a chore whose prerequisites are still open
+const sendBlocked = (res, blockedBy) => res.status(409).json({
+  status: 'fail',
+  message: 'This chore is blocked until its prerequisites are approved',
+  blocked_by: blockedBy.map(({ id, title, status }) => ({ id, title, status }))
+});
+
 // Get family chores with more details
+// Supports filtering (status, assignee, category, priority, difficulty, due_from/due_to, q),
+// sorting (sort=field or sort=-field) and cursor pagination (limit, cursor)
 router.get('/', protect, catchAsync(async (req, res) => {
+  const { items: chores, pagination } = await runListQuery({
+    select: `c.*, 
+            u.name as assignee_name,
+            (SELECT COUNT(*) FROM chore_submissions WHERE chore_id = c.id) as submission_count,
+            (SELECT COALESCE(MAX(time_flagged), 0) FROM chore_submissions WHERE chore_id = c.id AND status = 'pending') as time_flagged,
+            (SELECT COALESCE(MAX(location_flagged), 0) FROM chore_submissions WHERE chore_id = c.id AND status = 'pending') as location_flagged,
+            ${BLOCKED_EXPRESSION} as blocked,
+            ${UNREAD_COMMENTS_EXPRESSION} as unread_comments`,
+    from: `chores c
+     LEFT JOIN users u ON c.assigned_to = u.id`,
+    where: ['c.family_id = ?', 'c.deleted_at IS NULL'],
+    params: [req.user.id, req.user.id, req.user.family_id],
+    query: req.query,
+    config: CHORE_LIST_CONFIG,
+    context: { userId: req.user.id }
+  });
+
+  const timeZone = await getFamilyTimezone(req.user.family_id);
+
+  res.json({
+    status: 'success',
+    chores: chores.map(chore => presentChore(chore, timeZone)),
+    pagination
+  });
+}));
+
+// List the family's deleted chores still in the trash (parent only)
+router.get('/trash', protect, catchAsync(async (req, res) => {
+  // Only parents can see the trash
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can view deleted chores'
+    });
+  }
+
   const chores = await db.query(
     `SELECT c.*, 
             u.name as assignee_name,
-            (SELECT COUNT(*) FROM chore_submissions WHERE chore_id = c.id) as submission_count
+            d.name as deleted_by_name,
+            CASE WHEN EXISTS (SELECT 1 FROM completed_tasks ct WHERE ct.chore_id = c.id) THEN NULL
+                 ELSE DATE_ADD(c.deleted_at, INTERVAL ? DAY) END as purge_at
      FROM chores c
      LEFT JOIN users u ON c.assigned_to = u.id
-     WHERE c.family_id = ? 
-     ORDER BY c.created_at DESC`,
-    [req.user.family_id]
+     LEFT JOIN users d ON c.deleted_by = d.id
+     WHERE c.family_id = ? AND c.deleted_at IS NOT NULL
+     ORDER BY c.deleted_at DESC`,
+    [TRASH_RETENTION_DAYS, req.user.family_id]
   );
 
   res.json({
@@ -60,7 +160,8 @@ router.get('/:id', protect, checkChoreAccess, catchAsync(async (req, res) => {
   const [chore] = await db.query(
     `SELECT c.*, 
             u.name as assignee_name,
-            u2.name as created_by_name
+            u2.name as created_by_name,
+            ${BLOCKED_EXPRESSION} as blocked
      FROM chores c
      LEFT JOIN users u ON c.assigned_to = u.id
      LEFT JOIN users u2 ON c.created_by = u2.id
@@ -85,17 +186,41 @@ router.get('/:id', protect, checkChoreAccess, catchAsync(async (req, res) => {
     [req.params.id]
   );
 
+  // Shared chores list everyone taking part
+  const participants = chore.is_shared ? await getParticipants(chore.id) : [];
+
+  // Checklist items with who ticked them and when
+  const checklist = await getChecklist(chore.id);
+
+  // Chores that must be approved before this one can start
+  const prerequisites = await getPrerequisites(chore.id);
+
+  // Work timers, so parents can compare actual time with estimated_duration
+  const timers = await getChoreTimers(chore.id);
+
+  // Comment thread; viewing the chore marks it as read
+  const comments = await getComments(chore.id);
+  const unreadComments = await countUnreadComments(chore.id, req.user.id);
+  await markCommentsRead(chore.id, req.user.id);
+
+  res.set('ETag', etagFor(chore.version));
   res.json({
     status: 'success',
     data: {
-      chore,
+      chore: presentChore(chore, await getFamilyTimezone(chore.family_id)),
+      participants,
+      checklist,
+      prerequisites,
+      comments,
+      unread_comments: unreadComments,
+      timers,
       submissions
     }
   });
 }));
 
- // Create chore
-router.post('/', protect, catchAsync(async (req, res) => {
+// Create a chore from a request body, optionally recording the template it came from
+const createChore = async (req, res, body, templateId = null) => {
   // Only parents can create chores
   if (req.user.role !== 'parent') {
     return res.status(403).json({
@@ -104,137 +229,216 @@ router.post('/', protect, catchAsync(async (req, res) => {
     });
   }
 
-  // Accept expanded fields to support advanced single-chore features
-  const {
-    title,
-    description,
-    reward_amount,
-    reward_type,
-    requires_photo,
-    acceptance_timer,
-    auto_assign,
-    assigned_to,
-    rotation_type,
-    rotation_members,
-    priority,
-    estimated_duration,
-    difficulty_level,
-    category
-  } = req.body;
-
-  if (!title || reward_amount === undefined || reward_amount === null) {
+  const { error, dueDate } = await validateNewChore(body, req.user.family_id);
+  if (error) {
     return res.status(400).json({
       status: 'fail',
-      message: 'Title and reward amount are required'
+      ...error
     });
   }
 
-  // Determine initial assignment if auto_assign is requested
-  let initialAssignedTo = null;
-  if (auto_assign) {
-    if (rotation_type === 'none' && assigned_to) {
-      initialAssignedTo = assigned_to;
-    } else if ((rotation_type === 'round_robin' || rotation_type === 'random') && rotation_members) {
-      let members = rotation_members;
-      try {
-        // rotation_members may come as a JSON string or an array
-        if (typeof rotation_members === 'string') {
-          members = JSON.parse(rotation_members);
-        }
-      } catch (e) {
-        members = rotation_members;
-      }
-
-      if (Array.isArray(members) && members.length > 0) {
-        if (rotation_type === 'round_robin') {
-          // For a single chore we start with the first member (recurring generation handles rotation history)
-          initialAssignedTo = members[0];
-        } else if (rotation_type === 'random') {
-          initialAssignedTo = members[Math.floor(Math.random() * members.length)];
-        }
-      }
-    }
-  }
-
   // Use transaction to create chore and optional assignment atomically
-  const result = await db.transaction(async (connection) => {
-    const status = initialAssignedTo ? 'assigned' : 'available';
-    const assignedAt = initialAssignedTo ? new Date() : null;
-
-    const [insertResult] = await connection.execute(
-      `INSERT INTO chores (
-        family_id, template_id, title, description, reward_type, reward_amount,
-        current_reward, requires_photo, acceptance_timer, status, priority, due_date,
-        estimated_duration, difficulty_level, category, created_by, assigned_to, assigned_at, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-      [
-        req.user.family_id,
-        null, // template_id
-        title,
-        description || null,
-        reward_type || 'money',
-        reward_amount,
-        reward_amount, // current_reward initial
-        requires_photo ? 1 : 0,
-        acceptance_timer || 5,
-        status,
-        priority || 'medium',
-        null, // due_date
-        estimated_duration || null,
-        difficulty_level || 'medium',
-        category || null,
-        req.user.id,
-        initialAssignedTo || null,
-        assignedAt,
-        JSON.stringify({
-          created_at: new Date().toISOString(),
-          rotation_type: rotation_type || 'none',
-          rotation_members: rotation_members ? (typeof rotation_members === 'string' ? rotation_members : JSON.stringify(rotation_members)) : null,
-          auto_assign: auto_assign ? true : false
-        })
-      ]
-    );
-
-    const choreId = insertResult.insertId;
-
-    // If assigned, create assignment record
-    if (initialAssignedTo) {
-      await connection.execute(
-        `INSERT INTO chore_assignments (
-          chore_id, user_id, assigned_by, assigned_at, status, acceptance_deadline
-        ) VALUES (?, ?, ?, NOW(), ?, ?)
-        `,
-        [
-          choreId,
-          initialAssignedTo,
-          req.user.id,
-          'pending',
-          // acceptance_deadline based on acceptance_timer
-          (() => {
-            const deadline = new Date();
-            deadline.setMinutes(deadline.getMinutes() + (acceptance_timer || 5));
-            return deadline;
-          })()
-        ]
-      );
-    }
-
-    return choreId;
-  });
+  const choreId = await db.transaction(async (connection) =>
+    await insertChore(connection, body, { familyId: req.user.family_id, userId: req.user.id, templateId, dueDate })
+  );
 
   const [chore] = await db.query(
     `SELECT c.*, u.name as assignee_name
      FROM chores c
      LEFT JOIN users u ON c.assigned_to = u.id
      WHERE c.id = ?`,
-    [result]
+    [choreId]
   );
 
   res.status(201).json({
     status: 'success',
     data: { chore }
   });
+};
+
+// Create chore
+router.post('/', protect, catchAsync(async (req, res) => {
+  await createChore(req, res, req.body);
+}));
+
+// Create a chore from a template
+// Body: any chore fields to use instead of the template's for this one chore
+router.post('/from-template/:id', protect, catchAsync(async (req, res) => {
+  const template = await getTemplate(req.params.id, req.user.family_id, { activeOnly: true });
+
+  if (!template) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Template not found'
+    });
+  }
+
+  await createChore(req, res, applyTemplate(template, req.body), template.id);
+}));
+
+const BULK_ACTIONS = ['assign', 'approve', 'reject', 'cancel', 'delete', 'priority'];
+const MAX_BULK_ITEMS = 100;
+
+// Apply one action to many chores at once (parent only)
+// Body: { action, ids, ...action options }. Everything runs in one transaction; each chore
+// gets its own savepoint so a chore that can't take the action is reported and skipped
+// without undoing the others.
+router.post('/bulk', protect, catchAsync(async (req, res) => {
+  // Only parents can manage chores in bulk
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can manage chores in bulk'
+    });
+  }
+
+  const { action, ids, userId, userIds, split_rule, submission_mode, shares, feedback, reason, priority } = req.body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Action must be one of: ${BULK_ACTIONS.join(', ')}`
+    });
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(Number(id)))) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'ids must be a non-empty array of chore IDs'
+    });
+  }
+
+  const choreIds = [...new Set(ids.map(Number))];
+  if (choreIds.length > MAX_BULK_ITEMS) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `At most ${MAX_BULK_ITEMS} chores can be changed at once`
+    });
+  }
+
+  // Check the action's options once, before touching any chore
+  const shared = Array.isArray(userIds);
+  let approval = null;
+  let settings = null;
+
+  if (action === 'assign') {
+    if (!userId && !shared) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'User ID is required'
+      });
+    }
+
+    const errors = shared ? validateSharedAssignment(req.body) : [];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid shared assignment',
+        errors
+      });
+    }
+  } else if (action === 'approve') {
+    const { options, error } = parseApprovalOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'fail',
+        message: error
+      });
+    }
+    approval = options;
+    settings = await getFamilySettings(req.user.family_id);
+  } else if (action === 'priority' && !PRIORITIES.includes(priority)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Priority must be one of: ${PRIORITIES.join(', ')}`
+    });
+  }
+
+  // Status changes of the chores that went through, whose effects run after commit
+  const transitions = [];
+
+  const results = await db.transaction(async (connection) => {
+    const itemResults = [];
+
+    for (const choreId of choreIds) {
+      await connection.query('SAVEPOINT bulk_item');
+
+      try {
+        const chore = await lockChore(connection, choreId, req.user.family_id);
+        const result = { id: choreId, success: true };
+        let transition = null;
+
+        switch (action) {
+          case 'assign': {
+            const { names } = await assignChore(connection, chore, {
+              assignedBy: req.user.id,
+              userIds: shared ? userIds : [userId],
+              shared,
+              split_rule,
+              submission_mode,
+              shares
+            });
+            result.assigned_to = names.join(', ');
+            break;
+          }
+          case 'approve': {
+            const approved = await approveChore(connection, chore, { ...approval, reviewerId: req.user.id, settings });
+            transition = approved.transition;
+            result.message = describeApproval(chore, approved);
+            result.follow_up_chore_id = approved.followUpChoreId;
+            result.payouts = approved.payouts.map(p => ({ user_id: p.userId, reward: parseFloat(p.amount), bonus: p.bonus }));
+            result.handoff = approved.handoff ? { user_id: approved.handoff.userId, reward: parseFloat(approved.handoff.amount) } : null;
+            break;
+          }
+          case 'reject':
+            await rejectChore(connection, chore, { reviewerId: req.user.id, feedback });
+            break;
+          case 'cancel':
+            transition = await cancelChore(connection, chore, { cancelledBy: req.user.id, reason });
+            break;
+          case 'delete':
+            transition = await deleteChore(connection, chore, { deletedBy: req.user.id });
+            break;
+          case 'priority':
+            await setChorePriority(connection, chore, priority);
+            break;
+        }
+
+        await connection.query('RELEASE SAVEPOINT bulk_item');
+        itemResults.push(result);
+        if (transition) {
+          transitions.push(transition);
+        }
+      } catch (error) {
+        // Unexpected errors abort the whole batch; refusals only skip this chore
+        if (!error.isOperational) {
+          throw error;
+        }
+
+        await connection.query('ROLLBACK TO SAVEPOINT bulk_item');
+        itemResults.push({ id: choreId, success: false, status_code: error.statusCode, error: error.message });
+      }
+    }
+
+    return itemResults;
+  });
+
+  // Cancelled assignees are told, and approved, cancelled or deleted chores may unblock others
+  const unblockedIds = await runTransitionEffects(transitions);
+
+  const succeeded = results.filter(r => r.success).length;
+
+  res.json({
+    status: 'success',
+    message: `${succeeded} of ${results.length} chores updated`,
+    data: {
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      unblocked_chore_ids: unblockedIds,
+      results
+    }
+  });
 }));
 
 // Update chore
@@ -256,7 +460,7 @@ router.patch('/:id', protect, checkChoreAccess, catchAsync(async (req, res) => {
     });
   }
 
-  const allowedFields = ['title', 'description', 'reward_amount', 'reward_type', 'requires_photo', 'acceptance_timer', 'status'];
+  const allowedFields = ['title', 'description', 'reward_amount', 'reward_type', 'requires_photo', 'required_place_id', 'acceptance_timer', 'reward_policy', 'due_date', 'is_claimable'];
   const updates = {};
   
   // Filter allowed fields
@@ -266,32 +470,141 @@ router.patch('/:id', protect, checkChoreAccess, catchAsync(async (req, res) => {
     }
   });
 
-  if (Object.keys(updates).length === 0) {
+  // The checklist lives in its own table; items left unchanged keep their ticks
+  const { checklist } = req.body;
+
+  if (Object.keys(updates).length === 0 && checklist === undefined) {
     return res.status(400).json({
       status: 'fail',
       message: 'No valid fields to update'
     });
   }
 
+  if (checklist !== undefined) {
+    const checklistErrors = validateChecklist(checklist);
+    if (checklistErrors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid checklist',
+        errors: checklistErrors
+      });
+    }
+
+    if (['pending_approval', 'completed'].includes(chore.status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'The checklist cannot be changed once the chore has been submitted'
+      });
+    }
+  }
+
+  // Status moves only happen through the action endpoints, which check who may make them
+  if (req.body.status !== undefined) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Status cannot be edited; use the chore\'s action endpoints (assign, accept, submit, approve, reject, cancel)'
+    });
+  }
+
+  // Same reward rules as a new chore
+  const rewardErrors = validateReward(updates);
+  if (rewardErrors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid reward',
+      errors: rewardErrors
+    });
+  }
+
+  if (updates.required_place_id) {
+    if (!(await getPlace(updates.required_place_id, chore.family_id))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Required place not found'
+      });
+    }
+  } else if (updates.required_place_id !== undefined) {
+    updates.required_place_id = null;
+  }
+
+  if (updates.reward_policy !== undefined) {
+    const policyErrors = validateRewardPolicy(updates.reward_policy);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid reward policy',
+        errors: policyErrors
+      });
+    }
+  }
+
+  if (updates.due_date !== undefined) {
+    const { dueDate, error: dueDateError } = parseDueDate(updates.due_date);
+    if (dueDateError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: dueDateError
+      });
+    }
+    updates.due_date = dueDate;
+    // A new deadline gets a fresh run of the family's overdue policy
+    updates.overdue_processed_at = null;
+  }
+
+  // Keep current_reward in step when the base reward, its policy or (for policies) the due date changes
+  const rewardChanged = updates.reward_amount !== undefined || updates.reward_policy !== undefined ||
+    (updates.due_date !== undefined && chore.reward_policy);
+  if (rewardChanged && ACTIVE_REWARD_STATUSES.includes(chore.status)) {
+    updates.current_reward = computeReward({ ...chore, ...updates }, new Date(), await getFamilyTimezone(chore.family_id)).current_reward;
+  }
+
+  if (updates.is_claimable !== undefined) {
+    updates.is_claimable = updates.is_claimable ? 1 : 0;
+  }
+
+  // Convert reward_policy to JSON string if present
+  if (updates.reward_policy) {
+    updates.reward_policy = JSON.stringify(updates.reward_policy);
+  }
+
   // Build dynamic query
-  const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+  const setClause = Object.keys(updates).map(key => `${key} = ?, `).join('');
   const values = Object.values(updates);
   values.push(req.params.id);
 
-  await db.query(
-    `UPDATE chores SET ${setClause}, updated_at = NOW() WHERE id = ?`,
-    values
-  );
+  const stale = await db.transaction(async (connection) => {
+    // Check If-Match against the locked row so a concurrent edit can't slip in between
+    const [[current]] = await connection.execute('SELECT * FROM chores WHERE id = ? FOR UPDATE', [chore.id]);
+    if (isStale(req, current.version)) {
+      return current;
+    }
+
+    await connection.execute(
+      `UPDATE chores SET ${setClause}version = version + 1, updated_at = NOW() WHERE id = ?`,
+      values
+    );
+
+    if (checklist !== undefined) {
+      await replaceChecklist(connection, { choreId: chore.id }, checklist || []);
+    }
+
+    return null;
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
 
   const [updatedChore] = await db.query('SELECT * FROM chores WHERE id = ?', [req.params.id]);
 
+  res.set('ETag', etagFor(updatedChore.version));
   res.json({
     status: 'success',
     data: { chore: updatedChore }
   });
 }));
 
-// Assign chore to a user
+// Assign chore to a user, or to several users as a shared chore
 router.post('/:id/assign', protect, catchAsync(async (req, res) => {
   // Only parents can assign chores
   if (req.user.role !== 'parent') {
@@ -301,159 +614,484 @@ router.post('/:id/assign', protect, catchAsync(async (req, res) => {
     });
   }
 
-  const { userId } = req.body;
-  if (!userId) {
+  const { userId, userIds, split_rule, submission_mode, shares } = req.body;
+  const shared = Array.isArray(userIds);
+
+  if (!userId && !shared) {
     return res.status(400).json({
       status: 'fail',
       message: 'User ID is required'
     });
   }
 
+  if (shared) {
+    const errors = validateSharedAssignment(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid shared assignment',
+        errors
+      });
+    }
+  }
+
   // Check if chore exists and belongs to the family
-  const [chore] = await db.query(
-    'SELECT * FROM chores WHERE id = ? AND family_id = ?',
+  const [existing] = await db.query(
+    'SELECT id FROM chores WHERE id = ? AND family_id = ? AND deleted_at IS NULL',
     [req.params.id, req.user.family_id]
   );
 
-  if (!chore) {
+  if (!existing) {
     return res.status(404).json({
       status: 'fail',
       message: 'Chore not found'
     });
   }
 
-  // Check if user exists and belongs to the family
-  const [user] = await db.query(
-    'SELECT * FROM users WHERE id = ? AND family_id = ?',
-    [userId, req.user.family_id]
-  );
-
-  if (!user) {
-    return res.status(404).json({
-      status: 'fail',
-      message: 'User not found'
-    });
+  const blockedBy = await getOpenPrerequisites(existing.id);
+  if (blockedBy.length > 0) {
+    return sendBlocked(res, blockedBy);
   }
 
-  // Create assignment
-  const acceptanceDeadline = new Date();
-  acceptanceDeadline.setMinutes(acceptanceDeadline.getMinutes() + (chore.acceptance_timer || 5));
-
-  await db.transaction(async (connection) => {
-    // Create assignment record
-    await connection.execute(
-      `INSERT INTO chore_assignments 
-       (chore_id, user_id, assigned_by, status, acceptance_deadline) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [chore.id, userId, req.user.id, 'pending', acceptanceDeadline]
-    );
+  const { names, stale } = await db.transaction(async (connection) => {
+    const chore = await lockChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return { stale: chore };
+    }
 
-    // Update chore status
-    await connection.execute(
-      'UPDATE chores SET assigned_to = ?, assigned_at = NOW(), status = ?, updated_at = NOW() WHERE id = ?',
-      [userId, 'pending_acceptance', chore.id]
-    );
+    return await assignChore(connection, chore, {
+      assignedBy: req.user.id,
+      userIds: shared ? userIds : [userId],
+      shared,
+      split_rule,
+      submission_mode,
+      shares
+    });
   });
 
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
   const [updatedChore] = await db.query(
     'SELECT c.*, u.name as assignee_name FROM chores c LEFT JOIN users u ON c.assigned_to = u.id WHERE c.id = ?',
     [req.params.id]
   );
 
+  res.set('ETag', etagFor(updatedChore.version));
   res.json({
     status: 'success',
     data: { 
       chore: updatedChore,
-      assigned_to: user.name
+      assigned_to: names.join(', ')
     }
   });
 }));
 
-// Accept assigned chore
-router.post('/:id/accept', protect, catchAsync(async (req, res) => {
-  // Check if chore exists and is assigned to the user
+// Replace the chores this chore depends on (parent only)
+router.put('/:id/dependencies', protect, catchAsync(async (req, res) => {
+  // Only parents can declare dependencies
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can change chore dependencies'
+    });
+  }
+
   const [chore] = await db.query(
-    'SELECT * FROM chores WHERE id = ? AND assigned_to = ? AND status = ?',
-    [req.params.id, req.user.id, 'pending_acceptance']
+    'SELECT * FROM chores WHERE id = ? AND family_id = ? AND deleted_at IS NULL',
+    [req.params.id, req.user.family_id]
   );
 
   if (!chore) {
     return res.status(404).json({
       status: 'fail',
-      message: 'Chore not found or not assigned to you'
+      message: 'Chore not found'
     });
   }
 
-  // Update assignment
-  await db.transaction(async (connection) => {
-    await connection.execute(
-      'UPDATE chore_assignments SET status = ?, accepted_at = NOW() WHERE chore_id = ? AND user_id = ? AND status = ?',
-      ['accepted', chore.id, req.user.id, 'pending']
-    );
+  const dependsOn = req.body.depends_on || [];
+  const dependencyErrors = await validateDependencies('chore', chore.id, dependsOn, req.user.family_id);
+  if (dependencyErrors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid dependencies',
+      errors: dependencyErrors
+    });
+  }
 
-    // Update chore status
+  const { version, stale } = await db.transaction(async (connection) => {
+    const current = await lockChore(connection, chore.id, req.user.family_id);
+    if (isStale(req, current.version)) {
+      return { stale: current };
+    }
+
+    await replaceDependencies(connection, 'chore', chore.id, dependsOn);
     await connection.execute(
-      'UPDATE chores SET status = ?, accepted_at = NOW(), updated_at = NOW() WHERE id = ?',
-      ['in_progress', chore.id]
+      'UPDATE chores SET version = version + 1, updated_at = NOW() WHERE id = ?',
+      [chore.id]
     );
+    return { version: current.version + 1 };
   });
 
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  const prerequisites = await getPrerequisites(chore.id);
+
+  res.set('ETag', etagFor(version));
   res.json({
     status: 'success',
-    message: 'Chore accepted successfully'
+    data: {
+      prerequisites,
+      blocked: prerequisites.some(p => p.open)
+    }
   });
 }));
 
-// Decline assigned chore
-router.post('/:id/decline', protect, catchAsync(async (req, res) => {
-  // Check if chore exists and is assigned to the user
+// Claim an available chore (children only)
+router.post('/:id/claim', protect, catchAsync(async (req, res) => {
+  // Parents hand out chores with /assign instead
+  if (req.user.role !== 'child') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only children can claim chores'
+    });
+  }
+
   const [chore] = await db.query(
-    'SELECT * FROM chores WHERE id = ? AND assigned_to = ? AND status = ?',
-    [req.params.id, req.user.id, 'pending_acceptance']
+    'SELECT * FROM chores WHERE id = ? AND family_id = ? AND deleted_at IS NULL',
+    [req.params.id, req.user.family_id]
   );
 
   if (!chore) {
     return res.status(404).json({
       status: 'fail',
-      message: 'Chore not found or not assigned to you'
+      message: 'Chore not found'
     });
   }
 
-  // Update assignment
-  await db.transaction(async (connection) => {
-    await connection.execute(
-      'UPDATE chore_assignments SET status = ?, declined_at = NOW() WHERE chore_id = ? AND user_id = ? AND status = ?',
-      ['declined', chore.id, req.user.id, 'pending']
+  if (!chore.is_claimable) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'This chore can only be assigned by a parent'
+    });
+  }
+
+  const blockedBy = await getOpenPrerequisites(chore.id);
+  if (blockedBy.length > 0) {
+    return sendBlocked(res, blockedBy);
+  }
+
+  const settings = await getFamilySettings(req.user.family_id);
+  const claimLimit = getClaimLimit(settings, req.user.id);
+
+  const outcome = await db.transaction(async (connection) => {
+    // Serialize claims by the same child so the limit can't be raced past
+    await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [req.user.id]);
+
+    const [[{ claimed }]] = await connection.execute(
+      `SELECT COUNT(DISTINCT c.id) as claimed
+       FROM chores c
+       JOIN chore_assignments ca ON ca.chore_id = c.id AND ca.user_id = c.assigned_to
+       WHERE c.assigned_to = ? AND c.status = 'in_progress' AND c.deleted_at IS NULL AND ca.assigned_by = ca.user_id`,
+      [req.user.id]
     );
 
-    // Reset chore to available
+    if (claimed >= claimLimit) {
+      return 'limit_reached';
+    }
+
+    // Only one claimant can move the chore out of available; anyone else gets a conflict
+    await transitionChore(connection, { ...chore, status: 'available' }, 'in_progress', {
+      actorId: req.user.id,
+      reason: 'Claimed',
+      changes: { assigned_to: req.user.id, assigned_at: NOW, accepted_at: NOW },
+      conflictMessage: 'This chore is no longer available'
+    });
+
     await connection.execute(
-      'UPDATE chores SET status = ?, assigned_to = NULL, assigned_at = NULL, updated_at = NOW() WHERE id = ?',
-      ['available', chore.id]
+      `INSERT INTO chore_assignments 
+       (chore_id, user_id, assigned_by, status, accepted_at, notes) 
+       VALUES (?, ?, ?, ?, NOW(), ?)`,
+      [chore.id, req.user.id, req.user.id, 'accepted', 'Claimed by child']
     );
+
+    return 'claimed';
   });
 
+  if (outcome === 'limit_reached') {
+    return res.status(409).json({
+      status: 'fail',
+      message: `You can only have ${claimLimit} claimed chores in progress at a time`
+    });
+  }
+
+  const [updatedChore] = await db.query(
+    'SELECT c.*, u.name as assignee_name FROM chores c LEFT JOIN users u ON c.assigned_to = u.id WHERE c.id = ?',
+    [chore.id]
+  );
+
   res.json({
     status: 'success',
-    message: 'Chore declined successfully'
+    message: 'Chore claimed successfully',
+    data: { chore: updatedChore }
   });
 }));
 
-// Submit completed chore
-router.post('/:id/submit', protect, upload.single('photo'), catchAsync(async (req, res) => {
-  // Check if chore exists and is assigned to the user
+// Find a chore waiting for this user's acceptance (single or shared)
+const findChoreAwaitingAcceptance = async (choreId, userId) => {
   const [chore] = await db.query(
-    'SELECT * FROM chores WHERE id = ? AND assigned_to = ? AND status = ?',
-    [req.params.id, req.user.id, 'in_progress']
+    `SELECT * FROM chores 
+     WHERE id = ? AND deleted_at IS NULL AND (
+       (is_shared = 0 AND assigned_to = ? AND status = 'pending_acceptance')
+       OR (is_shared = 1 AND status IN ('pending_acceptance', 'in_progress') AND EXISTS (
+         SELECT 1 FROM chore_assignments 
+         WHERE chore_id = chores.id AND user_id = ? AND status = 'pending'
+       ))
+     )`,
+    [choreId, userId, userId]
   );
+  return chore;
+};
+
+// Accept assigned chore
+router.post('/:id/accept', protect, catchAsync(async (req, res) => {
+  // Check if chore exists and is waiting for the user to accept
+  const chore = await findChoreAwaitingAcceptance(req.params.id, req.user.id);
 
   if (!chore) {
     return res.status(404).json({
       status: 'fail',
-      message: 'Chore not found or not in progress'
+      message: 'Chore not found or not assigned to you'
     });
   }
 
+  if (isStale(req, chore.version)) {
+    return sendStale(res, 'chore', chore);
+  }
+
+  const blockedBy = await getOpenPrerequisites(chore.id);
+  if (blockedBy.length > 0) {
+    return sendBlocked(res, blockedBy);
+  }
+
+  // Update assignment (only while it is still pending, so a double tap can't accept twice)
+  await db.transaction(async (connection) => {
+    const [assignmentResult] = await connection.execute(
+      'UPDATE chore_assignments SET status = ?, accepted_at = NOW() WHERE chore_id = ? AND user_id = ? AND status = ?',
+      ['accepted', chore.id, req.user.id, 'pending']
+    );
+
+    if (assignmentResult.affectedRows === 0) {
+      throw new AppError('This chore has already been accepted or declined', 409);
+    }
+
+    // Shared chores start as soon as one participant accepts
+    if (chore.is_shared) {
+      await syncSharedChoreStatus(connection, chore.id, { actorId: req.user.id, reason: 'Accepted' });
+      return;
+    }
+
+    // Update chore status
+    await transitionChore(connection, chore, 'in_progress', {
+      actorId: req.user.id,
+      reason: 'Accepted',
+      changes: { accepted_at: NOW }
+    });
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Chore accepted successfully'
+  });
+}));
+
+// Decline assigned chore
+router.post('/:id/decline', protect, catchAsync(async (req, res) => {
+  // Check if chore exists and is waiting for the user to accept
+  const chore = await findChoreAwaitingAcceptance(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not assigned to you'
+    });
+  }
+
+  // Update assignment
+  await db.transaction(async (connection) => {
+    await connection.execute(
+      'UPDATE chore_assignments SET status = ?, declined_at = NOW() WHERE chore_id = ? AND user_id = ? AND status = ?',
+      ['declined', chore.id, req.user.id, 'pending']
+    );
+
+    // A shared chore only becomes available again once every participant has dropped out
+    if (chore.is_shared) {
+      await syncSharedChoreStatus(connection, chore.id, { actorId: req.user.id, reason: 'Declined' });
+      return;
+    }
+
+    // Reset chore to available
+    await transitionChore(connection, chore, 'available', {
+      actorId: req.user.id,
+      reason: 'Declined',
+      changes: { assigned_to: null, assigned_at: null }
+    });
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Chore declined successfully'
+  });
+}));
+
+// Find a chore this user is working on (auto-accepted chores count too)
+const findChoreInProgress = async (choreId, userId) => {
+  const [chore] = await db.query(
+    `SELECT * FROM chores 
+     WHERE id = ? AND deleted_at IS NULL AND status IN (?, ?) AND (
+       (is_shared = 0 AND assigned_to = ?)
+       OR (is_shared = 1 AND EXISTS (
+         SELECT 1 FROM chore_assignments 
+         WHERE chore_id = chores.id AND user_id = ? AND status IN ('accepted', 'auto_accepted')
+       ))
+     )`,
+    [choreId, 'in_progress', 'auto_accepted', userId, userId]
+  );
+  return chore;
+};
+
+// Start the work timer on a chore you are doing
+router.post('/:id/start', protect, catchAsync(async (req, res) => {
+  const chore = await findChoreInProgress(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not in progress'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { timer: await startTimer(chore.id, req.user.id) }
+  });
+}));
+
+// Pause the work timer
+router.post('/:id/pause', protect, catchAsync(async (req, res) => {
+  const chore = await findChoreInProgress(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not in progress'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { timer: await pauseTimer(chore.id, req.user.id) }
+  });
+}));
+
+// Resume a paused work timer
+router.post('/:id/resume', protect, catchAsync(async (req, res) => {
+  const chore = await findChoreInProgress(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not in progress'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { timer: await resumeTimer(chore.id, req.user.id) }
+  });
+}));
+
+// Tick off a checklist item (optionally with a photo)
+router.post('/:id/checklist/:itemId/complete', protect, upload.single('photo'), catchAsync(async (req, res) => {
+  const chore = await findChoreInProgress(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not in progress'
+    });
+  }
+
+  const result = await db.query(
+    `UPDATE chore_checklist_items 
+     SET completed_at = NOW(), completed_by = ?, photo_path = COALESCE(?, photo_path) 
+     WHERE id = ? AND chore_id = ?`,
+    [req.user.id, req.file ? req.file.path : null, req.params.itemId, chore.id]
+  );
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Checklist item not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { checklist: await getChecklist(chore.id) }
+  });
+}));
+
+// Untick a checklist item
+router.delete('/:id/checklist/:itemId/complete', protect, catchAsync(async (req, res) => {
+  const chore = await findChoreInProgress(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not in progress'
+    });
+  }
+
+  const result = await db.query(
+    `UPDATE chore_checklist_items 
+     SET completed_at = NULL, completed_by = NULL, photo_path = NULL 
+     WHERE id = ? AND chore_id = ?`,
+    [req.params.itemId, chore.id]
+  );
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Checklist item not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { checklist: await getChecklist(chore.id) }
+  });
+}));
+
+// Submit completed chore
+router.post('/:id/submit', protect, upload.single('photo'), catchAsync(async (req, res) => {
+  // Check if chore exists and the user is working on it
+  const chore = await findChoreInProgress(req.params.id, req.user.id);
+
+  if (!chore) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Chore not found or not in progress'
+    });
+  }
+
+  if (isStale(req, chore.version)) {
+    return sendStale(res, 'chore', chore);
+  }
+
   // Check if photo is required but not provided
   if (chore.requires_photo && !req.file) {
     return res.status(400).json({
@@ -462,43 +1100,118 @@ router.post('/:id/submit', protect, upload.single('photo'), catchAsync(async (re
     });
   }
 
+  // Coordinates from the browser are checked against the chore's required place
+  const { coordinates, error: locationError } = parseCoordinates(req.body);
+  if (locationError) {
+    return res.status(400).json({
+      status: 'fail',
+      message: locationError
+    });
+  }
+
+  // Every required checklist item must be ticked first
+  const incompleteItems = await getIncompleteRequiredItems(chore.id);
+  if (incompleteItems.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Complete all required checklist items before submitting',
+      incomplete_items: incompleteItems
+    });
+  }
+
   // Get the latest assignment
   const [assignment] = await db.query(
     'SELECT * FROM chore_assignments WHERE chore_id = ? AND user_id = ? ORDER BY assigned_at DESC LIMIT 1',
     [chore.id, req.user.id]
   );
 
+  if (chore.is_shared) {
+    const participants = await getParticipants(chore.id);
+    const own = participants.find(p => p.user_id === req.user.id);
+    if (own && own.submission_status === 'pending') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You have already submitted this chore'
+      });
+    }
+  }
+
+  // Each resubmission after a revision request starts a new round
+  const [revisions] = await db.query(
+    'SELECT COUNT(*) as count FROM chore_submissions WHERE chore_id = ? AND user_id = ? AND status = ?',
+    [chore.id, req.user.id, 'needs_revision']
+  );
+
+  const settings = await getFamilySettings(chore.family_id);
+
+  // Out-of-bounds (or location-less) submissions are flagged for the approving parent
+  const requiredPlace = chore.required_place_id ? await getPlace(chore.required_place_id, chore.family_id) : null;
+  const location = verifyLocation(requiredPlace, coordinates);
+
   // Create submission
   const result = await db.transaction(async (connection) => {
+    // Stop the work timer; its active time becomes the submission's time_taken
+    const timeTaken = await stopTimer(connection, chore.id, req.user.id);
+
     // Create submission record
     const [submissionResult] = await connection.execute(
       `INSERT INTO chore_submissions 
-       (chore_id, user_id, assignment_id, photo_path, notes, submitted_at, status) 
-       VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+       (chore_id, user_id, assignment_id, photo_path, notes, submitted_at, status, revision_round, 
+        time_taken, time_flagged, location_data, location_flagged) 
+       VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?)`,
       [
         chore.id, 
         req.user.id, 
         assignment ? assignment.id : null, 
         req.file ? req.file.path : null, 
         req.body.notes || null, 
-        'pending'
+        'pending',
+        revisions.count + 1,
+        timeTaken,
+        isImplausiblyShort(settings, timeTaken, chore.estimated_duration) ? 1 : 0,
+        location ? JSON.stringify(location) : null,
+        location && location.place_id && !location.within ? 1 : 0
       ]
     );
 
-    // Update chore status
-    await connection.execute(
-      'UPDATE chores SET status = ?, updated_at = NOW() WHERE id = ?',
-      ['pending_approval', chore.id]
-    );
+    // In individual mode a shared chore waits until every participant has submitted
+    let waitingFor = [];
+    if (chore.is_shared && chore.submission_mode === 'individual') {
+      const participants = await getParticipants(chore.id, connection);
+      waitingFor = participants
+        .filter(p => p.assignment_status === 'pending' || p.submission_status !== 'pending')
+        .map(p => p.user_name);
+    }
+
+    if (waitingFor.length === 0) {
+      // Participants who never accepted a shared chore drop out once it is handed in
+      if (chore.is_shared) {
+        await connection.execute(
+          'UPDATE chore_assignments SET status = ? WHERE chore_id = ? AND status = ?',
+          ['expired', chore.id, 'pending']
+        );
+      }
 
-    return submissionResult.insertId;
+      // Update chore status and lock in the reward earned at submission time
+      await transitionChore(connection, chore, 'pending_approval', {
+        actorId: req.user.id,
+        reason: 'Submitted',
+        details: { submission_id: submissionResult.insertId },
+        changes: { current_reward: chore.reward_policy ? computeReward(chore, new Date(), await getFamilyTimezone(chore.family_id)).current_reward : chore.current_reward }
+      });
+    }
+
+    return { submissionId: submissionResult.insertId, waitingFor };
   });
 
-  const [submission] = await db.query('SELECT * FROM chore_submissions WHERE id = ?', [result]);
+  const [submission] = await db.query('SELECT * FROM chore_submissions WHERE id = ?', [result.submissionId]);
 
   res.status(201).json({
     status: 'success',
-    data: { submission }
+    data: {
+      submission,
+      waiting_for: result.waitingFor
+    }
   });
 }));
 
@@ -512,84 +1225,90 @@ router.post('/:id/approve', protect, catchAsync(async (req, res) => {
     });
   }
 
-  // Check if chore exists and belongs to the family
-  const [chore] = await db.query(
-    'SELECT c.*, u.name as assignee_name FROM chores c JOIN users u ON c.assigned_to = u.id WHERE c.id = ? AND c.family_id = ? AND c.status = ?',
-    [req.params.id, req.user.family_id, 'pending_approval']
-  );
-
-  if (!chore) {
-    return res.status(404).json({
+  const { options, error } = parseApprovalOptions(req.body);
+  if (error) {
+    return res.status(400).json({
       status: 'fail',
-      message: 'Chore not found or not pending approval'
+      message: error
     });
   }
 
-  // Get the latest submission
-  const [submission] = await db.query(
-    'SELECT * FROM chore_submissions WHERE chore_id = ? AND user_id = ? ORDER BY submitted_at DESC LIMIT 1',
-    [chore.id, chore.assigned_to]
-  );
+  const settings = await getFamilySettings(req.user.family_id);
 
-  if (!submission) {
-    return res.status(404).json({
+  // Process approval
+  const { chore, result, stale } = await db.transaction(async (connection) => {
+    const chore = await lockChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return { stale: chore };
+    }
+
+    const result = await approveChore(connection, chore, { ...options, reviewerId: req.user.id, settings });
+    return { chore, result };
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  // Chores waiting on this one may be free to start now
+  const unblockedIds = await runTransitionEffects([result.transition]);
+
+  res.json({
+    status: 'success',
+    message: describeApproval(chore, result),
+    data: {
+      quality_rating: result.rating,
+      bonus: result.totalBonus,
+      credit_percent: result.creditPercent,
+      follow_up_chore_id: result.followUpChoreId,
+      unblocked_chore_ids: unblockedIds,
+      payouts: result.payouts.map(p => ({ user_id: p.userId, reward: parseFloat(p.amount), bonus: p.bonus })),
+      handoff: result.handoff ? { user_id: result.handoff.userId, reward: parseFloat(result.handoff.amount) } : null
+    }
+  });
+}));
+
+// Reverse an approval within the family's window, taking the reward back (parent only)
+router.post('/:id/unapprove', protect, catchAsync(async (req, res) => {
+  // Only parents can reverse approvals
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
       status: 'fail',
-      message: 'No submission found for this chore'
+      message: 'Only parents can reverse approvals'
     });
   }
 
-  // Process approval
-  await db.transaction(async (connection) => {
-    // Update submission status
-    await connection.execute(
-      'UPDATE chore_submissions SET status = ?, reviewed_at = NOW(), reviewed_by = ? WHERE id = ?',
-      ['approved', req.user.id, submission.id]
-    );
-
-    // Create completed task record
-    await connection.execute(
-      `INSERT INTO completed_tasks 
-       (chore_id, user_id, submission_id, chore_title, chore_description, reward_type, reward_earned, 
-        completed_at, approved_by, approved_at, photo_path, notes) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)`,
-      [
-        chore.id, 
-        chore.assigned_to, 
-        submission.id, 
-        chore.title, 
-        chore.description, 
-        chore.reward_type, 
-        chore.current_reward, 
-        submission.submitted_at, 
-        req.user.id, 
-        submission.photo_path, 
-        submission.notes
-      ]
-    );
+  const settings = await getFamilySettings(req.user.family_id);
 
-    // Update user earnings
-    if (chore.reward_type === 'money') {
-      await connection.execute(
-        'UPDATE users SET earnings = earnings + ? WHERE id = ?',
-        [chore.current_reward, chore.assigned_to]
-      );
-    } else if (chore.reward_type === 'screen_time') {
-      await connection.execute(
-        'UPDATE users SET screen_time_earned = screen_time_earned + ? WHERE id = ?',
-        [chore.current_reward, chore.assigned_to]
-      );
+  const { result, stale } = await db.transaction(async (connection) => {
+    const chore = await lockChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return { stale: chore };
     }
 
-    // Update chore status
-    await connection.execute(
-      'UPDATE chores SET status = ?, completed_at = NOW(), updated_at = NOW() WHERE id = ?',
-      ['completed', chore.id]
-    );
+    const result = await unapproveChore(connection, chore, { reviewerId: req.user.id, reason: req.body.reason, settings });
+    return { result };
   });
 
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  // Tell the children who were paid; a cancelled follow-up may unblock others
+  await runTransitionEffects(result.transitions);
+
+  const [chore] = await db.query('SELECT * FROM chores WHERE id = ?', [req.params.id]);
+
+  res.set('ETag', etagFor(chore.version));
   res.json({
     status: 'success',
-    message: `Chore approved and ${chore.reward_type === 'money' ? '$' + chore.current_reward : chore.current_reward + ' minutes'} awarded to ${chore.assignee_name}`
+    message: 'Approval reversed; the chore is waiting for review again',
+    data: {
+      chore,
+      reversals: result.reversals.map(r => ({ user_id: r.userId, completed_task_id: r.completedTaskId, amount: r.amount })),
+      revoked_achievements: result.revokedAchievements,
+      cancelled_follow_up_ids: result.transitions.slice(1).map(transition => transition.choreId)
+    }
   });
 }));
 
@@ -605,9 +1324,69 @@ router.post('/:id/reject', protect, catchAsync(async (req, res) => {
 
   const { feedback } = req.body;
 
+  // Process rejection
+  const stale = await db.transaction(async (connection) => {
+    const chore = await lockChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return chore;
+    }
+
+    await rejectChore(connection, chore, { reviewerId: req.user.id, feedback });
+    return null;
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Chore submission rejected'
+  });
+}));
+
+// Send a submission back for specific fixes (parent only)
+router.post('/:id/request-revision', protect, catchAsync(async (req, res) => {
+  // Only parents can request revisions
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can request revisions'
+    });
+  }
+
+  const { feedback, checklist_item_ids, photo_annotations } = req.body;
+
+  if (!feedback && !checklist_item_ids && !photo_annotations) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Say what needs fixing with feedback, checklist_item_ids or photo_annotations'
+    });
+  }
+
+  if (checklist_item_ids !== undefined && (!Array.isArray(checklist_item_ids) || checklist_item_ids.some(id => !Number.isInteger(Number(id))))) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'checklist_item_ids must be an array of item IDs'
+    });
+  }
+
+  // Annotations mark spots on the photo: { x, y } as fractions of its size, plus a note
+  const annotationsValid = photo_annotations === undefined || (Array.isArray(photo_annotations) && photo_annotations.every(a =>
+    a && typeof a.x === 'number' && a.x >= 0 && a.x <= 1 &&
+    typeof a.y === 'number' && a.y >= 0 && a.y <= 1 &&
+    typeof a.note === 'string' && a.note.length <= 500));
+
+  if (!annotationsValid) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'photo_annotations must be a list of { x, y, note } with x and y between 0 and 1'
+    });
+  }
+
   // Check if chore exists and belongs to the family
   const [chore] = await db.query(
-    'SELECT * FROM chores WHERE id = ? AND family_id = ? AND status = ?',
+    'SELECT * FROM chores WHERE id = ? AND family_id = ? AND status = ? AND deleted_at IS NULL',
     [req.params.id, req.user.family_id, 'pending_approval']
   );
 
@@ -618,76 +1397,320 @@ router.post('/:id/reject', protect, catchAsync(async (req, res) => {
     });
   }
 
-  // Get the latest submission
-  const [submission] = await db.query(
-    'SELECT * FROM chore_submissions WHERE chore_id = ? AND user_id = ? ORDER BY submitted_at DESC LIMIT 1',
-    [chore.id, chore.assigned_to]
+  const submissions = await db.query(
+    'SELECT * FROM chore_submissions WHERE chore_id = ? AND status = ? ORDER BY submitted_at DESC',
+    [chore.id, 'pending']
   );
 
-  if (!submission) {
+  if (submissions.length === 0) {
     return res.status(404).json({
       status: 'fail',
       message: 'No submission found for this chore'
     });
   }
 
-  // Process rejection
-  await db.transaction(async (connection) => {
-    // Update submission status
+  const settings = await getFamilySettings(req.user.family_id);
+  const round = Math.max(...submissions.map(submission => submission.revision_round || 1));
+
+  if (settings.max_revision_rounds !== null && round > settings.max_revision_rounds) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `This chore has already been revised ${settings.max_revision_rounds} times; approve or reject it instead`
+    });
+  }
+
+  // Tagged checklist items must belong to this chore
+  const itemIds = (checklist_item_ids || []).map(Number);
+  if (itemIds.length > 0) {
+    const items = await db.query(
+      `SELECT id FROM chore_checklist_items WHERE chore_id = ? AND id IN (${itemIds.map(() => '?').join(', ')})`,
+      [chore.id, ...itemIds]
+    );
+    if (items.length !== new Set(itemIds).size) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Some checklist items do not belong to this chore'
+      });
+    }
+  }
+
+  const revisionRequest = {
+    checklist_item_ids: itemIds,
+    photo_annotations: photo_annotations || []
+  };
+
+  const stale = await db.transaction(async (connection) => {
+    const current = await lockChore(connection, chore.id, req.user.family_id);
+    if (isStale(req, current.version)) {
+      return current;
+    }
+
+    // Every open submission goes back (all participants of a shared chore)
     await connection.execute(
-      'UPDATE chore_submissions SET status = ?, reviewed_at = NOW(), reviewed_by = ?, review_notes = ? WHERE id = ?',
-      ['rejected', req.user.id, feedback || 'Needs improvement', submission.id]
+      `UPDATE chore_submissions 
+       SET status = ?, reviewed_at = NOW(), reviewed_by = ?, review_notes = ?, revision_request = ? 
+       WHERE chore_id = ? AND status = ?`,
+      ['needs_revision', req.user.id, feedback || null, JSON.stringify(revisionRequest), chore.id, 'pending']
     );
 
+    // Tagged checklist items have to be done again
+    if (itemIds.length > 0) {
+      await connection.execute(
+        `UPDATE chore_checklist_items SET completed_at = NULL, completed_by = NULL, photo_path = NULL 
+         WHERE chore_id = ? AND id IN (${itemIds.map(() => '?').join(', ')})`,
+        [chore.id, ...itemIds]
+      );
+    }
+
     // Update chore status back to in progress
-    await connection.execute(
-      'UPDATE chores SET status = ?, updated_at = NOW() WHERE id = ?',
-      ['in_progress', chore.id]
+    await transitionChore(connection, current, 'in_progress', {
+      actorId: req.user.id,
+      reason: feedback || 'Revision requested',
+      details: { revision_round: round }
+    });
+    return null;
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  res.json({
+    status: 'success',
+    message: `Revision requested (round ${round})`,
+    data: {
+      round,
+      rounds_left: settings.max_revision_rounds === null ? null : settings.max_revision_rounds - round,
+      revision_request: revisionRequest
+    }
+  });
+}));
+
+// Get the review timeline of a chore: every submission round with its outcome
+router.get('/:id/revisions', protect, checkChoreAccess, catchAsync(async (req, res) => {
+  const rounds = await db.query(
+    `SELECT cs.id, cs.user_id, u.name as submitted_by_name, cs.assignment_id, cs.revision_round,
+            cs.submitted_at, cs.photo_path, cs.notes, cs.status, cs.reviewed_at,
+            cs.reviewed_by, r.name as reviewed_by_name, cs.review_notes, cs.revision_request
+     FROM chore_submissions cs
+     JOIN users u ON cs.user_id = u.id
+     LEFT JOIN users r ON cs.reviewed_by = r.id
+     WHERE cs.chore_id = ?
+     ORDER BY cs.submitted_at ASC, cs.id ASC`,
+    [req.params.id]
+  );
+
+  res.json({
+    status: 'success',
+    data: { rounds }
+  });
+}));
+
+// Get the status history of a chore: every status change with who made it and why
+router.get('/:id/history', protect, checkChoreAccess, catchAsync(async (req, res) => {
+  const history = await getStatusHistory(req.params.id);
+
+  res.json({
+    status: 'success',
+    data: { history }
+  });
+}));
+
+// Add a comment to a chore's thread (text, optional photo from /api/uploads)
+router.post('/:id/comments', protect, checkChoreAccess, catchAsync(async (req, res) => {
+  const { body, upload_id } = req.body;
+  const text = typeof body === 'string' ? body.trim() : '';
+
+  if (!text && !upload_id) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'A comment needs text or a photo'
+    });
+  }
+
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Comments can be at most ${MAX_COMMENT_LENGTH} characters`
+    });
+  }
+
+  // Attachments go through the uploads pipeline first and must belong to the family
+  if (upload_id) {
+    const [upload] = await db.query(
+      'SELECT id FROM uploads WHERE id = ? AND family_id = ?',
+      [upload_id, req.user.family_id]
     );
+    if (!upload) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Upload not found'
+      });
+    }
+  }
+
+  const members = await db.query(
+    'SELECT id, name FROM users WHERE family_id = ? AND is_active = 1',
+    [req.user.family_id]
+  );
+  const mentionedIds = findMentions(text, members);
+
+  const result = await db.query(
+    'INSERT INTO chore_comments (chore_id, user_id, body, upload_id, mentions) VALUES (?, ?, ?, ?, ?)',
+    [req.params.id, req.user.id, text, upload_id || null, JSON.stringify(mentionedIds)]
+  );
+
+  // Authors have read their own comment
+  await markCommentsRead(req.params.id, req.user.id);
+
+  await notifyChoreComment({
+    choreId: Number(req.params.id),
+    commentId: result.insertId,
+    authorId: req.user.id,
+    mentionedIds
   });
 
+  const comment = (await getComments(req.params.id)).find(c => c.id === result.insertId);
+
+  res.status(201).json({
+    status: 'success',
+    data: { comment }
+  });
+}));
+
+// Delete a comment (its author or a parent)
+router.delete('/:id/comments/:commentId', protect, checkChoreAccess, catchAsync(async (req, res) => {
+  const [comment] = await db.query(
+    'SELECT * FROM chore_comments WHERE id = ? AND chore_id = ?',
+    [req.params.commentId, req.params.id]
+  );
+
+  if (!comment) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Comment not found'
+    });
+  }
+
+  if (comment.user_id !== req.user.id && req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'You can only delete your own comments'
+    });
+  }
+
+  await db.query('DELETE FROM chore_comments WHERE id = ?', [comment.id]);
+
   res.json({
     status: 'success',
-    message: 'Chore submission rejected'
+    message: 'Comment deleted'
   });
 }));
 
-// Delete chore (parent only)
-router.delete('/:id', protect, catchAsync(async (req, res) => {
-  // Only parents can delete chores
+// Cancel a chore, keeping it and its history (parent only)
+router.post('/:id/cancel', protect, catchAsync(async (req, res) => {
+  // Only parents can cancel chores
   if (req.user.role !== 'parent') {
     return res.status(403).json({
       status: 'fail',
-      message: 'Only parents can delete chores'
+      message: 'Only parents can cancel chores'
     });
   }
 
-  // Check if chore exists and belongs to the family
-  const [chore] = await db.query(
-    'SELECT * FROM chores WHERE id = ? AND family_id = ?',
-    [req.params.id, req.user.family_id]
-  );
+  const { reason } = req.body;
 
-  if (!chore) {
-    return res.status(404).json({
+  const { transition, stale } = await db.transaction(async (connection) => {
+    const chore = await lockChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return { stale: chore };
+    }
+
+    return { transition: await cancelChore(connection, chore, { cancelledBy: req.user.id, reason }) };
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  // Tell the assignees, and the holders of chores this one no longer blocks
+  const unblockedIds = await runTransitionEffects([transition]);
+
+  const [chore] = await db.query('SELECT * FROM chores WHERE id = ?', [req.params.id]);
+
+  res.set('ETag', etagFor(chore.version));
+  res.json({
+    status: 'success',
+    message: 'Chore cancelled',
+    data: {
+      chore,
+      unblocked_chore_ids: unblockedIds
+    }
+  });
+}));
+
+// Take a chore back out of the trash (parent only)
+router.post('/:id/restore', protect, catchAsync(async (req, res) => {
+  // Only parents can restore chores
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
       status: 'fail',
-      message: 'Chore not found'
+      message: 'Only parents can restore chores'
     });
   }
 
-  // Don't allow deletion of completed chores
-  if (chore.status === 'completed') {
-    return res.status(400).json({
+  const stale = await db.transaction(async (connection) => {
+    const chore = await lockTrashedChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return chore;
+    }
+
+    await restoreChore(connection, chore, { restoredBy: req.user.id });
+    return null;
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  const [chore] = await db.query('SELECT * FROM chores WHERE id = ?', [req.params.id]);
+
+  res.set('ETag', etagFor(chore.version));
+  res.json({
+    status: 'success',
+    message: 'Chore restored',
+    data: { chore }
+  });
+}));
+
+// Move a chore to the trash (parent only); it is purged after TRASH_RETENTION_DAYS
+router.delete('/:id', protect, catchAsync(async (req, res) => {
+  // Only parents can delete chores
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
       status: 'fail',
-      message: 'Completed chores cannot be deleted'
+      message: 'Only parents can delete chores'
     });
   }
 
-  await db.query('DELETE FROM chores WHERE id = ?', [req.params.id]);
+  const { transition, stale } = await db.transaction(async (connection) => {
+    const chore = await lockChore(connection, req.params.id, req.user.family_id);
+    if (isStale(req, chore.version)) {
+      return { stale: chore };
+    }
+
+    return { transition: await deleteChore(connection, chore, { deletedBy: req.user.id }) };
+  });
+
+  if (stale) {
+    return sendStale(res, 'chore', stale);
+  }
+
+  // Chores this one was blocking can start now
+  await runTransitionEffects([transition]);
 
   res.json({
     status: 'success',
-    message: 'Chore deleted successfully'
+    message: `Chore moved to the trash; it can be restored for ${TRASH_RETENTION_DAYS} days`
   });
 }));
 
@@ -3,6 +3,10 @@ const bcrypt = require('bcryptjs');
 const { protect, restrictTo, checkFamilyAccess } = require('../middleware/auth');
 const { catchAsync } = require('../middleware/errorHandler');
 const db = require('../config/database');
+const { getFamilySettings, validateSettings, updateFamilySettings } = require('../utils/familySettings');
+const { validatePlace, getPlace } = require('../utils/places');
+const { isValidTimezone, getFamilyTimezone } = require('../utils/timezones');
+const { setFamilyTimezone } = require('../utils/recurringGeneration');
 
 const router = express.Router();
 
@@ -72,4 +76,219 @@ router.post('/:familyId/members', protect, checkFamilyAccess, catchAsync(async (
   });
 }));
 
+// Get family chore settings and timezone
+router.get('/:familyId/settings', protect, checkFamilyAccess, catchAsync(async (req, res) => {
+  const settings = await getFamilySettings(req.params.familyId);
+
+  res.json({
+    status: 'success',
+    data: {
+      settings,
+      timezone: await getFamilyTimezone(req.params.familyId)
+    }
+  });
+}));
+
+// Update family chore settings
+// Body: any settings, and timezone (an IANA name such as Europe/London) to move
+// the family's recurring chores to that timezone's local time
+router.patch('/:familyId/settings', protect, checkFamilyAccess, catchAsync(async (req, res) => {
+  // Only parents can change family settings
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can change family settings'
+    });
+  }
+
+  const { timezone, ...updates } = req.body || {};
+
+  if (Object.keys(updates).length === 0 && timezone === undefined) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'No settings to update'
+    });
+  }
+
+  const errors = validateSettings(updates);
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    errors.push('timezone must be an IANA timezone such as Europe/London');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid settings',
+      errors
+    });
+  }
+
+  const settings = Object.keys(updates).length > 0
+    ? await updateFamilySettings(req.params.familyId, updates)
+    : await getFamilySettings(req.params.familyId);
+
+  if (timezone !== undefined) {
+    await setFamilyTimezone(req.params.familyId, timezone);
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      settings,
+      timezone: await getFamilyTimezone(req.params.familyId)
+    }
+  });
+}));
+
+// Get the family's named places
+router.get('/:familyId/places', protect, checkFamilyAccess, catchAsync(async (req, res) => {
+  const places = await db.query(
+    'SELECT * FROM family_places WHERE family_id = ? ORDER BY name ASC',
+    [req.params.familyId]
+  );
+
+  res.json({
+    status: 'success',
+    data: { places }
+  });
+}));
+
+// Add a named place (parent only)
+router.post('/:familyId/places', protect, checkFamilyAccess, catchAsync(async (req, res) => {
+  // Only parents can manage places
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can manage places'
+    });
+  }
+
+  const errors = validatePlace(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid place',
+      errors
+    });
+  }
+
+  const { name, latitude, longitude, radius_meters } = req.body;
+
+  const [existing] = await db.query(
+    'SELECT id FROM family_places WHERE family_id = ? AND name = ?',
+    [req.params.familyId, name.trim()]
+  );
+
+  if (existing) {
+    return res.status(409).json({
+      status: 'fail',
+      message: 'A place with this name already exists'
+    });
+  }
+
+  const result = await db.query(
+    `INSERT INTO family_places (family_id, name, latitude, longitude, radius_meters, created_by) 
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [req.params.familyId, name.trim(), Number(latitude), Number(longitude), Number(radius_meters), req.user.id]
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: { place: await getPlace(result.insertId, req.params.familyId) }
+  });
+}));
+
+// Update a named place (parent only)
+router.patch('/:familyId/places/:placeId', protect, checkFamilyAccess, catchAsync(async (req, res) => {
+  // Only parents can manage places
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can manage places'
+    });
+  }
+
+  const place = await getPlace(req.params.placeId, req.params.familyId);
+  if (!place) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Place not found'
+    });
+  }
+
+  const errors = validatePlace(req.body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid place',
+      errors
+    });
+  }
+
+  const { name, latitude, longitude, radius_meters } = req.body;
+
+  if (name !== undefined) {
+    const [existing] = await db.query(
+      'SELECT id FROM family_places WHERE family_id = ? AND name = ? AND id != ?',
+      [req.params.familyId, name.trim(), place.id]
+    );
+
+    if (existing) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'A place with this name already exists'
+      });
+    }
+  }
+
+  await db.query(
+    `UPDATE family_places SET 
+      name = COALESCE(?, name),
+      latitude = COALESCE(?, latitude),
+      longitude = COALESCE(?, longitude),
+      radius_meters = COALESCE(?, radius_meters),
+      updated_at = NOW()
+     WHERE id = ?`,
+    [
+      name !== undefined ? name.trim() : null,
+      latitude !== undefined ? Number(latitude) : null,
+      longitude !== undefined ? Number(longitude) : null,
+      radius_meters !== undefined ? Number(radius_meters) : null,
+      place.id
+    ]
+  );
+
+  res.json({
+    status: 'success',
+    data: { place: await getPlace(place.id, req.params.familyId) }
+  });
+}));
+
+// Remove a named place (parent only); chores that required it no longer check location
+router.delete('/:familyId/places/:placeId', protect, checkFamilyAccess, catchAsync(async (req, res) => {
+  // Only parents can manage places
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can manage places'
+    });
+  }
+
+  const result = await db.query(
+    'DELETE FROM family_places WHERE id = ? AND family_id = ?',
+    [req.params.placeId, req.params.familyId]
+  );
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Place not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Place deleted'
+  });
+}));
+
 module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  exportPack,
+  validatePackShape,
+  planPackImport,
+  applyPackImport,
+  planCsvImport,
+  applyCsvImport
+} = require('../utils/chorePacks');
+const router = express.Router();
+
+// Only parents can export or import chores
+const requireParent = (req, res, next) => {
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only parents can export or import chores'
+    });
+  }
+  next();
+};
+
+// Drop the prepared insert bodies from a plan before sending it
+const presentPlan = (plan) => ({
+  members: plan.members,
+  templates: plan.templates.map(({ body, ...item }) => item),
+  recurring: plan.recurring.map(({ body, ...item }) => item),
+  valid: plan.valid
+});
+
+// Validate the pack in a request body and plan its import
+const planFromRequest = async (req, res) => {
+  const { pack, match_members_by, member_map, on_conflict } = req.body;
+
+  const errors = validatePackShape(pack);
+  if (errors.length > 0) {
+    res.status(400).json({
+      status: 'fail',
+      message: 'Invalid chore pack',
+      errors
+    });
+    return null;
+  }
+
+  return await planPackImport(pack, req.user.family_id, { match_members_by, member_map, on_conflict });
+};
+
+// Export the family's templates and recurring chores as a chore pack
+// Query: download=true to receive the pack as a file
+router.get('/export', protect, requireParent, catchAsync(async (req, res) => {
+  const pack = await exportPack(req.user.family_id);
+
+  if (req.query.download === 'true') {
+    res.set('Content-Disposition', 'attachment; filename="chore-pack.json"');
+    return res.json(pack);
+  }
+
+  res.json({
+    status: 'success',
+    data: { pack }
+  });
+}));
+
+// Preview importing a chore pack: member matches, conflicts and errors
+// Body: { pack, match_members_by: 'name' | 'role', member_map: { key: userId }, on_conflict: 'skip' | 'create' }
+router.post('/import/preview', protect, requireParent, catchAsync(async (req, res) => {
+  const plan = await planFromRequest(req, res);
+  if (!plan) {
+    return;
+  }
+
+  res.json({
+    status: 'success',
+    data: { preview: presentPlan(plan) }
+  });
+}));
+
+// Import a chore pack (same body as the preview)
+router.post('/import', protect, requireParent, catchAsync(async (req, res) => {
+  const plan = await planFromRequest(req, res);
+  if (!plan) {
+    return;
+  }
+
+  if (!plan.valid) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'This pack has items that would not import; see the preview for details',
+      data: { preview: presentPlan(plan) }
+    });
+  }
+
+  const created = await applyPackImport(plan, { familyId: req.user.family_id, user: req.user });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      created,
+      preview: presentPlan(plan)
+    }
+  });
+}));
+
+// Bulk-create chores and recurring chores from CSV
+// Body: { csv, dry_run }. Nothing is created unless every row is valid.
+router.post('/import/csv', protect, requireParent, catchAsync(async (req, res) => {
+  const { csv, dry_run } = req.body;
+
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'csv is required'
+    });
+  }
+
+  const { rows, errors } = await planCsvImport(csv, req.user.family_id);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Some rows are invalid; nothing was imported',
+      errors
+    });
+  }
+
+  if (dry_run) {
+    return res.json({
+      status: 'success',
+      data: { rows: rows.map(({ row, type, title }) => ({ row, type, title })) }
+    });
+  }
+
+  const created = await applyCsvImport(rows, { familyId: req.user.family_id, user: req.user });
+
+  res.status(201).json({
+    status: 'success',
+    data: { created }
+  });
+}));
+
+module.exports = router;
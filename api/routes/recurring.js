@@ -2,14 +2,39 @@ const express = require('express');
 const { protect } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const db = require('../config/database');
+const { getTemplate, applyTemplate } = require('../utils/templates');
+const { validateNewRecurringChore, insertRecurringChore } = require('../utils/choreCreation');
+const { getDependencyIds, validateDependencies, replaceDependencies } = require('../utils/dependencies');
+const { etagFor, isStale, sendStale } = require('../utils/etags');
+const { validateSchedule, firstDueDate, upcomingOccurrences, parseDaysOfWeek, parseDueTimes } = require('../utils/recurrence');
+const { findDueRecurringChores, generateSlot, generateDueSlots } = require('../utils/recurringGeneration');
+const { endOfZonedDay, getFamilyTimezone } = require('../utils/timezones');
+const { getPlace } = require('../utils/places');
 const router = express.Router();
 
+// Load a family's recurring chore with the creator's and assignee's names and
+// the family's timezone, which its due dates and upcoming slots are local to
+const findRecurringChore = async (id, familyId) => {
+  const [recurringChore] = await db.query(
+    `SELECT rc.*, f.timezone, u.name as created_by_name, 
+     CASE WHEN rc.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
+     FROM recurring_chores rc
+     JOIN families f ON rc.family_id = f.id
+     JOIN users u ON rc.created_by = u.id
+     LEFT JOIN users au ON rc.assigned_to = au.id
+     WHERE rc.id = ? AND rc.family_id = ?`,
+    [id, familyId]
+  );
+  return recurringChore;
+};
+
 // Get all recurring chores for the family
 router.get('/', protect, catchAsync(async (req, res) => {
   const recurringChores = await db.query(
-    `SELECT rc.*, u.name as created_by_name, 
+    `SELECT rc.*, f.timezone, u.name as created_by_name, 
      CASE WHEN rc.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
      FROM recurring_chores rc
+     JOIN families f ON rc.family_id = f.id
      JOIN users u ON rc.created_by = u.id
      LEFT JOIN users au ON rc.assigned_to = au.id
      WHERE rc.family_id = ?
@@ -25,15 +50,7 @@ router.get('/', protect, catchAsync(async (req, res) => {
 
 // Get a single recurring chore
 router.get('/:id', protect, catchAsync(async (req, res) => {
-  const [recurringChore] = await db.query(
-    `SELECT rc.*, u.name as created_by_name, 
-     CASE WHEN rc.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
-     FROM recurring_chores rc
-     JOIN users u ON rc.created_by = u.id
-     LEFT JOIN users au ON rc.assigned_to = au.id
-     WHERE rc.id = ? AND rc.family_id = ?`,
-    [req.params.id, req.user.family_id]
-  );
+  const recurringChore = await findRecurringChore(req.params.id, req.user.family_id);
 
   if (!recurringChore) {
     throw new AppError('Recurring chore not found', 404);
@@ -53,10 +70,18 @@ router.get('/:id', protect, catchAsync(async (req, res) => {
     [req.params.id]
   );
 
+  // Recurring definitions whose chores must be approved first
+  const dependsOn = await getDependencyIds('recurring', recurringChore.id);
+
+  res.set('ETag', etagFor(recurringChore.version));
   res.json({
     status: 'success',
     data: { 
       recurringChore,
+      depends_on: dependsOn,
+      upcoming: recurringChore.next_due_date
+        ? upcomingOccurrences(recurringChore, recurringChore.next_due_date)
+        : [],
       history
     }
   });
@@ -69,131 +94,34 @@ router.post('/', protect, catchAsync(async (req, res) => {
     throw new AppError('Only parents can create recurring chores', 403);
   }
 
-  const {
-    title,
-    description,
-    reward_type,
-    reward_amount,
-    requires_photo,
-    frequency,
-    day_of_week,
-    day_of_month,
-    custom_schedule,
-    start_date,
-    end_date,
-    auto_assign,
-    assigned_to,
-    rotation_type,
-    rotation_members,
-    priority,
-    estimated_duration,
-    difficulty_level,
-    category,
-    template_id
-  } = req.body;
-
-  // Validate required fields
-  if (!title || !frequency || !start_date || !reward_type || !reward_amount) {
-    throw new AppError('Missing required fields', 400);
+  // Fields left out of the request are taken from the template, if one is given
+  let body = req.body;
+  if (req.body.template_id) {
+    const template = await getTemplate(req.body.template_id, req.user.family_id, { activeOnly: true });
+    if (!template) {
+      throw new AppError('Template not found', 400);
+    }
+    body = applyTemplate(template, req.body);
   }
 
-  // Calculate next due date based on frequency
-  let nextDueDate = new Date(start_date);
-  
-  // Set the time to 9:00 AM
-  nextDueDate.setHours(9, 0, 0, 0);
-  
-  // If the calculated date is in the past, move to the next occurrence
-  if (nextDueDate < new Date()) {
-    switch (frequency) {
-      case 'daily':
-        nextDueDate.setDate(nextDueDate.getDate() + 1);
-        break;
-      case 'weekly':
-        if (day_of_week) {
-          // Find the next occurrence of the specified day of week
-          const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-          const targetDay = daysOfWeek.indexOf(day_of_week.toLowerCase());
-          if (targetDay !== -1) {
-            const currentDay = nextDueDate.getDay();
-            const daysToAdd = (targetDay + 7 - currentDay) % 7;
-            nextDueDate.setDate(nextDueDate.getDate() + daysToAdd);
-          } else {
-            nextDueDate.setDate(nextDueDate.getDate() + 7);
-          }
-        } else {
-          nextDueDate.setDate(nextDueDate.getDate() + 7);
-        }
-        break;
-      case 'monthly':
-        if (day_of_month) {
-          // Set to the specified day of the month
-          nextDueDate.setDate(day_of_month);
-          // If this date is still in the past, move to next month
-          if (nextDueDate < new Date()) {
-            nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-          }
-        } else {
-          nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-        }
-        break;
-      case 'custom':
-        // Custom schedules would need more complex logic
-        // For now, just set it to tomorrow
-        nextDueDate.setDate(nextDueDate.getDate() + 1);
-        break;
-    }
+  const errors = await validateNewRecurringChore(body, req.user.family_id);
+  if (errors.length > 0) {
+    throw new AppError(errors.join('; '), 400);
   }
 
   // Insert the recurring chore
-  const result = await db.query(
-    `INSERT INTO recurring_chores (
-      family_id, template_id, title, description, reward_type, reward_amount,
-      requires_photo, frequency, day_of_week, day_of_month, custom_schedule,
-      start_date, end_date, next_due_date, auto_assign, assigned_to,
-      rotation_type, rotation_members, priority, estimated_duration,
-      difficulty_level, category, created_by, metadata
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      req.user.family_id,
-      template_id || null,
-      title,
-      description || null,
-      reward_type,
-      reward_amount,
-      requires_photo ? 1 : 0,
-      frequency,
-      day_of_week || null,
-      day_of_month || null,
-      custom_schedule || null,
-      start_date,
-      end_date || null,
-      nextDueDate,
-      auto_assign ? 1 : 0,
-      assigned_to || null,
-      rotation_type || 'none',
-      rotation_members ? JSON.stringify(rotation_members) : null,
-      priority || 'medium',
-      estimated_duration || null,
-      difficulty_level || 'medium',
-      category || null,
-      req.user.id,
-      JSON.stringify({
-        created_at: new Date().toISOString(),
-        created_by_name: req.user.name
-      })
-    ]
-  );
+  const recurringId = await insertRecurringChore(body, { familyId: req.user.family_id, user: req.user });
 
   // Get the created recurring chore
   const [recurringChore] = await db.query(
-    `SELECT rc.*, u.name as created_by_name, 
+    `SELECT rc.*, f.timezone, u.name as created_by_name, 
      CASE WHEN rc.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
      FROM recurring_chores rc
+     JOIN families f ON rc.family_id = f.id
      JOIN users u ON rc.created_by = u.id
      LEFT JOIN users au ON rc.assigned_to = au.id
      WHERE rc.id = ?`,
-    [result.insertId]
+    [recurringId]
   );
 
   res.status(201).json({
@@ -219,16 +147,22 @@ router.put('/:id', protect, catchAsync(async (req, res) => {
     throw new AppError('Recurring chore not found', 404);
   }
 
+  if (isStale(req, existingChore.version)) {
+    return sendStale(res, 'recurringChore', await findRecurringChore(existingChore.id, req.user.family_id));
+  }
+
   const {
     title,
     description,
     reward_type,
     reward_amount,
     requires_photo,
+    required_place_id,
     frequency,
     day_of_week,
     day_of_month,
     custom_schedule,
+    due_times,
     start_date,
     end_date,
     auto_assign,
@@ -243,73 +177,52 @@ router.put('/:id', protect, catchAsync(async (req, res) => {
     template_id
   } = req.body;
 
-  // Calculate next due date if frequency or related fields changed
+  if (template_id && !(await getTemplate(template_id, req.user.family_id))) {
+    throw new AppError('Template not found', 400);
+  }
+
+  if (required_place_id && !(await getPlace(required_place_id, req.user.family_id))) {
+    throw new AppError('Required place not found', 400);
+  }
+
+  // A changed schedule is validated as a whole and starts again from its first
+  // occurrence that is not already past
   let nextDueDate = existingChore.next_due_date;
-  
-  if (frequency || day_of_week || day_of_month || start_date) {
-    // Recalculate next due date
-    nextDueDate = new Date(start_date || existingChore.start_date);
-    nextDueDate.setHours(9, 0, 0, 0);
-    
-    const newFrequency = frequency || existingChore.frequency;
-    
-    // If the calculated date is in the past, move to the next occurrence
-    if (nextDueDate < new Date()) {
-      switch (newFrequency) {
-        case 'daily':
-          nextDueDate.setDate(nextDueDate.getDate() + 1);
-          break;
-        case 'weekly':
-          const newDayOfWeek = day_of_week || existingChore.day_of_week;
-          if (newDayOfWeek) {
-            // Find the next occurrence of the specified day of week
-            const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const targetDay = daysOfWeek.indexOf(newDayOfWeek.toLowerCase());
-            if (targetDay !== -1) {
-              const currentDay = nextDueDate.getDay();
-              const daysToAdd = (targetDay + 7 - currentDay) % 7;
-              nextDueDate.setDate(nextDueDate.getDate() + daysToAdd);
-            } else {
-              nextDueDate.setDate(nextDueDate.getDate() + 7);
-            }
-          } else {
-            nextDueDate.setDate(nextDueDate.getDate() + 7);
-          }
-          break;
-        case 'monthly':
-          const newDayOfMonth = day_of_month || existingChore.day_of_month;
-          if (newDayOfMonth) {
-            // Set to the specified day of the month
-            nextDueDate.setDate(newDayOfMonth);
-            // If this date is still in the past, move to next month
-            if (nextDueDate < new Date()) {
-              nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-            }
-          } else {
-            nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-          }
-          break;
-        case 'custom':
-          // Custom schedules would need more complex logic
-          // For now, just set it to tomorrow
-          nextDueDate.setDate(nextDueDate.getDate() + 1);
-          break;
-      }
+
+  if ([frequency, day_of_week, day_of_month, custom_schedule, due_times, start_date, end_date].some(value => value !== undefined)) {
+    const schedule = {
+      frequency: frequency || existingChore.frequency,
+      day_of_week: day_of_week || existingChore.day_of_week,
+      day_of_month: day_of_month || existingChore.day_of_month,
+      custom_schedule: custom_schedule || existingChore.custom_schedule,
+      due_times: due_times === undefined ? existingChore.due_times : due_times,
+      start_date: start_date || existingChore.start_date,
+      end_date: end_date === undefined ? existingChore.end_date : end_date,
+      timezone: await getFamilyTimezone(req.user.family_id)
+    };
+
+    const scheduleErrors = validateSchedule(schedule);
+    if (scheduleErrors.length > 0) {
+      throw new AppError(scheduleErrors.join('; '), 400);
     }
+
+    nextDueDate = firstDueDate(schedule);
   }
 
-  // Update the recurring chore
-  await db.query(
+  // Update the recurring chore, unless someone else has changed it since it was read
+  const result = await db.query(
     `UPDATE recurring_chores SET
       title = COALESCE(?, title),
       description = COALESCE(?, description),
       reward_type = COALESCE(?, reward_type),
       reward_amount = COALESCE(?, reward_amount),
       requires_photo = COALESCE(?, requires_photo),
+      required_place_id = ?,
       frequency = COALESCE(?, frequency),
       day_of_week = COALESCE(?, day_of_week),
       day_of_month = COALESCE(?, day_of_month),
       custom_schedule = COALESCE(?, custom_schedule),
+      due_times = COALESCE(?, due_times),
       start_date = COALESCE(?, start_date),
       end_date = ?,
       next_due_date = ?,
@@ -323,18 +236,22 @@ router.put('/:id', protect, catchAsync(async (req, res) => {
       category = COALESCE(?, category),
       is_active = COALESCE(?, is_active),
       template_id = ?,
+      version = version + 1,
       updated_at = NOW()
-    WHERE id = ? AND family_id = ?`,
+    WHERE id = ? AND family_id = ? AND version = ?`,
     [
       title,
       description,
       reward_type,
       reward_amount,
       requires_photo !== undefined ? (requires_photo ? 1 : 0) : null,
+      required_place_id === undefined ? existingChore.required_place_id : required_place_id || null,
       frequency,
-      day_of_week,
+      day_of_week ? parseDaysOfWeek(day_of_week).join(',') : null,
       day_of_month,
       custom_schedule,
+      // An empty list goes back to the default due time
+      due_times !== undefined ? JSON.stringify(parseDueTimes(due_times)) : null,
       start_date,
       end_date, // Allow setting to NULL
       nextDueDate,
@@ -349,24 +266,74 @@ router.put('/:id', protect, catchAsync(async (req, res) => {
       is_active !== undefined ? (is_active ? 1 : 0) : null,
       template_id, // Allow setting to NULL
       req.params.id,
-      req.user.family_id
+      req.user.family_id,
+      existingChore.version
     ]
   );
 
   // Get the updated recurring chore
+  const recurringChore = await findRecurringChore(req.params.id, req.user.family_id);
+
+  if (result.affectedRows === 0) {
+    return sendStale(res, 'recurringChore', recurringChore);
+  }
+
+  res.set('ETag', etagFor(recurringChore.version));
+  res.json({
+    status: 'success',
+    data: { recurringChore }
+  });
+}));
+
+// Replace the recurring chores this one depends on
+router.put('/:id/dependencies', protect, catchAsync(async (req, res) => {
+  // Only parents can declare dependencies
+  if (req.user.role !== 'parent') {
+    throw new AppError('Only parents can change recurring chore dependencies', 403);
+  }
+
   const [recurringChore] = await db.query(
-    `SELECT rc.*, u.name as created_by_name, 
-     CASE WHEN rc.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
-     FROM recurring_chores rc
-     JOIN users u ON rc.created_by = u.id
-     LEFT JOIN users au ON rc.assigned_to = au.id
-     WHERE rc.id = ?`,
-    [req.params.id]
+    'SELECT id FROM recurring_chores WHERE id = ? AND family_id = ?',
+    [req.params.id, req.user.family_id]
   );
 
+  if (!recurringChore) {
+    throw new AppError('Recurring chore not found', 404);
+  }
+
+  const dependsOn = req.body.depends_on || [];
+  const errors = await validateDependencies('recurring', recurringChore.id, dependsOn, req.user.family_id);
+  if (errors.length > 0) {
+    throw new AppError(errors.join('; '), 400);
+  }
+
+  const stale = await db.transaction(async (connection) => {
+    const [[current]] = await connection.execute(
+      'SELECT * FROM recurring_chores WHERE id = ? FOR UPDATE',
+      [recurringChore.id]
+    );
+    if (isStale(req, current.version)) {
+      return current;
+    }
+
+    await replaceDependencies(connection, 'recurring', recurringChore.id, dependsOn);
+    await connection.execute(
+      'UPDATE recurring_chores SET version = version + 1, updated_at = NOW() WHERE id = ?',
+      [recurringChore.id]
+    );
+    return null;
+  });
+
+  if (stale) {
+    return sendStale(res, 'recurringChore', await findRecurringChore(recurringChore.id, req.user.family_id));
+  }
+
+  const { version } = await findRecurringChore(recurringChore.id, req.user.family_id);
+
+  res.set('ETag', etagFor(version));
   res.json({
     status: 'success',
-    data: { recurringChore }
+    data: { depends_on: await getDependencyIds('recurring', recurringChore.id) }
   });
 }));
 
@@ -387,12 +354,20 @@ router.delete('/:id', protect, catchAsync(async (req, res) => {
     throw new AppError('Recurring chore not found', 404);
   }
 
-  // Delete the recurring chore
-  await db.query(
-    'DELETE FROM recurring_chores WHERE id = ?',
-    [req.params.id]
+  if (isStale(req, existingChore.version)) {
+    return sendStale(res, 'recurringChore', await findRecurringChore(existingChore.id, req.user.family_id));
+  }
+
+  // Delete the recurring chore, unless someone else has changed it since it was read
+  const result = await db.query(
+    'DELETE FROM recurring_chores WHERE id = ? AND version = ?',
+    [req.params.id, existingChore.version]
   );
 
+  if (result.affectedRows === 0) {
+    return sendStale(res, 'recurringChore', await findRecurringChore(existingChore.id, req.user.family_id));
+  }
+
   res.json({
     status: 'success',
     message: 'Recurring chore deleted successfully'
@@ -408,31 +383,33 @@ router.post('/generate', protect, catchAsync(async (req, res) => {
 
   const { recurringId } = req.body;
 
-  // If recurringId is provided, generate only for that specific recurring chore
-  // Otherwise, generate for all active recurring chores due today
-  let recurringChores;
+  // If recurringId is provided, generate that recurring chore's next slot now
+  // Otherwise, generate every slot of the family's recurring chores due today
+  let choreIds = [];
   
+  const timeZone = await getFamilyTimezone(req.user.family_id);
+
   if (recurringId) {
-    recurringChores = await db.query(
+    const [recurringChore] = await db.query(
       `SELECT * FROM recurring_chores 
-       WHERE id = ? AND family_id = ? AND is_active = 1`,
+       WHERE id = ? AND family_id = ? AND is_active = 1 AND next_due_date IS NOT NULL`,
       [recurringId, req.user.family_id]
     );
+
+    if (recurringChore) {
+      const choreId = await generateSlot({ ...recurringChore, timezone: timeZone }, { actorId: req.user.id });
+      choreIds = choreId ? [choreId] : [];
+    }
   } else {
-    // Get all active recurring chores that are due today or overdue
-    const today = new Date();
-    today.setHours(23, 59, 59, 999); // End of today
-    
-    recurringChores = await db.query(
-      `SELECT * FROM recurring_chores 
-       WHERE family_id = ? AND is_active = 1 
-       AND next_due_date <= ? 
-       AND (end_date IS NULL OR end_date >= CURDATE())`,
-      [req.user.family_id, today]
-    );
+    // End of today in the family's timezone
+    const today = endOfZonedDay(new Date(), timeZone);
+
+    const recurringChores = await findDueRecurringChores(today, req.user.family_id);
+    const generated = await generateDueSlots(recurringChores, () => today, { actorId: req.user.id });
+    choreIds = generated.map(({ choreId }) => choreId);
   }
 
-  if (recurringChores.length === 0) {
+  if (choreIds.length === 0) {
     return res.json({
       status: 'success',
       message: 'No recurring chores to generate',
@@ -440,169 +417,17 @@ router.post('/generate', protect, catchAsync(async (req, res) => {
     });
   }
 
-  // Generate chores for each recurring chore
-  const generatedChores = [];
-  
-  for (const recurringChore of recurringChores) {
-    // Check if a chore has already been generated for this recurring chore and due date
-    const [existingHistory] = await db.query(
-      `SELECT * FROM recurring_chore_history 
-       WHERE recurring_id = ? 
-       AND DATE(due_date) = DATE(?)`,
-      [recurringChore.id, recurringChore.next_due_date]
-    );
-
-    if (existingHistory) {
-      continue; // Skip if already generated for this date
-    }
-
-    // Determine who to assign the chore to
-    let assignedTo = null;
-    
-    if (recurringChore.auto_assign) {
-      if (recurringChore.rotation_type === 'none' && recurringChore.assigned_to) {
-        // Fixed assignment
-        assignedTo = recurringChore.assigned_to;
-      } else if (recurringChore.rotation_type === 'round_robin' && recurringChore.rotation_members) {
-        // Round robin assignment
-        const members = JSON.parse(recurringChore.rotation_members);
-        
-        if (members && members.length > 0) {
-          // Get the last assigned member
-          const [lastHistory] = await db.query(
-            `SELECT * FROM recurring_chore_history 
-             WHERE recurring_id = ? 
-             ORDER BY due_date DESC LIMIT 1`,
-            [recurringChore.id]
-          );
-          
-          if (lastHistory && lastHistory.assigned_to) {
-            // Find the index of the last assigned member
-            const lastIndex = members.indexOf(lastHistory.assigned_to);
-            // Get the next member in the rotation
-            assignedTo = members[(lastIndex + 1) % members.length];
-          } else {
-            // Start with the first member
-            assignedTo = members[0];
-          }
-        }
-      } else if (recurringChore.rotation_type === 'random' && recurringChore.rotation_members) {
-        // Random assignment
-        const members = JSON.parse(recurringChore.rotation_members);
-        
-        if (members && members.length > 0) {
-          // Randomly select a member
-          const randomIndex = Math.floor(Math.random() * members.length);
-          assignedTo = members[randomIndex];
-        }
-      }
-    }
-
-    // Create the chore
-    const choreResult = await db.query(
-      `INSERT INTO chores (
-        family_id, template_id, title, description, reward_type, reward_amount,
-        current_reward, requires_photo, status, priority, due_date,
-        estimated_duration, difficulty_level, category, created_by, assigned_to,
-        assigned_at, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        recurringChore.family_id,
-        recurringChore.template_id,
-        recurringChore.title,
-        recurringChore.description,
-        recurringChore.reward_type,
-        recurringChore.reward_amount,
-        recurringChore.reward_amount, // Initial current_reward is the same as reward_amount
-        recurringChore.requires_photo,
-        assignedTo ? 'assigned' : 'available',
-        recurringChore.priority,
-        recurringChore.next_due_date,
-        recurringChore.estimated_duration,
-        recurringChore.difficulty_level,
-        recurringChore.category,
-        req.user.id, // Created by the user who triggered the generation
-        assignedTo,
-        assignedTo ? new Date() : null,
-        JSON.stringify({
-          recurring_id: recurringChore.id,
-          generated_at: new Date().toISOString(),
-          generated_by: req.user.id
-        })
-      ]
-    );
-
-    // Create assignment record if assigned
-    if (assignedTo) {
-      await db.query(
-        `INSERT INTO chore_assignments (
-          chore_id, user_id, assigned_by, assigned_at, status
-        ) VALUES (?, ?, ?, NOW(), ?)`,
-        [
-          choreResult.insertId,
-          assignedTo,
-          req.user.id,
-          'pending'
-        ]
-      );
-    }
-
-    // Record in history
-    await db.query(
-      `INSERT INTO recurring_chore_history (
-        recurring_id, chore_id, due_date, status, assigned_to
-      ) VALUES (?, ?, ?, ?, ?)`,
-      [
-        recurringChore.id,
-        choreResult.insertId,
-        recurringChore.next_due_date,
-        'generated',
-        assignedTo
-      ]
-    );
-
-    // Calculate the next due date for the recurring chore
-    let nextDueDate = new Date(recurringChore.next_due_date);
-    
-    switch (recurringChore.frequency) {
-      case 'daily':
-        nextDueDate.setDate(nextDueDate.getDate() + 1);
-        break;
-      case 'weekly':
-        nextDueDate.setDate(nextDueDate.getDate() + 7);
-        break;
-      case 'monthly':
-        nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-        break;
-      case 'custom':
-        // Custom schedules would need more complex logic
-        // For now, just set it to a week from now
-        nextDueDate.setDate(nextDueDate.getDate() + 7);
-        break;
-    }
-
-    // Update the recurring chore with the new next_due_date and last_generated
-    await db.query(
-      `UPDATE recurring_chores SET
-        next_due_date = ?,
-        last_generated = NOW()
-      WHERE id = ?`,
-      [nextDueDate, recurringChore.id]
-    );
-
-    // Get the generated chore details
-    const [generatedChore] = await db.query(
-      `SELECT c.*, u.name as created_by_name, 
-       CASE WHEN c.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
-       FROM chores c
-       JOIN users u ON c.created_by = u.id
-       LEFT JOIN users au ON c.assigned_to = au.id
-       WHERE c.id = ?`,
-      [choreResult.insertId]
-    );
-
-    generatedChores.push(generatedChore);
-  }
+  // Get the generated chore details
+  const generatedChores = await db.query(
+    `SELECT c.*, u.name as created_by_name, 
+     CASE WHEN c.assigned_to IS NOT NULL THEN au.name ELSE NULL END as assigned_to_name
+     FROM chores c
+     JOIN users u ON c.created_by = u.id
+     LEFT JOIN users au ON c.assigned_to = au.id
+     WHERE c.id IN (${choreIds.map(() => '?').join(', ')})
+     ORDER BY c.due_date ASC`,
+    choreIds
+  );
 
   res.json({
     status: 'success',
@@ -0,0 +1,310 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const db = require('../config/database');
+const { getFamilySettings } = require('../utils/familySettings');
+const { SWAPPABLE_STATUSES, OPEN_SWAP_STATUSES, validateSwapOffer, getSwap, completeSwap } = require('../utils/choreSwaps');
+const { notifyChoreSwap } = require('../utils/notifications');
+const router = express.Router();
+
+/**
+ * Lock a family's swap for the rest of the transaction
+ * @param {Object} connection - Transaction connection
+ * @param {number} swapId - Swap ID
+ * @param {number} familyId - Family ID
+ * @returns {Promise<Object>} - Swap row
+ */
+async function lockSwap(connection, swapId, familyId) {
+  const [[swap]] = await connection.execute(
+    'SELECT * FROM chore_swaps WHERE id = ? AND family_id = ? FOR UPDATE',
+    [swapId, familyId]
+  );
+
+  if (!swap) {
+    throw new AppError('Swap not found', 404);
+  }
+
+  return swap;
+}
+
+// List swaps (children see the ones they are part of); filter with ?status=
+router.get('/', protect, catchAsync(async (req, res) => {
+  const conditions = ['s.family_id = ?'];
+  const params = [req.user.family_id];
+
+  if (req.user.role !== 'parent') {
+    conditions.push('(s.from_user_id = ? OR s.to_user_id = ?)');
+    params.push(req.user.id, req.user.id);
+  }
+
+  if (req.query.status) {
+    conditions.push('s.status = ?');
+    params.push(req.query.status);
+  }
+
+  const swaps = await db.query(
+    `SELECT s.*, c.title as chore_title, rc.title as return_chore_title,
+            fu.name as from_user_name, tu.name as to_user_name
+     FROM chore_swaps s
+     JOIN chores c ON s.chore_id = c.id
+     LEFT JOIN chores rc ON s.return_chore_id = rc.id
+     JOIN users fu ON s.from_user_id = fu.id
+     JOIN users tu ON s.to_user_id = tu.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY s.created_at DESC`,
+    params
+  );
+
+  res.json({
+    status: 'success',
+    data: { swaps }
+  });
+}));
+
+// Offer one of your chores to a sibling (children only)
+router.post('/', protect, catchAsync(async (req, res) => {
+  if (req.user.role !== 'child') {
+    throw new AppError('Only children can offer chore swaps', 403);
+  }
+
+  const errors = validateSwapOffer(req.body);
+  if (errors.length > 0) {
+    throw new AppError(errors.join('; '), 400);
+  }
+
+  const { chore_id, to_user_id, return_chore_id, reward_percent, message } = req.body;
+
+  if (Number(to_user_id) === req.user.id) {
+    throw new AppError('You cannot swap a chore with yourself', 400);
+  }
+
+  const [sibling] = await db.query(
+    'SELECT id, name FROM users WHERE id = ? AND family_id = ? AND role = ? AND is_active = 1',
+    [to_user_id, req.user.family_id, 'child']
+  );
+
+  if (!sibling) {
+    throw new AppError('Sibling not found', 404);
+  }
+
+  // The chores stay locked until the offer is in, so two offers for the same
+  // chore can't both pass the open swap check
+  const swapId = await db.transaction(async (connection) => {
+    const [[chore]] = await connection.execute(
+      'SELECT * FROM chores WHERE id = ? AND family_id = ? AND deleted_at IS NULL FOR UPDATE',
+      [chore_id, req.user.family_id]
+    );
+
+    if (!chore || chore.assigned_to !== req.user.id) {
+      throw new AppError('Chore not found among your chores', 404);
+    }
+
+    if (chore.is_shared || !SWAPPABLE_STATUSES.includes(chore.status)) {
+      throw new AppError('Only assigned or in-progress chores that are not shared can be swapped', 400);
+    }
+
+    if (return_chore_id) {
+      const [[returnChore]] = await connection.execute(
+        'SELECT * FROM chores WHERE id = ? AND family_id = ? AND deleted_at IS NULL FOR UPDATE',
+        [return_chore_id, req.user.family_id]
+      );
+
+      if (!returnChore || returnChore.assigned_to !== sibling.id) {
+        throw new AppError(`The chore offered in return must belong to ${sibling.name}`, 400);
+      }
+
+      if (returnChore.is_shared || !SWAPPABLE_STATUSES.includes(returnChore.status)) {
+        throw new AppError('The chore offered in return cannot be swapped', 400);
+      }
+    }
+
+    // A chore can only be on the table in one open swap at a time
+    const involved = return_chore_id ? [chore.id, Number(return_chore_id)] : [chore.id];
+    const placeholders = involved.map(() => '?').join(', ');
+    const [[openSwap]] = await connection.execute(
+      `SELECT id FROM chore_swaps
+       WHERE status IN (${OPEN_SWAP_STATUSES.map(() => '?').join(', ')})
+       AND (chore_id IN (${placeholders}) OR return_chore_id IN (${placeholders}))`,
+      [...OPEN_SWAP_STATUSES, ...involved, ...involved]
+    );
+
+    if (openSwap) {
+      throw new AppError('There is already an open swap for this chore', 409);
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO chore_swaps
+       (family_id, chore_id, from_user_id, to_user_id, return_chore_id, reward_percent, message)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.family_id,
+        chore.id,
+        req.user.id,
+        sibling.id,
+        return_chore_id || null,
+        reward_percent || null,
+        message || null
+      ]
+    );
+    return result.insertId;
+  });
+
+  await notifyChoreSwap({ swapId, event: 'offered' });
+
+  res.status(201).json({
+    status: 'success',
+    data: { swap: await getSwap(swapId, req.user.family_id) }
+  });
+}));
+
+// Accept a swap offered to you; completes it unless the family requires parent approval
+router.post('/:id/accept', protect, catchAsync(async (req, res) => {
+  const settings = await getFamilySettings(req.user.family_id);
+
+  const status = await db.transaction(async (connection) => {
+    const swap = await lockSwap(connection, req.params.id, req.user.family_id);
+
+    if (swap.to_user_id !== req.user.id) {
+      throw new AppError('Only the sibling this swap was offered to can accept it', 403);
+    }
+
+    if (swap.status !== 'pending') {
+      throw new AppError(`This swap is already ${swap.status}`, 400);
+    }
+
+    if (settings.require_swap_approval) {
+      await connection.execute(
+        'UPDATE chore_swaps SET status = ?, responded_at = NOW(), updated_at = NOW() WHERE id = ?',
+        ['awaiting_approval', swap.id]
+      );
+      return 'awaiting_approval';
+    }
+
+    await connection.execute(
+      'UPDATE chore_swaps SET responded_at = NOW() WHERE id = ?',
+      [swap.id]
+    );
+    await completeSwap(connection, swap, req.user.id);
+    return 'completed';
+  });
+
+  await notifyChoreSwap({ swapId: req.params.id, event: status });
+
+  res.json({
+    status: 'success',
+    message: status === 'completed' ? 'Swap completed' : 'Swap accepted and waiting for a parent to approve it',
+    data: { swap: await getSwap(req.params.id, req.user.family_id) }
+  });
+}));
+
+// Decline a swap offered to you
+router.post('/:id/decline', protect, catchAsync(async (req, res) => {
+  await db.transaction(async (connection) => {
+    const swap = await lockSwap(connection, req.params.id, req.user.family_id);
+
+    if (swap.to_user_id !== req.user.id) {
+      throw new AppError('Only the sibling this swap was offered to can decline it', 403);
+    }
+
+    if (swap.status !== 'pending') {
+      throw new AppError(`This swap is already ${swap.status}`, 400);
+    }
+
+    await connection.execute(
+      'UPDATE chore_swaps SET status = ?, responded_at = NOW(), updated_at = NOW() WHERE id = ?',
+      ['declined', swap.id]
+    );
+  });
+
+  await notifyChoreSwap({ swapId: req.params.id, event: 'declined' });
+
+  res.json({
+    status: 'success',
+    message: 'Swap declined'
+  });
+}));
+
+// Withdraw a swap you offered
+router.post('/:id/cancel', protect, catchAsync(async (req, res) => {
+  await db.transaction(async (connection) => {
+    const swap = await lockSwap(connection, req.params.id, req.user.family_id);
+
+    if (swap.from_user_id !== req.user.id) {
+      throw new AppError('Only the child who offered this swap can withdraw it', 403);
+    }
+
+    if (!OPEN_SWAP_STATUSES.includes(swap.status)) {
+      throw new AppError(`This swap is already ${swap.status}`, 400);
+    }
+
+    await connection.execute(
+      'UPDATE chore_swaps SET status = ?, updated_at = NOW() WHERE id = ?',
+      ['cancelled', swap.id]
+    );
+  });
+
+  await notifyChoreSwap({ swapId: req.params.id, event: 'cancelled' });
+
+  res.json({
+    status: 'success',
+    message: 'Swap withdrawn'
+  });
+}));
+
+// Approve an accepted swap (parent only)
+router.post('/:id/approve', protect, catchAsync(async (req, res) => {
+  if (req.user.role !== 'parent') {
+    throw new AppError('Only parents can approve swaps', 403);
+  }
+
+  await db.transaction(async (connection) => {
+    const swap = await lockSwap(connection, req.params.id, req.user.family_id);
+
+    if (swap.status !== 'awaiting_approval') {
+      throw new AppError('This swap is not waiting for approval', 400);
+    }
+
+    await connection.execute(
+      'UPDATE chore_swaps SET reviewed_by = ?, reviewed_at = NOW() WHERE id = ?',
+      [req.user.id, swap.id]
+    );
+    await completeSwap(connection, { ...swap, reviewed_by: req.user.id }, req.user.id);
+  });
+
+  await notifyChoreSwap({ swapId: req.params.id, event: 'completed' });
+
+  res.json({
+    status: 'success',
+    message: 'Swap approved',
+    data: { swap: await getSwap(req.params.id, req.user.family_id) }
+  });
+}));
+
+// Turn down an accepted swap (parent only)
+router.post('/:id/reject', protect, catchAsync(async (req, res) => {
+  if (req.user.role !== 'parent') {
+    throw new AppError('Only parents can reject swaps', 403);
+  }
+
+  await db.transaction(async (connection) => {
+    const swap = await lockSwap(connection, req.params.id, req.user.family_id);
+
+    if (swap.status !== 'awaiting_approval') {
+      throw new AppError('This swap is not waiting for approval', 400);
+    }
+
+    await connection.execute(
+      'UPDATE chore_swaps SET status = ?, reviewed_by = ?, reviewed_at = NOW(), updated_at = NOW() WHERE id = ?',
+      ['rejected', req.user.id, swap.id]
+    );
+  });
+
+  await notifyChoreSwap({ swapId: req.params.id, event: 'rejected' });
+
+  res.json({
+    status: 'success',
+    message: 'Swap rejected'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const db = require('../config/database');
+const { replaceChecklist, getTemplateChecklist } = require('../utils/checklists');
+const { TEMPLATE_FIELDS, validateTemplate, getTemplate, insertTemplate, propagateTemplate } = require('../utils/templates');
+const { getPlace } = require('../utils/places');
+const router = express.Router();
+
+// Reject a template body that doesn't validate
+const checkTemplateBody = async (body, partial, familyId) => {
+  const errors = validateTemplate(body, partial);
+
+  if (body.required_place_id && !(await getPlace(body.required_place_id, familyId))) {
+    errors.push('Required place not found');
+  }
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join('; '), 400);
+  }
+};
+
+// Get the family's templates
+// Query: include_inactive=true to include deleted templates
+router.get('/', protect, catchAsync(async (req, res) => {
+  const includeInactive = req.query.include_inactive === 'true';
+
+  const templates = await db.query(
+    `SELECT t.*, u.name as created_by_name,
+     (SELECT COUNT(*) FROM recurring_chores rc WHERE rc.template_id = t.id) as recurring_count
+     FROM chore_templates t
+     JOIN users u ON t.created_by = u.id
+     WHERE t.family_id = ?${includeInactive ? '' : ' AND t.is_active = 1'}
+     ORDER BY t.category ASC, t.title ASC`,
+    [req.user.family_id]
+  );
+
+  res.json({
+    status: 'success',
+    data: { templates }
+  });
+}));
+
+// Get a single template with its checklist
+router.get('/:id', protect, catchAsync(async (req, res) => {
+  const template = await getTemplate(req.params.id, req.user.family_id);
+
+  if (!template) {
+    throw new AppError('Template not found', 404);
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      template,
+      checklist: await getTemplateChecklist(template.id)
+    }
+  });
+}));
+
+// Create a template
+router.post('/', protect, catchAsync(async (req, res) => {
+  // Only parents can create templates
+  if (req.user.role !== 'parent') {
+    throw new AppError('Only parents can create templates', 403);
+  }
+
+  await checkTemplateBody(req.body, false, req.user.family_id);
+
+  const templateId = await db.transaction(async (connection) =>
+    await insertTemplate(connection, req.body, { familyId: req.user.family_id, userId: req.user.id })
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      template: await getTemplate(templateId, req.user.family_id),
+      checklist: await getTemplateChecklist(templateId)
+    }
+  });
+}));
+
+// Update a template
+// Body: any template fields, checklist, and propagate: true to copy the edited
+// fields onto the recurring chores that use this template
+router.patch('/:id', protect, catchAsync(async (req, res) => {
+  // Only parents can update templates
+  if (req.user.role !== 'parent') {
+    throw new AppError('Only parents can update templates', 403);
+  }
+
+  const existing = await getTemplate(req.params.id, req.user.family_id);
+
+  if (!existing) {
+    throw new AppError('Template not found', 404);
+  }
+
+  await checkTemplateBody(req.body, true, req.user.family_id);
+
+  const { checklist, propagate } = req.body;
+  const fields = [...TEMPLATE_FIELDS, 'reward_policy', 'is_active'].filter(field => req.body[field] !== undefined);
+
+  if (fields.length === 0 && checklist === undefined) {
+    throw new AppError('No changes provided', 400);
+  }
+
+  const toColumn = (field) => {
+    const value = req.body[field];
+    if (field === 'reward_policy') {
+      return value ? JSON.stringify(value) : null;
+    }
+    if (field === 'requires_photo' || field === 'is_active') {
+      return value ? 1 : 0;
+    }
+    if (field === 'title') {
+      return value.trim();
+    }
+    return value === '' || (field === 'required_place_id' && !value) ? null : value;
+  };
+
+  const propagated = await db.transaction(async (connection) => {
+    if (fields.length > 0) {
+      await connection.execute(
+        `UPDATE chore_templates SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW()
+         WHERE id = ? AND family_id = ?`,
+        [...fields.map(toColumn), existing.id, req.user.family_id]
+      );
+    }
+
+    if (checklist !== undefined) {
+      await replaceChecklist(connection, { templateId: existing.id }, checklist || []);
+    }
+
+    if (!propagate) {
+      return 0;
+    }
+
+    // Recurring chores already read the reward policy and checklist from the
+    // template when they generate, so only the copied fields need pushing
+    const updated = { ...existing };
+    fields.forEach(field => { updated[field] = toColumn(field); });
+    return await propagateTemplate(connection, updated, fields);
+  });
+
+  res.json({
+    status: 'success',
+    data: {
+      template: await getTemplate(existing.id, req.user.family_id),
+      checklist: await getTemplateChecklist(existing.id),
+      recurring_updated: propagated
+    }
+  });
+}));
+
+// Delete a template
+// Templates are deactivated rather than removed so the chores made from them keep
+// their template_id; recurring chores using one keep their own copy of its fields.
+router.delete('/:id', protect, catchAsync(async (req, res) => {
+  // Only parents can delete templates
+  if (req.user.role !== 'parent') {
+    throw new AppError('Only parents can delete templates', 403);
+  }
+
+  const template = await getTemplate(req.params.id, req.user.family_id, { activeOnly: true });
+
+  if (!template) {
+    throw new AppError('Template not found', 404);
+  }
+
+  await db.query(
+    'UPDATE chore_templates SET is_active = 0, updated_at = NOW() WHERE id = ?',
+    [template.id]
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Template deleted successfully'
+  });
+}));
+
+module.exports = router;
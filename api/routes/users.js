@@ -2,9 +2,21 @@ const express = require('express');
 const { protect, checkUserAccess } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const db = require('../config/database');
+const { isOverdue } = require('../utils/dueDates');
+const { withLiveReward } = require('../utils/rewards');
+const { getFamilyTimezone } = require('../utils/timezones');
+const { CHORE_LIST_CONFIG, COMPLETED_TASK_LIST_CONFIG, runListQuery } = require('../utils/listQuery');
+const { BLOCKED_EXPRESSION } = require('../utils/dependencies');
+const { UNREAD_COMMENTS_EXPRESSION } = require('../utils/comments');
 
 const router = express.Router();
 
+// Chores a user holds: assigned to them, or shared with them as a participant
+const HOLDS_CHORE_CONDITION = `(c.assigned_to = ? OR EXISTS (
+  SELECT 1 FROM chore_assignments ca
+  WHERE ca.chore_id = c.id AND ca.user_id = ? AND ca.status IN ('pending', 'accepted', 'auto_accepted')
+))`;
+
 // Get user profile
 router.get('/:id', protect, checkUserAccess, catchAsync(async (req, res) => {
   const [user] = await db.query(
@@ -29,9 +41,11 @@ router.get('/:id', protect, checkUserAccess, catchAsync(async (req, res) => {
 router.get('/me/chores', protect, catchAsync(async (req, res) => {
   const chores = await db.query(
     `SELECT c.*, 
-            (SELECT COUNT(*) FROM chore_submissions WHERE chore_id = c.id AND user_id = ?) as submission_count
+            (SELECT COUNT(*) FROM chore_submissions WHERE chore_id = c.id AND user_id = ?) as submission_count,
+            ${BLOCKED_EXPRESSION} as blocked,
+            ${UNREAD_COMMENTS_EXPRESSION} as unread_comments
      FROM chores c
-     WHERE c.assigned_to = ? 
+     WHERE c.deleted_at IS NULL AND ${HOLDS_CHORE_CONDITION}
      ORDER BY 
         CASE 
             WHEN c.status = 'pending_acceptance' THEN 1
@@ -40,47 +54,55 @@ router.get('/me/chores', protect, catchAsync(async (req, res) => {
             ELSE 4
         END,
         c.created_at DESC`,
-    [req.user.id, req.user.id]
+    [req.user.id, req.user.id, req.user.id, req.user.id, req.user.id]
   );
+  const timeZone = await getFamilyTimezone(req.user.family_id);
 
   res.json({
     status: 'success',
-    chores
+    chores: chores.map(chore => ({ ...withLiveReward(chore, timeZone), overdue: isOverdue(chore), blocked: Boolean(chore.blocked) }))
   });
 }));
 
-// Get user's chores
+// Get user's chores, shared ones included as in /me/chores (same filters, sorting and pagination as GET /api/chores)
 router.get('/:id/chores', protect, checkUserAccess, catchAsync(async (req, res) => {
-  const chores = await db.query(
-    `SELECT c.*, 
-            (SELECT COUNT(*) FROM chore_submissions WHERE chore_id = c.id AND user_id = ?) as submission_count
-     FROM chores c
-     WHERE c.assigned_to = ? 
-     ORDER BY c.created_at DESC`,
-    [req.params.id, req.params.id]
-  );
+  const { items: chores, pagination } = await runListQuery({
+    select: `c.*, 
+            (SELECT COUNT(*) FROM chore_submissions WHERE chore_id = c.id AND user_id = ?) as submission_count,
+            ${BLOCKED_EXPRESSION} as blocked`,
+    from: 'chores c',
+    where: [HOLDS_CHORE_CONDITION, 'c.deleted_at IS NULL'],
+    params: [req.params.id, req.params.id, req.params.id],
+    query: req.query,
+    config: CHORE_LIST_CONFIG,
+    context: { userId: req.user.id }
+  });
+  const timeZone = await getFamilyTimezone(req.user.family_id);
 
   res.json({
     status: 'success',
-    chores
+    chores: chores.map(chore => ({ ...withLiveReward(chore, timeZone), overdue: isOverdue(chore), blocked: Boolean(chore.blocked) })),
+    pagination
   });
 }));
 
-// Get user's completed tasks
+// Get user's completed tasks (reversed approvals are left out, as in the stats)
 router.get('/:id/completed', protect, checkUserAccess, catchAsync(async (req, res) => {
-  const completedTasks = await db.query(
-    `SELECT ct.*, u.name as approved_by_name
-     FROM completed_tasks ct
-     LEFT JOIN users u ON ct.approved_by = u.id
-     WHERE ct.user_id = ?
-     ORDER BY ct.completed_at DESC
-     LIMIT 20`,
-    [req.params.id]
-  );
+  const { items: completedTasks, pagination } = await runListQuery({
+    select: 'ct.*, u.name as approved_by_name',
+    from: `completed_tasks ct
+     LEFT JOIN users u ON ct.approved_by = u.id`,
+    where: ['ct.user_id = ?', 'ct.reversed_at IS NULL'],
+    params: [req.params.id],
+    query: req.query,
+    config: COMPLETED_TASK_LIST_CONFIG,
+    context: { userId: req.user.id }
+  });
 
   res.json({
     status: 'success',
-    completed_tasks: completedTasks
+    completed_tasks: completedTasks,
+    pagination
   });
 }));
 
@@ -106,10 +128,12 @@ router.get('/profile', protect, catchAsync(async (req, res) => {
   const [stats] = await db.query(
     `SELECT 
        COUNT(ct.id) as chores_completed,
-       COALESCE(SUM(ct.reward_earned), 0) as total_earned,
+       COALESCE(SUM(ct.reward_earned + COALESCE(ct.bonus_earned, 0)), 0) as total_earned,
+       COALESCE(SUM(ct.bonus_earned), 0) as bonus_earned,
+       AVG(ct.quality_rating) as average_quality,
        COUNT(ua.id) as achievements_earned
      FROM users u
-     LEFT JOIN completed_tasks ct ON u.id = ct.user_id
+     LEFT JOIN completed_tasks ct ON u.id = ct.user_id AND ct.reversed_at IS NULL
      LEFT JOIN user_achievements ua ON u.id = ua.user_id
      WHERE u.id = ?`,
     [req.user.id]
@@ -120,7 +144,7 @@ router.get('/profile', protect, catchAsync(async (req, res) => {
     `SELECT ct.*, u.name as approved_by_name
      FROM completed_tasks ct
      LEFT JOIN users u ON ct.approved_by = u.id
-     WHERE ct.user_id = ?
+     WHERE ct.user_id = ? AND ct.reversed_at IS NULL
      ORDER BY ct.completed_at DESC
      LIMIT 5`,
     [req.user.id]
@@ -15,6 +15,9 @@ const familyRoutes = require('./routes/families');
 const userRoutes = require('./routes/users');
 const choreRoutes = require('./routes/chores');
 const recurringRoutes = require('./routes/recurring');
+const templateRoutes = require('./routes/templates');
+const packRoutes = require('./routes/packs');
+const swapRoutes = require('./routes/swaps');
 const uploadRoutes = require('./routes/uploads');
 const achievementRoutes = require('./routes/achievements');
 const backupRoutes = require('./routes/backups');
@@ -51,7 +54,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'https://family.bananas4life.com',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Enhanced DDOS Protection
@@ -133,6 +137,9 @@ app.use('/api/families', familyRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chores', choreRoutes);
 app.use('/api/recurring', recurringRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/packs', packRoutes);
+app.use('/api/swaps', swapRoutes);
 app.use('/api/uploads', ddosProtection.createUploadLimiter(), uploadRoutes);
 app.use('/api/achievements', achievementRoutes);
 app.use('/api/backups', backupRoutes);
@@ -150,6 +157,8 @@ app.get('/api', (req, res) => {
       users: '/api/users',
       chores: '/api/chores',
       recurring: '/api/recurring',
+      templates: '/api/templates',
+      packs: '/api/packs',
       uploads: '/api/uploads',
       achievements: '/api/achievements',
       backups: '/api/backups',
@@ -0,0 +1,90 @@
+// Achievements are earned against a family's criteria (achievements.criteria_type
+// and criteria_value) and recorded in user_achievements. Everything here counts
+// only completed_tasks that have not been reversed, so taking back an approval
+// can take back the achievements it made possible.
+
+/**
+ * Longest run of consecutive days in a list of dates
+ * @param {Array<string>} days - Distinct days as YYYY-MM-DD, ascending
+ * @returns {number} - Longest streak in days
+ */
+function longestStreak(days) {
+  let longest = 0;
+  let current = 0;
+  let previous = null;
+
+  for (const day of days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    current = previous && date - previous === 24 * 60 * 60 * 1000 ? current + 1 : 1;
+    longest = Math.max(longest, current);
+    previous = date;
+  }
+
+  return longest;
+}
+
+/**
+ * Work out a child's progress towards each kind of achievement
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Progress keyed by criteria_type
+ */
+async function getAchievementProgress(connection, userId) {
+  const [[totals]] = await connection.execute(
+    `SELECT COUNT(*) as chores_completed,
+            COALESCE(SUM(CASE WHEN reward_type = 'money' THEN reward_earned + COALESCE(bonus_earned, 0) END), 0) as earnings,
+            AVG(quality_rating) as quality_average
+     FROM completed_tasks
+     WHERE user_id = ? AND reversed_at IS NULL`,
+    [userId]
+  );
+
+  const [days] = await connection.execute(
+    `SELECT DISTINCT DATE_FORMAT(completed_at, '%Y-%m-%d') as day
+     FROM completed_tasks
+     WHERE user_id = ? AND reversed_at IS NULL
+     ORDER BY day ASC`,
+    [userId]
+  );
+
+  return {
+    chores_completed: Number(totals.chores_completed),
+    earnings_reached: parseFloat(totals.earnings),
+    streak_days: longestStreak(days.map(row => row.day)),
+    quality_average: totals.quality_average === null ? 0 : parseFloat(totals.quality_average)
+  };
+}
+
+/**
+ * Remove the achievements a child no longer qualifies for
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} - Revoked achievements ({ id, name })
+ */
+async function revokeUnqualifiedAchievements(connection, userId) {
+  const [earned] = await connection.execute(
+    `SELECT ua.id as user_achievement_id, a.id, a.name, a.criteria_type, a.criteria_value
+     FROM user_achievements ua
+     JOIN achievements a ON ua.achievement_id = a.id
+     WHERE ua.user_id = ?`,
+    [userId]
+  );
+
+  if (earned.length === 0) {
+    return [];
+  }
+
+  const progress = await getAchievementProgress(connection, userId);
+  const revoked = earned.filter(achievement => progress[achievement.criteria_type] < parseFloat(achievement.criteria_value));
+
+  for (const achievement of revoked) {
+    await connection.execute('DELETE FROM user_achievements WHERE id = ?', [achievement.user_achievement_id]);
+  }
+
+  return revoked.map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+  getAchievementProgress,
+  revokeUnqualifiedAchievements
+};
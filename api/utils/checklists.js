@@ -0,0 +1,187 @@
+const db = require('../config/database');
+
+// Ordered checklist items live in chore_checklist_items and belong either to a
+// chore (ticked off by the child doing it) or to a template (copied onto every
+// chore generated from it).
+
+const MAX_CHECKLIST_ITEMS = 50;
+
+/**
+ * Normalise checklist input from a request body
+ * @param {Array} items - Items as strings or { title, is_required }
+ * @returns {Array<Object>} - Items as { title, is_required }
+ */
+function normalizeChecklist(items) {
+  return items.map(item => (typeof item === 'string'
+    ? { title: item.trim(), is_required: true }
+    : {
+        title: typeof item.title === 'string' ? item.title.trim() : '',
+        is_required: item.is_required === undefined ? true : Boolean(item.is_required)
+      }));
+}
+
+/**
+ * Validate checklist input from a request body
+ * @param {Array|undefined} items - Checklist items
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateChecklist(items) {
+  if (items === undefined || items === null) {
+    return [];
+  }
+
+  if (!Array.isArray(items)) {
+    return ['Checklist must be an array of items'];
+  }
+
+  const errors = [];
+
+  if (items.length > MAX_CHECKLIST_ITEMS) {
+    errors.push(`Checklist can have at most ${MAX_CHECKLIST_ITEMS} items`);
+  }
+
+  items.forEach((item, index) => {
+    if (typeof item !== 'string' && (item === null || typeof item !== 'object')) {
+      errors.push(`Checklist item ${index + 1} must be a string or an object`);
+      return;
+    }
+
+    const title = typeof item === 'string' ? item : item.title;
+    if (typeof title !== 'string' || title.trim() === '' || title.length > 255) {
+      errors.push(`Checklist item ${index + 1} needs a title of up to 255 characters`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Replace the checklist of a chore or template. Items whose title is unchanged
+ * keep their row, so anything already ticked off stays ticked
+ * @param {Object} connection - Transaction connection
+ * @param {Object} owner - { choreId } or { templateId }
+ * @param {Array} items - Validated checklist items
+ * @returns {Promise<number>} - Number of items written
+ */
+async function replaceChecklist(connection, owner, items) {
+  const column = owner.templateId ? 'template_id' : 'chore_id';
+  const ownerId = owner.templateId || owner.choreId;
+
+  const [existing] = await connection.execute(
+    `SELECT id, title FROM chore_checklist_items WHERE ${column} = ? ORDER BY position ASC`,
+    [ownerId]
+  );
+
+  const checklist = normalizeChecklist(items || []);
+
+  // Match each item to the first unclaimed existing row with the same title
+  const unmatched = [...existing];
+  const matches = checklist.map(item => {
+    const index = unmatched.findIndex(row => row.title === item.title);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  });
+
+  if (unmatched.length > 0) {
+    await connection.execute(
+      `DELETE FROM chore_checklist_items WHERE id IN (${unmatched.map(() => '?').join(', ')})`,
+      unmatched.map(row => row.id)
+    );
+  }
+
+  for (let i = 0; i < checklist.length; i++) {
+    if (matches[i]) {
+      await connection.execute(
+        'UPDATE chore_checklist_items SET position = ?, is_required = ? WHERE id = ?',
+        [i + 1, checklist[i].is_required ? 1 : 0, matches[i].id]
+      );
+    } else {
+      await connection.execute(
+        `INSERT INTO chore_checklist_items (${column}, position, title, is_required) VALUES (?, ?, ?, ?)`,
+        [ownerId, i + 1, checklist[i].title, checklist[i].is_required ? 1 : 0]
+      );
+    }
+  }
+
+  return checklist.length;
+}
+
+/**
+ * Copy a template's checklist onto a newly created chore
+ * @param {number} templateId - Template ID
+ * @param {number} choreId - Chore ID
+ * @param {Object} connection - Optional transaction connection
+ */
+async function copyTemplateChecklist(templateId, choreId, connection = null) {
+  if (!templateId) {
+    return;
+  }
+
+  const sql = `INSERT INTO chore_checklist_items (chore_id, position, title, is_required)
+     SELECT ?, position, title, is_required
+     FROM chore_checklist_items
+     WHERE template_id = ?
+     ORDER BY position`;
+
+  if (connection) {
+    await connection.execute(sql, [choreId, templateId]);
+    return;
+  }
+
+  await db.query(sql, [choreId, templateId]);
+}
+
+/**
+ * Get a chore's checklist in order, with who ticked each item
+ * @param {number} choreId - Chore ID
+ * @returns {Promise<Array>} - Checklist items
+ */
+async function getChecklist(choreId) {
+  return await db.query(
+    `SELECT ci.id, ci.position, ci.title, ci.is_required, ci.completed_at, ci.completed_by,
+            ci.photo_path, u.name as completed_by_name
+     FROM chore_checklist_items ci
+     LEFT JOIN users u ON ci.completed_by = u.id
+     WHERE ci.chore_id = ?
+     ORDER BY ci.position ASC`,
+    [choreId]
+  );
+}
+
+/**
+ * Get a template's checklist in order
+ * @param {number} templateId - Template ID
+ * @returns {Promise<Array>} - Checklist items
+ */
+async function getTemplateChecklist(templateId) {
+  return await db.query(
+    `SELECT id, position, title, is_required
+     FROM chore_checklist_items
+     WHERE template_id = ?
+     ORDER BY position ASC`,
+    [templateId]
+  );
+}
+
+/**
+ * Get the required checklist items of a chore that are still unticked
+ * @param {number} choreId - Chore ID
+ * @returns {Promise<Array>} - Unticked required items
+ */
+async function getIncompleteRequiredItems(choreId) {
+  return await db.query(
+    `SELECT id, position, title
+     FROM chore_checklist_items
+     WHERE chore_id = ? AND is_required = 1 AND completed_at IS NULL
+     ORDER BY position ASC`,
+    [choreId]
+  );
+}
+
+module.exports = {
+  validateChecklist,
+  replaceChecklist,
+  copyTemplateChecklist,
+  getChecklist,
+  getTemplateChecklist,
+  getIncompleteRequiredItems
+};
@@ -0,0 +1,773 @@
+const { AppError } = require('../middleware/errorHandler');
+const { getRatingBonus, applyRevisionPenalty, applyPartialCredit } = require('./rewards');
+const { getParticipants, splitReward } = require('./sharedChores');
+const { getOpenPrerequisites } = require('./dependencies');
+const { NOW, transitionChore, recordChoreCreated, recordTrashChange } = require('./choreLifecycle');
+const { revokeUnqualifiedAchievements } = require('./achievements');
+
+// Chore state changes shared by the single-chore routes and POST /api/chores/bulk.
+// Every action runs on a transaction connection supplied by the caller and throws
+// an AppError when the chore can't take it, so the caller decides whether that
+// fails the whole request or only one item of a bulk request.
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Deleted chores stay in the trash (restorable) this long before the scheduler purges them
+const TRASH_RETENTION_DAYS = 30;
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Load and lock a family's chore for the rest of the transaction
+ * @param {Object} connection - Transaction connection
+ * @param {number} choreId - Chore ID
+ * @param {number} familyId - Family the chore must belong to
+ * @returns {Promise<Object>} - Chore row with assignee_name
+ */
+async function lockChore(connection, choreId, familyId) {
+  const [[chore]] = await connection.execute(
+    `SELECT c.*, u.name as assignee_name
+     FROM chores c
+     LEFT JOIN users u ON c.assigned_to = u.id
+     WHERE c.id = ? AND c.family_id = ? AND c.deleted_at IS NULL
+     FOR UPDATE`,
+    [choreId, familyId]
+  );
+
+  if (!chore) {
+    throw new AppError('Chore not found', 404);
+  }
+
+  return chore;
+}
+
+/**
+ * Load and lock a family's chore that is in the trash
+ * @param {Object} connection - Transaction connection
+ * @param {number} choreId - Chore ID
+ * @param {number} familyId - Family the chore must belong to
+ * @returns {Promise<Object>} - Chore row
+ */
+async function lockTrashedChore(connection, choreId, familyId) {
+  const [[chore]] = await connection.execute(
+    `SELECT * FROM chores
+     WHERE id = ? AND family_id = ? AND deleted_at IS NOT NULL
+     FOR UPDATE`,
+    [choreId, familyId]
+  );
+
+  if (!chore) {
+    throw new AppError('Chore not found in the trash', 404);
+  }
+
+  return chore;
+}
+
+/**
+ * Withdraw any open swap offers involving a chore whose holder is changing
+ * @param {Object} connection - Transaction connection
+ * @param {number} choreId - Chore ID
+ */
+async function cancelOpenSwaps(connection, choreId) {
+  await connection.execute(
+    `UPDATE chore_swaps SET status = ?, updated_at = NOW()
+     WHERE status IN ('pending', 'awaiting_approval') AND (chore_id = ? OR return_chore_id = ?)`,
+    ['cancelled', choreId, choreId]
+  );
+}
+
+/**
+ * Read approval options (rating, bonus, partial credit) from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - { options, error }
+ */
+function parseApprovalOptions(body) {
+  const { quality_rating, bonus, credit_percent, credit_amount, partial_reason, follow_up } = body;
+  const rating = quality_rating === undefined || quality_rating === null ? null : Number(quality_rating);
+
+  if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return { error: 'Quality rating must be a whole number from 1 to 5' };
+  }
+
+  if (bonus !== undefined && bonus !== null && (isNaN(parseFloat(bonus)) || parseFloat(bonus) < 0)) {
+    return { error: 'Bonus must be a non-negative number' };
+  }
+
+  // Partial credit pays a chosen percentage or amount of the reward
+  let credit = null;
+  if (credit_percent !== undefined && credit_amount !== undefined) {
+    return { error: 'Give either credit_percent or credit_amount, not both' };
+  } else if (credit_percent !== undefined) {
+    credit = { percent: credit_percent === null || credit_percent === '' ? NaN : Number(credit_percent) };
+    if (!Number.isFinite(credit.percent) || credit.percent < 0 || credit.percent >= 100) {
+      return { error: 'credit_percent must be at least 0 and below 100' };
+    }
+  } else if (credit_amount !== undefined) {
+    credit = { amount: credit_amount === null || credit_amount === '' ? NaN : Number(credit_amount) };
+    if (!Number.isFinite(credit.amount) || credit.amount < 0) {
+      return { error: 'credit_amount must be a non-negative number' };
+    }
+  }
+
+  if (credit && (typeof partial_reason !== 'string' || partial_reason.trim() === '')) {
+    return { error: 'A partial_reason is required for partial credit' };
+  }
+
+  return {
+    options: {
+      rating,
+      bonus: bonus !== undefined && bonus !== null ? parseFloat(bonus) : null,
+      credit,
+      partialReason: credit ? partial_reason.trim() : null,
+      followUp: Boolean(follow_up)
+    },
+    error: null
+  };
+}
+
+/**
+ * Assign a chore to one user, or to several as a shared chore
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row
+ * @param {Object} options - { assignedBy, userIds, shared, split_rule, submission_mode, shares }
+ * @returns {Promise<Object>} - { assigneeIds, names }
+ */
+async function assignChore(connection, chore, options) {
+  const { assignedBy, userIds, shared, split_rule, submission_mode, shares } = options;
+
+  if (shared && chore.status !== 'available') {
+    throw new AppError('Only available chores can be shared', 400);
+  }
+
+  if (['pending_approval', 'completed', 'cancelled'].includes(chore.status)) {
+    throw new AppError(`A ${chore.status} chore cannot be assigned`, 400);
+  }
+
+  if ((await getOpenPrerequisites(chore.id)).length > 0) {
+    throw new AppError('This chore is blocked until its prerequisites are approved', 409);
+  }
+
+  // Check that every assignee exists and belongs to the family
+  const assigneeIds = userIds.map(Number);
+  const [users] = await connection.execute(
+    `SELECT id, name FROM users WHERE family_id = ? AND id IN (${assigneeIds.map(() => '?').join(', ')})`,
+    [chore.family_id, ...assigneeIds]
+  );
+
+  if (users.length !== assigneeIds.length) {
+    throw new AppError('User not found', 404);
+  }
+
+  // Offers to trade the chore were made by the old holder
+  await cancelOpenSwaps(connection, chore.id);
+
+  // Whoever held the chore before (every participant, if it was shared) lets it go
+  await connection.execute(
+    `UPDATE chore_assignments SET status = ?
+     WHERE chore_id = ? AND status IN ('pending', 'accepted', 'auto_accepted')`,
+    ['expired', chore.id]
+  );
+
+  const acceptanceDeadline = new Date();
+  acceptanceDeadline.setMinutes(acceptanceDeadline.getMinutes() + (chore.acceptance_timer || 5));
+
+  // Create one assignment record per assignee
+  for (const assigneeId of assigneeIds) {
+    await connection.execute(
+      `INSERT INTO chore_assignments
+       (chore_id, user_id, assigned_by, status, acceptance_deadline, share_percent)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        chore.id,
+        assigneeId,
+        assignedBy,
+        'pending',
+        acceptanceDeadline,
+        shared && split_rule === 'percentage' ? Number(shares[assigneeId]) : null
+      ]
+    );
+  }
+
+  // Update chore status (the first assignee leads a shared chore)
+  await transitionChore(connection, chore, 'pending_acceptance', {
+    actorId: assignedBy,
+    reason: chore.status === 'pending_acceptance' ? 'Reassigned' : 'Assigned',
+    details: { assignee_ids: assigneeIds },
+    changes: {
+      assigned_to: assigneeIds[0],
+      assigned_at: NOW,
+      is_shared: shared ? 1 : 0,
+      split_rule: shared ? split_rule || 'equal' : 'equal',
+      submission_mode: shared ? submission_mode || 'individual' : 'individual',
+      handoff_user_id: null,
+      handoff_percent: null
+    }
+  });
+
+  return {
+    assigneeIds,
+    names: assigneeIds.map(id => users.find(user => user.id === id).name)
+  };
+}
+
+/**
+ * Approve a chore's submission(s) and pay out the reward and any bonus
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row (with assignee_name)
+ * @param {Object} options - { reviewerId, settings } plus parseApprovalOptions() options
+ * @returns {Promise<Object>} - Payout details and the status transition
+ */
+async function approveChore(connection, chore, options) {
+  const { reviewerId, settings, rating, bonus, credit, partialReason, followUp } = options;
+
+  if (chore.status !== 'pending_approval') {
+    throw new AppError('Chore not found or not pending approval', 404);
+  }
+
+  // Chores that needed several revisions may pay a reduced reward
+  const [[rounds]] = await connection.execute(
+    'SELECT COALESCE(MAX(revision_round), 1) as latest FROM chore_submissions WHERE chore_id = ? AND status = ?',
+    [chore.id, 'pending']
+  );
+  const revisions = rounds.latest - 1;
+  const fullReward = applyRevisionPenalty(settings, chore.current_reward, revisions, chore.reward_type);
+
+  // A partial credit can't pay more than the chore is worth
+  if (credit && credit.amount !== undefined && credit.amount > parseFloat(fullReward)) {
+    throw new AppError(`credit_amount cannot be more than the reward of ${fullReward}`, 400);
+  }
+
+  // With partial credit only part of the reward is paid; the rest can become a follow-up chore
+  const { paid: reward, remainder } = credit
+    ? applyPartialCredit(fullReward, credit, chore.reward_type)
+    : { paid: fullReward, remainder: 0 };
+  const creditPercent = credit
+    ? (credit.percent !== undefined ? credit.percent : (fullReward > 0 ? Math.round(reward / fullReward * 10000) / 100 : 0))
+    : null;
+
+  // An explicit bonus wins; otherwise the family's rating table decides
+  const totalBonus = bonus !== null && bonus !== undefined
+    ? bonus
+    : getRatingBonus(settings, rating, reward, chore.reward_type);
+
+  // Complete the chore before paying: the update only applies while it is still
+  // pending approval, so a concurrent approval can't pay out twice
+  const transition = await transitionChore(connection, chore, 'completed', {
+    actorId: reviewerId,
+    reason: 'Approved',
+    details: { credit_percent: creditPercent, quality_rating: rating },
+    changes: { completed_at: NOW }
+  });
+
+  // Work out who gets paid for which submission
+  let payouts;
+  let handoff = null;
+
+  if (chore.is_shared) {
+    const participants = (await getParticipants(chore.id, connection))
+      .filter(p => p.assignment_status !== 'pending');
+
+    // A joint submission covers every participant
+    const [[jointSubmission]] = chore.submission_mode === 'joint'
+      ? await connection.execute(
+          'SELECT * FROM chore_submissions WHERE chore_id = ? AND status = ? ORDER BY submitted_at DESC LIMIT 1',
+          [chore.id, 'pending']
+        )
+      : [[]];
+
+    const submissions = participants.map(p => (jointSubmission || (p.submission_status === 'pending' ? {
+      id: p.submission_id,
+      submitted_at: p.submitted_at,
+      time_taken: p.time_taken,
+      photo_path: p.photo_path,
+      notes: p.notes
+    } : null)));
+
+    if (participants.length === 0 || submissions.some(submission => !submission)) {
+      throw new AppError('No submission found for this chore', 404);
+    }
+
+    const amounts = splitReward(reward, participants, chore.split_rule, chore.reward_type);
+    const bonuses = splitReward(totalBonus, participants, chore.split_rule, chore.reward_type);
+
+    payouts = participants.map((p, index) => ({
+      userId: p.user_id,
+      userName: p.user_name,
+      submission: submissions[index],
+      amount: amounts[index],
+      bonus: bonuses[index]
+    }));
+  } else {
+    // Get the latest submission
+    const [[submission]] = await connection.execute(
+      'SELECT * FROM chore_submissions WHERE chore_id = ? AND user_id = ? ORDER BY submitted_at DESC LIMIT 1',
+      [chore.id, chore.assigned_to]
+    );
+
+    if (!submission) {
+      throw new AppError('No submission found for this chore', 404);
+    }
+
+    payouts = [{
+      userId: chore.assigned_to,
+      userName: chore.assignee_name,
+      submission,
+      amount: reward,
+      bonus: totalBonus
+    }];
+
+    // A chore handed off for part of its reward pays that share to the sibling who
+    // traded it. They didn't do the chore, so it is an adjustment, not a completion
+    const handoffPercent = parseFloat(chore.handoff_percent) || 0;
+    if (chore.handoff_user_id && chore.handoff_user_id !== chore.assigned_to && handoffPercent > 0) {
+      const [[handoffUser]] = await connection.execute(
+        'SELECT id, name FROM users WHERE id = ?',
+        [chore.handoff_user_id]
+      );
+
+      if (handoffUser) {
+        const [kept, share] = splitReward(
+          reward,
+          [{ share_percent: 100 - handoffPercent }, { share_percent: handoffPercent }],
+          'percentage',
+          chore.reward_type
+        );
+        payouts[0].amount = kept;
+        handoff = { userId: handoffUser.id, userName: handoffUser.name, amount: share };
+      }
+    }
+  }
+
+  const approvedSubmissions = new Set();
+
+  for (const payout of payouts) {
+    const { submission } = payout;
+
+    // Update submission status
+    if (!approvedSubmissions.has(submission.id)) {
+      await connection.execute(
+        'UPDATE chore_submissions SET status = ?, reviewed_at = NOW(), reviewed_by = ?, quality_rating = ? WHERE id = ?',
+        ['approved', reviewerId, rating, submission.id]
+      );
+      approvedSubmissions.add(submission.id);
+    }
+
+    // Create completed task record (one per participant)
+    const [taskResult] = await connection.execute(
+      `INSERT INTO completed_tasks
+       (chore_id, user_id, submission_id, chore_title, chore_description, reward_type, reward_earned,
+        quality_rating, bonus_earned, credit_percent, partial_reason, time_taken, completed_at,
+        approved_by, approved_at, photo_path, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)`,
+      [
+        chore.id,
+        payout.userId,
+        submission.id,
+        chore.title,
+        chore.description,
+        chore.reward_type,
+        payout.amount,
+        rating,
+        payout.bonus,
+        creditPercent,
+        partialReason,
+        submission.time_taken || null,
+        submission.submitted_at,
+        reviewerId,
+        submission.photo_path,
+        submission.notes
+      ]
+    );
+
+    // Update user earnings (reward plus any bonus)
+    const credited = parseFloat(payout.amount) + payout.bonus;
+    if (chore.reward_type === 'money') {
+      await connection.execute(
+        'UPDATE users SET earnings = earnings + ? WHERE id = ?',
+        [credited, payout.userId]
+      );
+    } else if (chore.reward_type === 'screen_time') {
+      await connection.execute(
+        'UPDATE users SET screen_time_earned = screen_time_earned + ? WHERE id = ?',
+        [credited, payout.userId]
+      );
+    }
+
+    payout.completedTaskId = taskResult.insertId;
+  }
+
+  if (handoff) {
+    // Tied to the assignee's completed task so unapproving takes it back too
+    const column = chore.reward_type === 'money' ? 'earnings' : 'screen_time_earned';
+    await connection.execute(
+      `UPDATE users SET ${column} = ${column} + ? WHERE id = ?`,
+      [handoff.amount, handoff.userId]
+    );
+    await connection.execute(
+      `INSERT INTO reward_adjustments
+       (user_id, chore_id, completed_task_id, reward_type, amount, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [handoff.userId, chore.id, payouts[0].completedTaskId, chore.reward_type, handoff.amount, 'Hand-off share', reviewerId]
+    );
+  }
+
+  let followUpChoreId = null;
+
+  if (credit && followUp && remainder > 0) {
+    // Spawn a follow-up chore worth the unpaid remainder for the unfinished part
+    const [followUpResult] = await connection.execute(
+      `INSERT INTO chores (
+        family_id, template_id, title, description, reward_type, reward_amount, current_reward,
+        requires_photo, acceptance_timer, is_claimable, status, priority, estimated_duration,
+        difficulty_level, category, created_by, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        chore.family_id,
+        chore.template_id,
+        `${chore.title} (follow-up)`,
+        partialReason,
+        chore.reward_type,
+        remainder,
+        remainder,
+        chore.requires_photo,
+        chore.acceptance_timer,
+        chore.is_claimable,
+        'available',
+        chore.priority,
+        chore.estimated_duration,
+        chore.difficulty_level,
+        chore.category,
+        reviewerId,
+        JSON.stringify({
+          created_at: new Date().toISOString(),
+          follow_up_of: chore.id
+        })
+      ]
+    );
+    followUpChoreId = followUpResult.insertId;
+    await recordChoreCreated(
+      { id: followUpChoreId, family_id: chore.family_id, status: 'available' },
+      { actorId: reviewerId, reason: 'Follow-up to a partially credited chore', details: { follow_up_of: chore.id } },
+      connection
+    );
+  }
+
+  return { payouts, handoff, reward, fullReward, revisions, totalBonus, creditPercent, rating, followUpChoreId, transition };
+}
+
+/**
+ * Describe an approval for the response message
+ * @param {Object} chore - Chore row
+ * @param {Object} result - approveChore() result
+ * @returns {string} - Message
+ */
+function describeApproval(chore, result) {
+  const { payouts, handoff, reward, fullReward, revisions, totalBonus, creditPercent, rating } = result;
+  const formatReward = (amount) => (chore.reward_type === 'money' ? '$' + amount : amount + ' minutes');
+
+  const awarded = payouts.length === 1
+    ? `${formatReward(payouts[0].amount)} awarded to ${payouts[0].userName}`
+    : `${formatReward(reward)} split between ${payouts.map(p => `${p.userName} (${formatReward(p.amount)})`).join(', ')}`;
+  const handoffNote = handoff
+    ? ` (${formatReward(handoff.amount)} hand-off share to ${handoff.userName})`
+    : '';
+  const creditNote = creditPercent !== null
+    ? ` as partial credit (${creditPercent}% of ${formatReward(fullReward)})`
+    : '';
+  const penaltyNote = fullReward < parseFloat(chore.current_reward)
+    ? ` (reduced after ${revisions} revisions)`
+    : '';
+  const bonusNote = totalBonus > 0
+    ? ` plus a ${formatReward(totalBonus)} bonus${rating ? ` for a ${rating}-star rating` : ''}`
+    : '';
+
+  return `Chore approved and ${awarded}${handoffNote}${creditNote}${penaltyNote}${bonusNote}`;
+}
+
+/**
+ * Reverse an approval: take back what was paid, mark the completed_tasks rows as
+ * reversed and return the chore to pending_approval
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Locked chore row
+ * @param {Object} options - { reviewerId, reason, settings }
+ * @returns {Promise<Object>} - { reversals, revokedAchievements, transitions }
+ */
+async function unapproveChore(connection, chore, options) {
+  const { reviewerId, reason, settings } = options;
+  const windowHours = settings.unapprove_window_hours;
+
+  if (chore.status !== 'completed') {
+    throw new AppError('Only approved chores can be unapproved', 400);
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    throw new AppError(`Reason must be text of up to ${MAX_REASON_LENGTH} characters`, 400);
+  }
+
+  if (windowHours !== null && new Date(chore.completed_at).getTime() + windowHours * 60 * 60 * 1000 < Date.now()) {
+    throw new AppError(windowHours === 0
+      ? 'This family does not allow approvals to be reversed'
+      : `Approvals can only be reversed within ${windowHours} hours`, 400);
+  }
+
+  const [tasks] = await connection.execute(
+    'SELECT * FROM completed_tasks WHERE chore_id = ? AND reversed_at IS NULL',
+    [chore.id]
+  );
+
+  const note = reason ? reason.trim() : null;
+  const reversals = [];
+
+  for (const task of tasks) {
+    // The balance change is undone by a compensating entry; the original row stays
+    const debited = parseFloat(task.reward_earned) + parseFloat(task.bonus_earned || 0);
+    const column = task.reward_type === 'money' ? 'earnings' : 'screen_time_earned';
+
+    await connection.execute(
+      `UPDATE users SET ${column} = ${column} - ? WHERE id = ?`,
+      [debited, task.user_id]
+    );
+
+    await connection.execute(
+      `INSERT INTO reward_adjustments
+       (user_id, chore_id, completed_task_id, reward_type, amount, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [task.user_id, chore.id, task.id, task.reward_type, -debited, note || 'Approval reversed', reviewerId]
+    );
+
+    await connection.execute(
+      'UPDATE completed_tasks SET reversed_at = NOW(), reversed_by = ?, reversal_reason = ? WHERE id = ?',
+      [reviewerId, note, task.id]
+    );
+
+    reversals.push({ userId: task.user_id, completedTaskId: task.id, amount: debited });
+
+    // Hand-off shares paid out of this task's reward go back as well
+    const [shares] = await connection.execute(
+      'SELECT * FROM reward_adjustments WHERE completed_task_id = ? AND amount > 0',
+      [task.id]
+    );
+    for (const share of shares) {
+      const shareColumn = share.reward_type === 'money' ? 'earnings' : 'screen_time_earned';
+      await connection.execute(
+        `UPDATE users SET ${shareColumn} = ${shareColumn} - ? WHERE id = ?`,
+        [share.amount, share.user_id]
+      );
+      await connection.execute(
+        `INSERT INTO reward_adjustments
+         (user_id, chore_id, completed_task_id, reward_type, amount, reason, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [share.user_id, chore.id, task.id, share.reward_type, -parseFloat(share.amount), note || 'Approval reversed', reviewerId]
+      );
+      reversals.push({ userId: share.user_id, completedTaskId: task.id, amount: parseFloat(share.amount) });
+    }
+  }
+
+  // The approved submissions go back to waiting for review
+  const submissionIds = [...new Set(tasks.map(task => task.submission_id).filter(Boolean))];
+  if (submissionIds.length > 0) {
+    await connection.execute(
+      `UPDATE chore_submissions SET status = ?, reviewed_at = NULL, reviewed_by = NULL, quality_rating = NULL
+       WHERE id IN (${submissionIds.map(() => '?').join(', ')})`,
+      ['pending', ...submissionIds]
+    );
+  }
+
+  const userIds = [...new Set(tasks.map(task => task.user_id))];
+  const transitions = [await transitionChore(connection, chore, 'pending_approval', {
+    actorId: reviewerId,
+    reason: note,
+    details: { completed_task_ids: tasks.map(task => task.id) },
+    changes: { completed_at: null },
+    notifyUserIds: userIds
+  })];
+
+  // A follow-up for the unpaid part of a partial credit goes too, unless someone took it on
+  const [followUps] = await connection.execute(
+    `SELECT * FROM chores
+     WHERE family_id = ? AND JSON_EXTRACT(metadata, '$.follow_up_of') = ? AND status = ? AND deleted_at IS NULL
+     FOR UPDATE`,
+    [chore.family_id, chore.id, 'available']
+  );
+  for (const followUp of followUps) {
+    transitions.push(await cancelChore(connection, followUp, { cancelledBy: reviewerId, reason: 'Approval reversed' }));
+  }
+
+  // Achievements that depended on this chore no longer hold
+  const revokedAchievements = [];
+  for (const userId of userIds) {
+    const revoked = await revokeUnqualifiedAchievements(connection, userId);
+    revokedAchievements.push(...revoked.map(achievement => ({ ...achievement, user_id: userId })));
+  }
+
+  return { reversals, revokedAchievements, transitions };
+}
+
+/**
+ * Reject a chore's open submission(s) and send it back to in progress
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row
+ * @param {Object} options - { reviewerId, feedback }
+ * @returns {Promise<Object>} - Status transition
+ */
+async function rejectChore(connection, chore, options) {
+  const { reviewerId, feedback } = options;
+
+  if (chore.status !== 'pending_approval') {
+    throw new AppError('Chore not found or not pending approval', 404);
+  }
+
+  // Get the latest submission
+  const [[submission]] = await connection.execute(
+    chore.is_shared
+      ? 'SELECT * FROM chore_submissions WHERE chore_id = ? AND status = ? ORDER BY submitted_at DESC LIMIT 1'
+      : 'SELECT * FROM chore_submissions WHERE chore_id = ? AND user_id = ? ORDER BY submitted_at DESC LIMIT 1',
+    chore.is_shared ? [chore.id, 'pending'] : [chore.id, chore.assigned_to]
+  );
+
+  if (!submission) {
+    throw new AppError('No submission found for this chore', 404);
+  }
+
+  // Update submission status (every open submission of a shared chore goes back)
+  if (chore.is_shared) {
+    await connection.execute(
+      'UPDATE chore_submissions SET status = ?, reviewed_at = NOW(), reviewed_by = ?, review_notes = ? WHERE chore_id = ? AND status = ?',
+      ['rejected', reviewerId, feedback || 'Needs improvement', chore.id, 'pending']
+    );
+  } else {
+    await connection.execute(
+      'UPDATE chore_submissions SET status = ?, reviewed_at = NOW(), reviewed_by = ?, review_notes = ? WHERE id = ?',
+      ['rejected', reviewerId, feedback || 'Needs improvement', submission.id]
+    );
+  }
+
+  // Update chore status back to in progress
+  return await transitionChore(connection, chore, 'in_progress', {
+    actorId: reviewerId,
+    reason: feedback || 'Needs improvement'
+  });
+}
+
+/**
+ * Cancel an open chore, keeping it and its history with the reason
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row
+ * @param {Object} options - { cancelledBy, reason }
+ * @returns {Promise<Object>} - Status transition, carrying the users who were doing the chore (to notify)
+ */
+async function cancelChore(connection, chore, options) {
+  const { cancelledBy, reason } = options;
+
+  if (['completed', 'cancelled'].includes(chore.status)) {
+    throw new AppError(`A ${chore.status} chore cannot be cancelled`, 400);
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    throw new AppError(`Reason must be text of up to ${MAX_REASON_LENGTH} characters`, 400);
+  }
+
+  // Collect everyone currently on the chore before their assignments are closed
+  const [assignees] = await connection.execute(
+    `SELECT DISTINCT user_id FROM chore_assignments
+     WHERE chore_id = ? AND status IN ('pending', 'accepted', 'auto_accepted')`,
+    [chore.id]
+  );
+  const userIds = new Set(assignees.map(row => row.user_id));
+  if (chore.assigned_to) {
+    userIds.add(chore.assigned_to);
+  }
+
+  await connection.execute(
+    'UPDATE chore_assignments SET status = ? WHERE chore_id = ? AND status = ?',
+    ['expired', chore.id, 'pending']
+  );
+
+  await cancelOpenSwaps(connection, chore.id);
+
+  await connection.execute(
+    `UPDATE chore_submissions SET status = ?, reviewed_at = NOW(), reviewed_by = ?, review_notes = ?
+     WHERE chore_id = ? AND status = ?`,
+    ['rejected', cancelledBy, 'Chore was cancelled', chore.id, 'pending']
+  );
+
+  return await transitionChore(connection, chore, 'cancelled', {
+    actorId: cancelledBy,
+    reason: reason ? reason.trim() : null,
+    changes: { cancelled_at: NOW, cancelled_by: cancelledBy, cancel_reason: reason ? reason.trim() : null },
+    notifyUserIds: [...userIds]
+  });
+}
+
+/**
+ * Move a chore to the trash; it can be restored until it is purged
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row
+ * @param {Object} options - { deletedBy }
+ * @returns {Promise<Object>} - Transition record to pass to runTransitionEffects()
+ */
+async function deleteChore(connection, chore, options) {
+  // Don't allow deletion of completed chores
+  if (chore.status === 'completed') {
+    throw new AppError('Completed chores cannot be deleted', 400);
+  }
+
+  await cancelOpenSwaps(connection, chore.id);
+
+  await connection.execute(
+    'UPDATE chores SET deleted_at = NOW(), deleted_by = ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+    [options.deletedBy, chore.id]
+  );
+
+  return await recordTrashChange(connection, chore, { actorId: options.deletedBy });
+}
+
+/**
+ * Take a chore back out of the trash
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row locked with lockTrashedChore()
+ * @param {Object} options - { restoredBy }
+ * @returns {Promise<Object>} - Transition record to pass to runTransitionEffects()
+ */
+async function restoreChore(connection, chore, options) {
+  await connection.execute(
+    'UPDATE chores SET deleted_at = NULL, deleted_by = NULL, version = version + 1, updated_at = NOW() WHERE id = ?',
+    [chore.id]
+  );
+
+  return await recordTrashChange(connection, chore, { actorId: options.restoredBy, restored: true });
+}
+
+/**
+ * Change a chore's priority
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row
+ * @param {string} priority - New priority
+ */
+async function setChorePriority(connection, chore, priority) {
+  if (!PRIORITIES.includes(priority)) {
+    throw new AppError(`Priority must be one of: ${PRIORITIES.join(', ')}`, 400);
+  }
+
+  await connection.execute(
+    'UPDATE chores SET priority = ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+    [priority, chore.id]
+  );
+}
+
+module.exports = {
+  PRIORITIES,
+  TRASH_RETENTION_DAYS,
+  lockChore,
+  lockTrashedChore,
+  parseApprovalOptions,
+  assignChore,
+  approveChore,
+  describeApproval,
+  unapproveChore,
+  rejectChore,
+  cancelChore,
+  deleteChore,
+  restoreChore,
+  setChorePriority
+};
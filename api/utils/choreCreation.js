@@ -0,0 +1,358 @@
+const { validateRewardPolicy, computeReward } = require('./rewards');
+const { parseDueDate } = require('./dueDates');
+const { validateChecklist, replaceChecklist, copyTemplateChecklist } = require('./checklists');
+const { validateDependencies, replaceDependencies } = require('./dependencies');
+const { recordChoreCreated } = require('./choreLifecycle');
+const { getTemplate } = require('./templates');
+const { getPlace } = require('./places');
+const { validateSchedule, firstDueDate, parseDaysOfWeek, parseDueTimes } = require('./recurrence');
+const { getFamilyTimezone } = require('./timezones');
+const db = require('../config/database');
+
+// Validation and inserts for new chores and recurring chores, shared by
+// POST /api/chores, POST /api/recurring and the pack and CSV imports so that a
+// chore is held to the same rules however it arrives.
+
+const REWARD_TYPES = ['money', 'screen_time'];
+
+/**
+ * Validate a chore's reward fields; only the fields present are checked
+ * @param {Object} body - { reward_amount, reward_type }
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateReward(body) {
+  const { reward_amount, reward_type } = body;
+  const errors = [];
+
+  if (reward_amount !== undefined) {
+    const value = Number(reward_amount);
+    if (reward_amount === null || reward_amount === '' || isNaN(value) || value < 0) {
+      errors.push('Reward amount must be a number of at least 0');
+    }
+  }
+
+  if (reward_type !== undefined && !REWARD_TYPES.includes(reward_type)) {
+    errors.push(`Reward type must be one of: ${REWARD_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the body of a new chore
+ * @param {Object} body - Chore fields as accepted by POST /api/chores
+ * @param {number} familyId - Family the chore is for
+ * @returns {Promise<Object>} - { error, dueDate }; error is { message, errors? } or null
+ */
+async function validateNewChore(body, familyId) {
+  const { title, reward_amount, reward_policy, due_date, checklist, depends_on, required_place_id } = body;
+
+  if (!title || reward_amount === undefined || reward_amount === null) {
+    return { error: { message: 'Title and reward amount are required' } };
+  }
+
+  const rewardErrors = validateReward(body);
+  if (rewardErrors.length > 0) {
+    return { error: { message: 'Invalid reward', errors: rewardErrors } };
+  }
+
+  const policyErrors = validateRewardPolicy(reward_policy);
+  if (policyErrors.length > 0) {
+    return { error: { message: 'Invalid reward policy', errors: policyErrors } };
+  }
+
+  const { dueDate, error: dueDateError } = parseDueDate(due_date);
+  if (dueDateError) {
+    return { error: { message: dueDateError } };
+  }
+
+  const checklistErrors = validateChecklist(checklist);
+  if (checklistErrors.length > 0) {
+    return { error: { message: 'Invalid checklist', errors: checklistErrors } };
+  }
+
+  if (required_place_id && !(await getPlace(required_place_id, familyId))) {
+    return { error: { message: 'Required place not found' } };
+  }
+
+  if (depends_on !== undefined) {
+    const dependencyErrors = await validateDependencies('chore', null, depends_on, familyId);
+    if (dependencyErrors.length > 0) {
+      return { error: { message: 'Invalid dependencies', errors: dependencyErrors } };
+    }
+  }
+
+  return { error: null, dueDate };
+}
+
+/**
+ * Work out who a new chore starts out assigned to when auto_assign is requested
+ * @param {Object} body - { auto_assign, assigned_to, rotation_type, rotation_members }
+ * @returns {number|null} - User ID, or null to leave the chore available
+ */
+function pickInitialAssignee(body) {
+  const { auto_assign, assigned_to, rotation_type, rotation_members } = body;
+
+  if (!auto_assign) {
+    return null;
+  }
+
+  if (rotation_type === 'none' && assigned_to) {
+    return assigned_to;
+  }
+
+  if ((rotation_type === 'round_robin' || rotation_type === 'random') && rotation_members) {
+    let members = rotation_members;
+    try {
+      // rotation_members may come as a JSON string or an array
+      if (typeof rotation_members === 'string') {
+        members = JSON.parse(rotation_members);
+      }
+    } catch (e) {
+      members = rotation_members;
+    }
+
+    if (Array.isArray(members) && members.length > 0) {
+      // For a single chore we start with the first member (recurring generation handles rotation history)
+      return rotation_type === 'round_robin'
+        ? members[0]
+        : members[Math.floor(Math.random() * members.length)];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Insert a validated chore with its checklist, dependencies and first assignment
+ * @param {Object} connection - Transaction connection
+ * @param {Object} body - Chore fields, already checked by validateNewChore()
+ * @param {Object} context - { familyId, userId, templateId, dueDate }
+ * @returns {Promise<number>} - New chore ID
+ */
+async function insertChore(connection, body, context) {
+  const {
+    title,
+    description,
+    reward_amount,
+    reward_type,
+    requires_photo,
+    acceptance_timer,
+    auto_assign,
+    rotation_type,
+    rotation_members,
+    priority,
+    estimated_duration,
+    difficulty_level,
+    category,
+    reward_policy,
+    is_claimable,
+    checklist,
+    depends_on,
+    required_place_id
+  } = body;
+  const { familyId, userId, templateId = null, dueDate = null } = context;
+
+  const timeZone = await getFamilyTimezone(familyId);
+  const initialAssignedTo = pickInitialAssignee(body);
+  const status = initialAssignedTo ? 'assigned' : 'available';
+  const assignedAt = initialAssignedTo ? new Date() : null;
+
+  const [insertResult] = await connection.execute(
+    `INSERT INTO chores (
+      family_id, template_id, title, description, reward_type, reward_amount,
+      current_reward, reward_policy, requires_photo, required_place_id, acceptance_timer, is_claimable, status,
+      priority, due_date, estimated_duration, difficulty_level, category, created_by, assigned_to, assigned_at, metadata
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      familyId,
+      templateId,
+      title,
+      description || null,
+      reward_type || 'money',
+      reward_amount,
+      // current_reward starts at the policy-adjusted value (e.g. an early bonus)
+      computeReward({ reward_amount, reward_type, reward_policy, due_date: dueDate, created_at: new Date() }, new Date(), timeZone).current_reward,
+      reward_policy ? JSON.stringify(reward_policy) : null,
+      requires_photo ? 1 : 0,
+      required_place_id || null,
+      acceptance_timer || 5,
+      is_claimable === undefined || is_claimable ? 1 : 0,
+      status,
+      priority || 'medium',
+      dueDate,
+      estimated_duration || null,
+      difficulty_level || 'medium',
+      category || null,
+      userId,
+      initialAssignedTo || null,
+      assignedAt,
+      JSON.stringify({
+        created_at: new Date().toISOString(),
+        rotation_type: rotation_type || 'none',
+        rotation_members: rotation_members ? (typeof rotation_members === 'string' ? rotation_members : JSON.stringify(rotation_members)) : null,
+        auto_assign: auto_assign ? true : false
+      })
+    ]
+  );
+
+  const choreId = insertResult.insertId;
+  await recordChoreCreated(
+    { id: choreId, family_id: familyId, status },
+    { actorId: userId, reason: context.reason, details: templateId ? { template_id: templateId } : null },
+    connection
+  );
+
+  // A checklist sent with the request replaces the template's
+  if (checklist) {
+    await replaceChecklist(connection, { choreId }, checklist);
+  } else if (templateId) {
+    await copyTemplateChecklist(templateId, choreId, connection);
+  }
+
+  if (depends_on) {
+    await replaceDependencies(connection, 'chore', choreId, depends_on);
+  }
+
+  // If assigned, create assignment record
+  if (initialAssignedTo) {
+    await connection.execute(
+      `INSERT INTO chore_assignments (
+        chore_id, user_id, assigned_by, assigned_at, status, acceptance_deadline
+      ) VALUES (?, ?, ?, NOW(), ?, ?)
+      `,
+      [
+        choreId,
+        initialAssignedTo,
+        userId,
+        'pending',
+        // acceptance_deadline based on acceptance_timer
+        (() => {
+          const deadline = new Date();
+          deadline.setMinutes(deadline.getMinutes() + (acceptance_timer || 5));
+          return deadline;
+        })()
+      ]
+    );
+  }
+
+  return choreId;
+}
+
+/**
+ * Validate the body of a new recurring chore
+ * @param {Object} body - Recurring chore fields as accepted by POST /api/recurring
+ * @param {number} familyId - Family the recurring chore is for
+ * @returns {Promise<Array<string>>} - Validation error messages (empty if valid)
+ */
+async function validateNewRecurringChore(body, familyId) {
+  const required = ['title', 'frequency', 'start_date', 'reward_type', 'reward_amount'];
+  const missing = required.filter(field => !body[field]);
+
+  if (missing.length > 0) {
+    return [`Missing required fields: ${missing.join(', ')}`];
+  }
+
+  if (body.template_id && !(await getTemplate(body.template_id, familyId))) {
+    return ['Template not found'];
+  }
+
+  if (body.required_place_id && !(await getPlace(body.required_place_id, familyId))) {
+    return ['Required place not found'];
+  }
+
+  return validateSchedule({ ...body, timezone: await getFamilyTimezone(familyId) });
+}
+
+/**
+ * Insert a validated recurring chore
+ * @param {Object} body - Recurring chore fields, already checked by validateNewRecurringChore()
+ * @param {Object} context - { familyId, user }
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<number>} - New recurring chore ID
+ */
+async function insertRecurringChore(body, context, connection = null) {
+  const {
+    title,
+    description,
+    reward_type,
+    reward_amount,
+    requires_photo,
+    required_place_id,
+    frequency,
+    day_of_week,
+    day_of_month,
+    custom_schedule,
+    due_times,
+    start_date,
+    end_date,
+    auto_assign,
+    assigned_to,
+    rotation_type,
+    rotation_members,
+    priority,
+    estimated_duration,
+    difficulty_level,
+    category,
+    template_id
+  } = body;
+  const { familyId, user } = context;
+  const days = parseDaysOfWeek(day_of_week);
+  const times = parseDueTimes(due_times);
+
+  const query = `INSERT INTO recurring_chores (
+      family_id, template_id, title, description, reward_type, reward_amount,
+      requires_photo, required_place_id, frequency, day_of_week, day_of_month, custom_schedule, due_times,
+      start_date, end_date, next_due_date, auto_assign, assigned_to,
+      rotation_type, rotation_members, priority, estimated_duration,
+      difficulty_level, category, created_by, metadata
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const params = [
+    familyId,
+    template_id || null,
+    title,
+    description || null,
+    reward_type,
+    reward_amount,
+    requires_photo ? 1 : 0,
+    required_place_id || null,
+    frequency,
+    days && days.length > 0 ? days.join(',') : null,
+    day_of_month || null,
+    custom_schedule || null,
+    times && times.length > 0 ? JSON.stringify(times) : null,
+    start_date,
+    end_date || null,
+    firstDueDate({ ...body, timezone: await getFamilyTimezone(familyId) }),
+    auto_assign ? 1 : 0,
+    assigned_to || null,
+    rotation_type || 'none',
+    rotation_members ? JSON.stringify(rotation_members) : null,
+    priority || 'medium',
+    estimated_duration || null,
+    difficulty_level || 'medium',
+    category || null,
+    user.id,
+    JSON.stringify({
+      created_at: new Date().toISOString(),
+      created_by_name: user.name
+    })
+  ];
+
+  if (connection) {
+    const [result] = await connection.execute(query, params);
+    return result.insertId;
+  }
+
+  const result = await db.query(query, params);
+  return result.insertId;
+}
+
+module.exports = {
+  validateReward,
+  validateNewChore,
+  insertChore,
+  validateNewRecurringChore,
+  insertRecurringChore
+};
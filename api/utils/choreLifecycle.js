@@ -0,0 +1,258 @@
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { findUnblockedDependents } = require('./dependencies');
+const { notifyChoreCancelled, notifyChoreUnblocked, notifyApprovalReversed } = require('./notifications');
+
+// Every change to chores.status goes through transitionChore(), which checks the
+// move against TRANSITIONS, applies it only if nobody changed the chore in the
+// meantime, and appends a row to chore_status_history. Notifications that depend
+// on the new status run after the caller's transaction commits, via
+// runTransitionEffects(). Rewards are credited by approveChore() in the same
+// transaction as the move to completed, and taken back by unapproveChore().
+// Moving a chore into or out of the trash leaves its status alone but is
+// recorded in the history too, through recordTrashChange().
+
+const STATUSES = [
+  'available',
+  'assigned',
+  'pending_acceptance',
+  'auto_accepted',
+  'in_progress',
+  'pending_approval',
+  'completed',
+  'cancelled'
+];
+
+// Legal moves from each status. Staying in the same status (e.g. handing an
+// in-progress chore to someone else) is always allowed and is recorded too.
+const TRANSITIONS = {
+  available: ['assigned', 'pending_acceptance', 'in_progress', 'cancelled'],
+  assigned: ['pending_acceptance', 'auto_accepted', 'in_progress', 'available', 'cancelled'],
+  pending_acceptance: ['auto_accepted', 'in_progress', 'available', 'cancelled'],
+  auto_accepted: ['pending_acceptance', 'pending_approval', 'cancelled'],
+  in_progress: ['pending_acceptance', 'pending_approval', 'available', 'cancelled'],
+  pending_approval: ['completed', 'in_progress', 'cancelled'],
+  completed: ['pending_approval'],
+  cancelled: []
+};
+
+// Marks a changes value as SQL rather than a bound parameter
+const sql = (expression) => ({ sql: expression });
+const NOW = sql('NOW()');
+
+/**
+ * Whether a chore may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} - True if the move is legal
+ */
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Insert a chore_status_history row
+ * @param {Object} connection - Transaction connection (or null to use the pool)
+ * @param {Object} entry - { choreId, familyId, from, to, actorId, reason, details }
+ */
+async function recordHistory(connection, entry) {
+  const params = [
+    entry.choreId,
+    entry.familyId,
+    entry.from,
+    entry.to,
+    entry.actorId || null,
+    entry.reason || null,
+    entry.details ? JSON.stringify(entry.details) : null
+  ];
+  const query = `INSERT INTO chore_status_history
+     (chore_id, family_id, from_status, to_status, changed_by, reason, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+  if (connection) {
+    await connection.execute(query, params);
+  } else {
+    await db.query(query, params);
+  }
+}
+
+/**
+ * Move a chore to a new status, applying any other column changes with it
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row as the caller last saw it (id, family_id, status)
+ * @param {string} to - Target status
+ * @param {Object} options - { actorId, reason, details, changes, notifyUserIds, conflictMessage }
+ *   changes maps column names to values; wrap SQL expressions with sql()
+ * @returns {Promise<Object>} - Transition record to pass to runTransitionEffects()
+ */
+async function transitionChore(connection, chore, to, options = {}) {
+  const { actorId = null, reason = null, details = null, changes = {}, notifyUserIds = [], conflictMessage } = options;
+  const from = chore.status;
+
+  if (!STATUSES.includes(to)) {
+    throw new AppError(`Unknown chore status: ${to}`, 400);
+  }
+
+  if (!canTransition(from, to)) {
+    throw new AppError(`A ${from} chore cannot be moved to ${to}`, 409);
+  }
+
+  const assignments = [['status', to], ...Object.entries(changes), ['version', sql('version + 1')], ['updated_at', NOW]];
+  const setClause = assignments
+    .map(([column, value]) => (value && value.sql ? `${column} = ${value.sql}` : `${column} = ?`))
+    .join(', ');
+  const values = assignments.filter(([, value]) => !(value && value.sql)).map(([, value]) => value);
+
+  // Only apply the move if the chore is still where the caller found it
+  const [result] = await connection.execute(
+    `UPDATE chores SET ${setClause} WHERE id = ? AND status = ? AND deleted_at IS NULL`,
+    [...values, chore.id, from]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError(conflictMessage || 'This chore was changed by someone else; reload it and try again', 409);
+  }
+
+  const transition = { choreId: chore.id, familyId: chore.family_id, from, to, actorId, reason, notifyUserIds };
+
+  await recordHistory(connection, { ...transition, details });
+
+  return transition;
+}
+
+/**
+ * Record the status a new chore starts out in
+ * @param {Object} chore - { id, family_id, status }
+ * @param {Object} options - { actorId, reason, details }
+ * @param {Object} connection - Optional transaction connection
+ */
+async function recordChoreCreated(chore, options = {}, connection = null) {
+  await recordHistory(connection, {
+    choreId: chore.id,
+    familyId: chore.family_id,
+    from: null,
+    to: chore.status,
+    actorId: options.actorId,
+    reason: options.reason || 'Created',
+    details: options.details
+  });
+}
+
+/**
+ * Record a chore moving into or out of the trash. Its status doesn't change, so
+ * the history row has the same status on both sides
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Chore row (id, family_id, status)
+ * @param {Object} options - { actorId, restored }
+ * @returns {Promise<Object>} - Transition record to pass to runTransitionEffects()
+ */
+async function recordTrashChange(connection, chore, options = {}) {
+  const { actorId = null, restored = false } = options;
+  const transition = {
+    choreId: chore.id,
+    familyId: chore.family_id,
+    from: chore.status,
+    to: chore.status,
+    actorId,
+    reason: restored ? 'Restored from the trash' : 'Moved to the trash',
+    notifyUserIds: [],
+    trash: restored ? 'restored' : 'deleted'
+  };
+
+  await recordHistory(connection, { ...transition, details: { trash: transition.trash } });
+
+  return transition;
+}
+
+// Work to do once a transition has been committed, by target status
+const EFFECTS = {
+  completed: async (transition) => await notifyUnblocked(transition),
+  pending_approval: async (transition) => {
+    // Only an unapproval needs telling; a fresh submission notifies nobody here
+    if (transition.from === 'completed') {
+      await notifyApprovalReversed({
+        choreId: transition.choreId,
+        userIds: transition.notifyUserIds,
+        reason: transition.reason
+      });
+    }
+    return [];
+  },
+  cancelled: async (transition) => {
+    await notifyChoreCancelled({
+      choreId: transition.choreId,
+      userIds: transition.notifyUserIds,
+      reason: transition.reason
+    });
+    return await notifyUnblocked(transition);
+  }
+};
+
+/**
+ * Tell the holders of chores that were waiting on this one that they can start
+ * @param {Object} transition - Transition record
+ * @returns {Promise<Array<number>>} - IDs of the chores that are no longer blocked
+ */
+async function notifyUnblocked(transition) {
+  const unblocked = await findUnblockedDependents(transition.choreId);
+  for (const dependent of unblocked) {
+    await notifyChoreUnblocked({ choreId: dependent.id, prerequisiteId: transition.choreId });
+  }
+  return unblocked.map(dependent => dependent.id);
+}
+
+/**
+ * Run the after-commit effects (notifications) of committed transitions
+ * @param {Array<Object>} transitions - Transition records from transitionChore()
+ * @returns {Promise<Array<number>>} - IDs of chores unblocked by these transitions
+ */
+async function runTransitionEffects(transitions) {
+  const unblockedIds = [];
+
+  for (const transition of transitions) {
+    // A prerequisite in the trash no longer blocks anything
+    const effect = transition.trash === 'deleted'
+      ? notifyUnblocked
+      : transition.from !== transition.to && EFFECTS[transition.to];
+    if (effect) {
+      unblockedIds.push(...(await effect(transition)));
+    }
+  }
+
+  return unblockedIds;
+}
+
+/**
+ * Get a chore's status history, oldest first
+ * @param {number} choreId - Chore ID
+ * @returns {Promise<Array>} - History rows with the name of whoever made each change
+ */
+async function getStatusHistory(choreId) {
+  const rows = await db.query(
+    `SELECT h.id, h.from_status, h.to_status, h.changed_by, u.name as changed_by_name,
+            h.reason, h.details, h.created_at
+     FROM chore_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.chore_id = ?
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [choreId]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+  }));
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  NOW,
+  sql,
+  canTransition,
+  transitionChore,
+  recordChoreCreated,
+  recordTrashChange,
+  runTransitionEffects,
+  getStatusHistory
+};
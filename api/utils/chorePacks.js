@@ -0,0 +1,578 @@
+const db = require('../config/database');
+const { parseRewardPolicy } = require('./rewards');
+const { getTemplateChecklist } = require('./checklists');
+const { parseDueTimes } = require('./recurrence');
+const { TEMPLATE_FIELDS, validateTemplate, insertTemplate, applyTemplate } = require('./templates');
+const {
+  validateNewChore,
+  insertChore,
+  validateNewRecurringChore,
+  insertRecurringChore
+} = require('./choreCreation');
+
+// A chore pack is a family's templates and recurring definitions as versioned
+// JSON, so they can be shared with or copied into another family. Members are
+// written as keys ("member-1") with their name and role and matched to the
+// importing family's members by name or by role. An import is planned first —
+// the plan lists conflicts, unmatched members and validation errors — and only
+// applied when nothing in it is invalid.
+//
+// CSV imports bulk-create chores and recurring chores, one per row, and are
+// held to the same validation as POST /api/chores and POST /api/recurring.
+
+const PACK_FORMAT = 'family-chores-pack';
+const PACK_VERSION = 1;
+const MAX_PACK_ITEMS = 200;
+const MAX_CSV_ROWS = 500;
+
+// Places belong to the exporting family, so packs leave required_place_id out
+const PACK_TEMPLATE_FIELDS = TEMPLATE_FIELDS.filter(field => field !== 'required_place_id');
+
+// Recurring chore columns carried in a pack besides the template fields
+const RECURRING_SCHEDULE_FIELDS = [
+  'frequency',
+  'day_of_week',
+  'day_of_month',
+  'custom_schedule',
+  'due_times',
+  'start_date',
+  'end_date',
+  'auto_assign',
+  'rotation_type',
+  'priority'
+];
+
+const CSV_COLUMNS = [
+  'type',
+  'title',
+  'description',
+  'reward_type',
+  'reward_amount',
+  'requires_photo',
+  'priority',
+  'due_date',
+  'estimated_duration',
+  'difficulty_level',
+  'category',
+  'assigned_to',
+  'checklist',
+  'frequency',
+  'day_of_week',
+  'day_of_month',
+  'custom_schedule',
+  'due_times',
+  'start_date',
+  'end_date'
+];
+
+const toDateString = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value || null);
+const sameTitle = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Get a family's active members
+ * @param {number} familyId - Family ID
+ * @returns {Promise<Array>} - Members ({ id, name, role }), oldest account first
+ */
+async function getFamilyMembers(familyId) {
+  return await db.query(
+    'SELECT id, name, role FROM users WHERE family_id = ? AND is_active = 1 ORDER BY created_at ASC, id ASC',
+    [familyId]
+  );
+}
+
+/**
+ * Export a family's active templates and recurring chores as a pack
+ * @param {number} familyId - Family ID
+ * @returns {Promise<Object>} - Pack
+ */
+async function exportPack(familyId) {
+  const templates = await db.query(
+    'SELECT * FROM chore_templates WHERE family_id = ? AND is_active = 1 ORDER BY id ASC',
+    [familyId]
+  );
+  const recurringChores = await db.query(
+    'SELECT * FROM recurring_chores WHERE family_id = ? AND is_active = 1 ORDER BY id ASC',
+    [familyId]
+  );
+  const members = await getFamilyMembers(familyId);
+
+  // Only the members a definition refers to go into the pack
+  const memberKeys = new Map();
+  const memberKey = (userId) => {
+    const member = members.find(m => m.id === Number(userId));
+    if (!member) {
+      return null;
+    }
+    if (!memberKeys.has(member.id)) {
+      memberKeys.set(member.id, { key: `member-${memberKeys.size + 1}`, name: member.name, role: member.role });
+    }
+    return memberKeys.get(member.id).key;
+  };
+
+  const templateKeys = new Map(templates.map((template, index) => [template.id, `template-${index + 1}`]));
+
+  const packTemplates = [];
+  for (const template of templates) {
+    const checklist = await getTemplateChecklist(template.id);
+    packTemplates.push({
+      key: templateKeys.get(template.id),
+      ...Object.fromEntries(PACK_TEMPLATE_FIELDS.map(field => [field, template[field]])),
+      reward_amount: parseFloat(template.reward_amount),
+      requires_photo: Boolean(template.requires_photo),
+      reward_policy: parseRewardPolicy(template.reward_policy),
+      checklist: checklist.map(item => ({ title: item.title, is_required: Boolean(item.is_required) }))
+    });
+  }
+
+  const packRecurring = recurringChores.map(recurringChore => {
+    let rotationMembers = [];
+    try {
+      rotationMembers = JSON.parse(recurringChore.rotation_members || '[]');
+    } catch (e) {
+      rotationMembers = [];
+    }
+
+    return {
+      ...Object.fromEntries([...PACK_TEMPLATE_FIELDS, ...RECURRING_SCHEDULE_FIELDS].map(field => [field, recurringChore[field]])),
+      reward_amount: parseFloat(recurringChore.reward_amount),
+      requires_photo: Boolean(recurringChore.requires_photo),
+      auto_assign: Boolean(recurringChore.auto_assign),
+      due_times: parseDueTimes(recurringChore.due_times) || [],
+      start_date: toDateString(recurringChore.start_date),
+      end_date: toDateString(recurringChore.end_date),
+      template: templateKeys.get(recurringChore.template_id) || null,
+      assigned_to: recurringChore.assigned_to ? memberKey(recurringChore.assigned_to) : null,
+      rotation_members: rotationMembers.map(memberKey).filter(Boolean)
+    };
+  });
+
+  return {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    exported_at: new Date().toISOString(),
+    members: [...memberKeys.values()],
+    templates: packTemplates,
+    recurring: packRecurring
+  };
+}
+
+/**
+ * Check that a pack is one this version can read
+ * @param {Object} pack - Pack from the request body
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validatePackShape(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['Pack must be an object'];
+  }
+
+  if (pack.format !== PACK_FORMAT) {
+    return [`Not a chore pack (format must be "${PACK_FORMAT}")`];
+  }
+
+  if (!Number.isInteger(pack.version) || pack.version < 1 || pack.version > PACK_VERSION) {
+    return [`Unsupported pack version: ${pack.version} (this server reads up to version ${PACK_VERSION})`];
+  }
+
+  const errors = [];
+  for (const section of ['members', 'templates', 'recurring']) {
+    if (pack[section] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(pack[section]) || pack[section].some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      errors.push(`${section} must be an array of objects`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const memberKeys = (pack.members || []).map(member => member.key);
+  if (memberKeys.some(key => typeof key !== 'string') || new Set(memberKeys).size !== memberKeys.length) {
+    errors.push('Every member needs a unique key');
+  }
+
+  if ((pack.templates || []).length + (pack.recurring || []).length > MAX_PACK_ITEMS) {
+    errors.push(`A pack can hold at most ${MAX_PACK_ITEMS} templates and recurring chores`);
+  }
+
+  return errors;
+}
+
+/**
+ * Match a pack's members to a family's members.
+ * An explicit member_map ({ key: userId }) wins; otherwise members are matched
+ * by name (same name and role) or by role (each pack child takes the next
+ * family child not yet matched, oldest account first, and likewise for parents).
+ * @param {Array} packMembers - Pack members ({ key, name, role })
+ * @param {Array} familyMembers - Family members ({ id, name, role })
+ * @param {Object} options - { match_members_by: 'name' | 'role', member_map }
+ * @returns {Array} - Pack members with user_id, user_name and matched_by (null if unmatched)
+ */
+function matchMembers(packMembers, familyMembers, options = {}) {
+  const matchBy = options.match_members_by === 'role' ? 'role' : 'name';
+  const memberMap = options.member_map || {};
+  const used = new Set(Object.values(memberMap).map(Number));
+
+  return packMembers.map(member => {
+    let match;
+    let matchedBy = matchBy;
+
+    if (memberMap[member.key] !== undefined) {
+      match = familyMembers.find(m => m.id === Number(memberMap[member.key]));
+      matchedBy = 'map';
+    } else {
+      match = familyMembers.find(m => !used.has(m.id) && m.role === member.role &&
+        (matchBy === 'role' || (typeof member.name === 'string' && sameTitle(m.name, member.name))));
+    }
+
+    if (match) {
+      used.add(match.id);
+    }
+
+    return {
+      key: member.key,
+      name: member.name,
+      role: member.role,
+      user_id: match ? match.id : null,
+      user_name: match ? match.name : null,
+      matched_by: match ? matchedBy : null
+    };
+  });
+}
+
+/**
+ * Plan the import of a pack into a family without changing anything
+ * @param {Object} pack - Pack that passed validatePackShape()
+ * @param {number} familyId - Family to import into
+ * @param {Object} options - { match_members_by, member_map, on_conflict: 'skip' | 'create' }
+ * @returns {Promise<Object>} - { members, templates, recurring, valid }; each item has an
+ *   action ('create' or 'skip'), the existing item it conflicts with, and its errors
+ */
+async function planPackImport(pack, familyId, options = {}) {
+  const onConflict = options.on_conflict === 'create' ? 'create' : 'skip';
+  const members = matchMembers(pack.members || [], await getFamilyMembers(familyId), options);
+  const existingTemplates = await db.query(
+    'SELECT id, title FROM chore_templates WHERE family_id = ? AND is_active = 1',
+    [familyId]
+  );
+  const existingRecurring = await db.query(
+    'SELECT id, title FROM recurring_chores WHERE family_id = ? AND is_active = 1',
+    [familyId]
+  );
+
+  const findConflict = (existing, title) => {
+    const conflict = typeof title === 'string' ? existing.find(row => sameTitle(row.title, title)) : null;
+    return conflict ? { id: conflict.id, title: conflict.title } : null;
+  };
+
+  const templates = (pack.templates || []).map((template, index) => {
+    const conflict = findConflict(existingTemplates, template.title);
+    return {
+      key: template.key || `template-${index + 1}`,
+      title: template.title,
+      action: conflict && onConflict === 'skip' ? 'skip' : 'create',
+      conflict,
+      errors: validateTemplate(template, false),
+      body: { ...template, required_place_id: null }
+    };
+  });
+
+  const memberId = (key) => {
+    const member = members.find(m => m.key === key);
+    return member ? member.user_id : null;
+  };
+
+  const recurring = [];
+  for (const [index, definition] of (pack.recurring || []).entries()) {
+    const errors = [];
+    const unmatched = [];
+
+    // Fields a definition leaves out come from its template, as with POST /api/recurring
+    let body = { ...definition };
+    const template = definition.template ? templates.find(t => t.key === definition.template) : null;
+    if (definition.template && !template) {
+      errors.push(`Unknown template: ${definition.template}`);
+    }
+    if (template) {
+      body = applyTemplate({ ...template.body, id: null }, definition);
+    }
+    delete body.template;
+    delete body.template_id;
+    body.required_place_id = null;
+
+    if (definition.assigned_to) {
+      body.assigned_to = memberId(definition.assigned_to);
+      if (!body.assigned_to) {
+        unmatched.push(definition.assigned_to);
+      }
+    }
+
+    const rotation = Array.isArray(definition.rotation_members) ? definition.rotation_members : [];
+    body.rotation_members = rotation.map(memberId).filter(Boolean);
+    unmatched.push(...rotation.filter(key => !memberId(key)));
+    if (body.rotation_members.length === 0) {
+      body.rotation_members = null;
+    }
+
+    errors.push(...(await validateNewRecurringChore(body, familyId)));
+
+    const conflict = findConflict(existingRecurring, body.title);
+    recurring.push({
+      index: index + 1,
+      title: body.title,
+      template: definition.template || null,
+      action: conflict && onConflict === 'skip' ? 'skip' : 'create',
+      conflict,
+      unmatched_members: [...new Set(unmatched)],
+      errors,
+      body
+    });
+  }
+
+  const valid = [...templates, ...recurring].every(item => item.action === 'skip' || item.errors.length === 0);
+
+  return { members, templates, recurring, valid };
+}
+
+/**
+ * Apply a planned import in one transaction
+ * @param {Object} plan - Valid plan from planPackImport()
+ * @param {Object} context - { familyId, user }
+ * @returns {Promise<Object>} - IDs of the created templates and recurring chores
+ */
+async function applyPackImport(plan, context) {
+  const { familyId, user } = context;
+
+  return await db.transaction(async (connection) => {
+    const templateIds = {};
+    const created = { template_ids: [], recurring_ids: [] };
+
+    for (const template of plan.templates) {
+      if (template.action === 'skip') {
+        // Definitions using a skipped template use the family's own template of that name
+        templateIds[template.key] = template.conflict.id;
+        continue;
+      }
+      templateIds[template.key] = await insertTemplate(connection, template.body, { familyId, userId: user.id });
+      created.template_ids.push(templateIds[template.key]);
+    }
+
+    for (const definition of plan.recurring) {
+      if (definition.action === 'skip') {
+        continue;
+      }
+      const body = { ...definition.body, template_id: definition.template ? templateIds[definition.template] : null };
+      created.recurring_ids.push(await insertRecurringChore(body, { familyId, user }, connection));
+    }
+
+    return created;
+  });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a CSV row into the body POST /api/chores or POST /api/recurring would receive
+ * @param {Object} record - Row keyed by column name
+ * @param {Array} members - Family members, for assigned_to by name
+ * @returns {Object} - { type, body, errors }
+ */
+function csvRecordToBody(record, members) {
+  const errors = [];
+  const value = (column) => (record[column] === undefined || record[column].trim() === '' ? undefined : record[column].trim());
+  const type = (value('type') || 'chore').toLowerCase();
+
+  if (!['chore', 'recurring'].includes(type)) {
+    errors.push('type must be chore or recurring');
+  }
+
+  const body = {};
+  for (const column of CSV_COLUMNS) {
+    if (column !== 'type' && value(column) !== undefined) {
+      body[column] = value(column);
+    }
+  }
+
+  if (body.reward_amount !== undefined) {
+    body.reward_amount = Number(body.reward_amount);
+    if (isNaN(body.reward_amount) || body.reward_amount < 0) {
+      errors.push('reward_amount must be a number of at least 0');
+    }
+  }
+
+  for (const column of ['estimated_duration', 'day_of_month']) {
+    if (body[column] !== undefined) {
+      body[column] = Number(body[column]);
+      if (!Number.isInteger(body[column]) || body[column] < 1) {
+        errors.push(`${column} must be a positive whole number`);
+      }
+    }
+  }
+
+  if (body.requires_photo !== undefined) {
+    body.requires_photo = ['1', 'true', 'yes', 'y'].includes(body.requires_photo.toLowerCase());
+  }
+
+  if (body.checklist !== undefined) {
+    body.checklist = body.checklist.split('|').map(item => item.trim()).filter(Boolean);
+  }
+
+  if (body.assigned_to !== undefined) {
+    const member = members.find(m => sameTitle(m.name, body.assigned_to));
+    if (member) {
+      body.assigned_to = member.id;
+      body.auto_assign = true;
+      body.rotation_type = 'none';
+    } else {
+      errors.push(`No family member named ${body.assigned_to}`);
+    }
+  }
+
+  return { type, body, errors };
+}
+
+/**
+ * Validate every row of a CSV import
+ * @param {string} text - CSV text with a header row
+ * @param {number} familyId - Family to import into
+ * @returns {Promise<Object>} - { rows, errors }; errors is a list of { row, errors }
+ *   where row is the line number in the file, or null for problems with the file itself
+ */
+async function planCsvImport(text, familyId) {
+  const lines = parseCsv(text || '');
+
+  if (lines.length < 2) {
+    return { rows: [], errors: [{ row: null, errors: ['CSV needs a header row and at least one data row'] }] };
+  }
+
+  if (lines.length - 1 > MAX_CSV_ROWS) {
+    return { rows: [], errors: [{ row: null, errors: [`CSV can have at most ${MAX_CSV_ROWS} rows`] }] };
+  }
+
+  const header = lines[0].map(column => column.trim().toLowerCase());
+  const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    return { rows: [], errors: [{ row: null, errors: [`Unknown columns: ${unknown.join(', ')}`] }] };
+  }
+
+  const members = await getFamilyMembers(familyId);
+  const rows = [];
+  const errors = [];
+
+  for (const [index, fields] of lines.slice(1).entries()) {
+    const record = Object.fromEntries(header.map((column, position) => [column, fields[position]]));
+    const { type, body, errors: rowErrors } = csvRecordToBody(record, members);
+    let dueDate = null;
+
+    if (type === 'chore') {
+      const { error, dueDate: parsedDueDate } = await validateNewChore(body, familyId);
+      if (error) {
+        rowErrors.push(...(error.errors || [error.message]));
+      }
+      dueDate = parsedDueDate || null;
+    } else if (type === 'recurring') {
+      rowErrors.push(...(await validateNewRecurringChore(body, familyId)));
+    }
+
+    const row = index + 2;
+    if (rowErrors.length > 0) {
+      errors.push({ row, errors: rowErrors });
+    }
+    rows.push({ row, type, title: body.title, body, dueDate });
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Create the chores and recurring chores of a validated CSV import in one transaction
+ * @param {Array} rows - Rows from planCsvImport()
+ * @param {Object} context - { familyId, user }
+ * @returns {Promise<Object>} - { chore_ids, recurring_ids }
+ */
+async function applyCsvImport(rows, context) {
+  const { familyId, user } = context;
+
+  return await db.transaction(async (connection) => {
+    const created = { chore_ids: [], recurring_ids: [] };
+
+    for (const row of rows) {
+      if (row.type === 'chore') {
+        created.chore_ids.push(await insertChore(connection, row.body, {
+          familyId,
+          userId: user.id,
+          dueDate: row.dueDate,
+          reason: 'Imported from CSV'
+        }));
+      } else {
+        created.recurring_ids.push(await insertRecurringChore(row.body, { familyId, user }, connection));
+      }
+    }
+
+    return created;
+  });
+}
+
+module.exports = {
+  PACK_FORMAT,
+  PACK_VERSION,
+  CSV_COLUMNS,
+  exportPack,
+  validatePackShape,
+  matchMembers,
+  planPackImport,
+  applyPackImport,
+  parseCsv,
+  planCsvImport,
+  applyCsvImport
+};
@@ -0,0 +1,174 @@
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { recordActivity } = require('../middleware/activityLogger');
+const { lockChore } = require('./choreActions');
+const { NOW, sql, transitionChore } = require('./choreLifecycle');
+
+// Children can offer a chore they hold to a sibling, as a plain hand-off, in
+// exchange for one of the sibling's chores (return_chore_id), or for a share of
+// the reward (reward_percent, paid to the original holder on approval). Offers
+// live in chore_swaps; ownership only moves once the swap completes.
+
+// Chore statuses a child can still trade away
+const SWAPPABLE_STATUSES = ['assigned', 'pending_acceptance', 'auto_accepted', 'in_progress'];
+
+// Swap statuses that still hold the chore
+const OPEN_SWAP_STATUSES = ['pending', 'awaiting_approval'];
+
+const MAX_SWAP_MESSAGE_LENGTH = 500;
+
+/**
+ * Validate a swap offer from a request body
+ * @param {Object} body - { chore_id, to_user_id, return_chore_id, reward_percent, message }
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateSwapOffer(body) {
+  const { chore_id, to_user_id, return_chore_id, reward_percent, message } = body;
+  const errors = [];
+
+  if (!Number.isInteger(Number(chore_id)) || !chore_id) {
+    errors.push('chore_id is required');
+  }
+
+  if (!Number.isInteger(Number(to_user_id)) || !to_user_id) {
+    errors.push('to_user_id is required');
+  }
+
+  if (return_chore_id !== undefined && return_chore_id !== null && !Number.isInteger(Number(return_chore_id))) {
+    errors.push('return_chore_id must be a chore ID');
+  }
+
+  if (reward_percent !== undefined && reward_percent !== null) {
+    const percent = Number(reward_percent);
+    if (isNaN(percent) || percent <= 0 || percent >= 100) {
+      errors.push('reward_percent must be above 0 and below 100');
+    }
+  }
+
+  if (return_chore_id && reward_percent) {
+    errors.push('Offer either a return chore or a share of the reward, not both');
+  }
+
+  if (message !== undefined && message !== null && (typeof message !== 'string' || message.length > MAX_SWAP_MESSAGE_LENGTH)) {
+    errors.push(`Message must be text of up to ${MAX_SWAP_MESSAGE_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Get a family's swap with the names and chore titles involved
+ * @param {number} swapId - Swap ID
+ * @param {number} familyId - Family ID
+ * @returns {Promise<Object|undefined>} - Swap
+ */
+async function getSwap(swapId, familyId) {
+  const [swap] = await db.query(
+    `SELECT s.*, c.title as chore_title, rc.title as return_chore_title,
+            fu.name as from_user_name, tu.name as to_user_name
+     FROM chore_swaps s
+     JOIN chores c ON s.chore_id = c.id
+     LEFT JOIN chores rc ON s.return_chore_id = rc.id
+     JOIN users fu ON s.from_user_id = fu.id
+     JOIN users tu ON s.to_user_id = tu.id
+     WHERE s.id = ? AND s.family_id = ?`,
+    [swapId, familyId]
+  );
+  return swap;
+}
+
+/**
+ * Hand a chore over from one child to another
+ * @param {Object} connection - Transaction connection
+ * @param {Object} chore - Locked chore row
+ * @param {number} fromUserId - Current holder
+ * @param {number} toUserId - New holder
+ * @param {number} actorId - User completing the trade (for the status history)
+ */
+async function transferChore(connection, chore, fromUserId, toUserId, actorId = null) {
+  if (chore.is_shared) {
+    throw new AppError(`"${chore.title}" is shared and cannot be traded`, 409);
+  }
+
+  if (chore.assigned_to !== fromUserId || !SWAPPABLE_STATUSES.includes(chore.status)) {
+    throw new AppError(`"${chore.title}" can no longer be traded`, 409);
+  }
+
+  await connection.execute(
+    `UPDATE chore_assignments SET status = ?
+     WHERE chore_id = ? AND user_id = ? AND status IN ('pending', 'accepted', 'auto_accepted')`,
+    ['transferred', chore.id, fromUserId]
+  );
+
+  // The new holder agreed to the trade, so their assignment starts out accepted
+  await connection.execute(
+    `INSERT INTO chore_assignments (chore_id, user_id, assigned_by, status, accepted_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [chore.id, toUserId, fromUserId, 'accepted']
+  );
+
+  const status = ['assigned', 'pending_acceptance'].includes(chore.status) ? 'in_progress' : chore.status;
+  await transitionChore(connection, chore, status, {
+    actorId,
+    reason: 'Traded to a sibling',
+    details: { from_user_id: fromUserId, to_user_id: toUserId },
+    changes: { assigned_to: toUserId, assigned_at: NOW, accepted_at: sql('COALESCE(accepted_at, NOW())') }
+  });
+}
+
+/**
+ * Carry out an accepted (and, if required, approved) swap
+ * @param {Object} connection - Transaction connection
+ * @param {Object} swap - Locked swap row
+ * @param {number} actorId - User completing the swap (the sibling or a parent)
+ */
+async function completeSwap(connection, swap, actorId) {
+  const chore = await lockChore(connection, swap.chore_id, swap.family_id);
+  await transferChore(connection, chore, swap.from_user_id, swap.to_user_id, actorId);
+
+  // A hand-off for part of the reward pays that share to the original holder on approval
+  await connection.execute(
+    'UPDATE chores SET handoff_user_id = ?, handoff_percent = ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+    [swap.reward_percent ? swap.from_user_id : null, swap.reward_percent || null, chore.id]
+  );
+
+  if (swap.return_chore_id) {
+    const returnChore = await lockChore(connection, swap.return_chore_id, swap.family_id);
+    await transferChore(connection, returnChore, swap.to_user_id, swap.from_user_id, actorId);
+    await connection.execute(
+      'UPDATE chores SET handoff_user_id = NULL, handoff_percent = NULL, version = version + 1, updated_at = NOW() WHERE id = ?',
+      [returnChore.id]
+    );
+  }
+
+  await connection.execute(
+    'UPDATE chore_swaps SET status = ?, updated_at = NOW() WHERE id = ?',
+    ['completed', swap.id]
+  );
+
+  await recordActivity(connection, {
+    familyId: swap.family_id,
+    userId: actorId,
+    action: 'trade_chore',
+    entityType: 'chore',
+    entityId: swap.chore_id,
+    details: {
+      swap_id: swap.id,
+      chore_id: swap.chore_id,
+      from_user_id: swap.from_user_id,
+      to_user_id: swap.to_user_id,
+      return_chore_id: swap.return_chore_id,
+      reward_percent: swap.reward_percent !== null ? parseFloat(swap.reward_percent) : null,
+      approved_by: swap.reviewed_by || null
+    }
+  });
+}
+
+module.exports = {
+  SWAPPABLE_STATUSES,
+  OPEN_SWAP_STATUSES,
+  validateSwapOffer,
+  getSwap,
+  transferChore,
+  completeSwap
+};
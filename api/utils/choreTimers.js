@@ -0,0 +1,172 @@
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Each child working on a chore has one row in chore_timers. Active time is kept
+// server-side: active_seconds holds the finished stretches and running_since the
+// start of the current one, so pauses and page reloads don't lose or invent time.
+// Submitting stops the timer; a revision round picks up where it left off.
+
+// SQL for a timer's total seconds, including the stretch that is still running
+const elapsedExpression = (prefix = '') => `${prefix}active_seconds + CASE WHEN ${prefix}status = 'running'
+  THEN TIMESTAMPDIFF(SECOND, ${prefix}running_since, NOW()) ELSE 0 END`;
+
+/**
+ * Get a user's timer on a chore
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Object|null>} - Timer with elapsed_seconds, or null if never started
+ */
+async function getTimer(choreId, userId, connection = null) {
+  const sql = `SELECT chore_id, user_id, status, started_at, running_since, active_seconds,
+            ${elapsedExpression()} as elapsed_seconds
+     FROM chore_timers
+     WHERE chore_id = ? AND user_id = ?`;
+
+  if (connection) {
+    const [[timer]] = await connection.execute(sql, [choreId, userId]);
+    return timer || null;
+  }
+
+  const [timer] = await db.query(sql, [choreId, userId]);
+  return timer || null;
+}
+
+/**
+ * Get every timer on a chore with the child's name
+ * @param {number} choreId - Chore ID
+ * @returns {Promise<Array>} - Timers
+ */
+async function getChoreTimers(choreId) {
+  return await db.query(
+    `SELECT t.user_id, u.name as user_name, t.status, t.started_at, t.running_since,
+            ${elapsedExpression('t.')} as elapsed_seconds
+     FROM chore_timers t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.chore_id = ?
+     ORDER BY t.started_at ASC`,
+    [choreId]
+  );
+}
+
+/**
+ * Start (or, after a revision request, restart) a user's timer on a chore
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Timer
+ */
+async function startTimer(choreId, userId) {
+  const timer = await getTimer(choreId, userId);
+
+  if (timer && timer.status === 'running') {
+    throw new AppError('The timer is already running', 400);
+  }
+
+  if (timer && timer.status === 'paused') {
+    throw new AppError('The timer is paused; resume it instead', 400);
+  }
+
+  await db.query(
+    `INSERT INTO chore_timers (chore_id, user_id, status, started_at, running_since, active_seconds)
+     VALUES (?, ?, 'running', NOW(), NOW(), 0)
+     ON DUPLICATE KEY UPDATE status = 'running', running_since = NOW()`,
+    [choreId, userId]
+  );
+
+  return await getTimer(choreId, userId);
+}
+
+/**
+ * Pause a running timer, banking the time of the current stretch
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Timer
+ */
+async function pauseTimer(choreId, userId) {
+  const result = await db.query(
+    `UPDATE chore_timers
+     SET active_seconds = ${elapsedExpression()}, running_since = NULL, status = 'paused'
+     WHERE chore_id = ? AND user_id = ? AND status = 'running'`,
+    [choreId, userId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError('The timer is not running', 400);
+  }
+
+  return await getTimer(choreId, userId);
+}
+
+/**
+ * Resume a paused timer
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Timer
+ */
+async function resumeTimer(choreId, userId) {
+  const result = await db.query(
+    `UPDATE chore_timers SET running_since = NOW(), status = 'running'
+     WHERE chore_id = ? AND user_id = ? AND status = 'paused'`,
+    [choreId, userId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError('The timer is not paused', 400);
+  }
+
+  return await getTimer(choreId, userId);
+}
+
+/**
+ * Stop a user's timer when they submit and return the time taken
+ * @param {Object} connection - Transaction connection
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} - Minutes of active time, or null if the timer was never used
+ */
+async function stopTimer(connection, choreId, userId) {
+  await connection.execute(
+    `UPDATE chore_timers
+     SET active_seconds = ${elapsedExpression()}, running_since = NULL, status = 'stopped'
+     WHERE chore_id = ? AND user_id = ?`,
+    [choreId, userId]
+  );
+
+  const timer = await getTimer(choreId, userId, connection);
+  if (!timer) {
+    return null;
+  }
+
+  // time_taken is stored in minutes, like estimated_duration; any work counts as at least one
+  const seconds = Number(timer.active_seconds);
+  return seconds > 0 ? Math.max(1, Math.round(seconds / 60)) : 0;
+}
+
+/**
+ * Whether a recorded time is too short to be believable for the chore. A chore
+ * with an estimated duration that was submitted without using the timer has no
+ * time to check, so it is flagged as well
+ * @param {Object} settings - Family settings
+ * @param {number|null} minutes - Time taken (null if the timer was never used)
+ * @param {number|null} estimatedDuration - Chore's estimated duration in minutes
+ * @returns {boolean} - True if the submission should be flagged for review
+ */
+function isImplausiblyShort(settings, minutes, estimatedDuration) {
+  const percent = settings.min_plausible_time_percent;
+
+  if (percent === null || percent === undefined || !estimatedDuration) {
+    return false;
+  }
+
+  return minutes === null || minutes === undefined || minutes < estimatedDuration * percent / 100;
+}
+
+module.exports = {
+  getTimer,
+  getChoreTimers,
+  startTimer,
+  pauseTimer,
+  resumeTimer,
+  stopTimer,
+  isImplausiblyShort
+};
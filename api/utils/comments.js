@@ -0,0 +1,96 @@
+const db = require('../config/database');
+
+// Comment threads on chores. Each user's read position per chore is kept in
+// chore_comment_reads as the last comment ID they have seen.
+
+// SQL expression counting comments on chore `c` the user hasn't read yet (takes the user ID twice)
+const UNREAD_COMMENTS_EXPRESSION = `(
+  SELECT COUNT(*) FROM chore_comments cc
+  WHERE cc.chore_id = c.id AND cc.user_id <> ?
+  AND cc.id > COALESCE((
+    SELECT last_read_comment_id FROM chore_comment_reads
+    WHERE chore_id = c.id AND user_id = ?
+  ), 0)
+)`;
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Find the family members @mentioned in a comment
+ * @param {string} body - Comment text
+ * @param {Array} members - Family members ({ id, name })
+ * @returns {Array<number>} - Mentioned user IDs
+ */
+function findMentions(body, members) {
+  const text = body.toLowerCase();
+
+  // Longest names first so "@Sam Jr" isn't also read as "@Sam"
+  const sorted = [...members].sort((a, b) => b.name.length - a.name.length);
+  const mentioned = [];
+  let remaining = text;
+
+  sorted.forEach(member => {
+    const tag = `@${member.name.toLowerCase()}`;
+    if (remaining.includes(tag)) {
+      mentioned.push(member.id);
+      remaining = remaining.split(tag).join(' ');
+    }
+  });
+
+  return mentioned;
+}
+
+/**
+ * Get a chore's comments, oldest first, with author and attachment details
+ * @param {number} choreId - Chore ID
+ * @returns {Promise<Array>} - Comments
+ */
+async function getComments(choreId) {
+  return await db.query(
+    `SELECT cc.id, cc.user_id, u.name as user_name, u.role as user_role, cc.body, cc.mentions,
+            cc.upload_id, up.stored_filename, up.thumbnail_path, cc.created_at
+     FROM chore_comments cc
+     JOIN users u ON cc.user_id = u.id
+     LEFT JOIN uploads up ON cc.upload_id = up.id
+     WHERE cc.chore_id = ?
+     ORDER BY cc.id ASC`,
+    [choreId]
+  );
+}
+
+/**
+ * Count the comments on a chore a user hasn't read
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Unread comment count
+ */
+async function countUnreadComments(choreId, userId) {
+  const [row] = await db.query(
+    `SELECT ${UNREAD_COMMENTS_EXPRESSION} as unread FROM chores c WHERE c.id = ?`,
+    [userId, userId, choreId]
+  );
+  return row ? row.unread : 0;
+}
+
+/**
+ * Mark every comment on a chore as read for a user
+ * @param {number} choreId - Chore ID
+ * @param {number} userId - User ID
+ */
+async function markCommentsRead(choreId, userId) {
+  await db.query(
+    `INSERT INTO chore_comment_reads (chore_id, user_id, last_read_comment_id)
+     SELECT ?, ?, COALESCE(MAX(id), 0) FROM chore_comments WHERE chore_id = ?
+     ON DUPLICATE KEY UPDATE last_read_comment_id = GREATEST(last_read_comment_id, VALUES(last_read_comment_id))`,
+    [choreId, userId, choreId]
+  );
+}
+
+module.exports = {
+  UNREAD_COMMENTS_EXPRESSION,
+  MAX_COMMENT_LENGTH,
+  findMentions,
+  getComments,
+  countUnreadComments,
+  markCommentsRead
+};
@@ -0,0 +1,225 @@
+const db = require('../config/database');
+
+// "Blocked by" links live in chore_dependencies. A row either links two chores
+// (chore_id -> depends_on_chore_id) or two recurring definitions
+// (recurring_id -> depends_on_recurring_id); the latter are turned into chore
+// links each time a chore is generated.
+
+// Prerequisite statuses that no longer block: approved, or cancelled and never coming.
+// Prerequisites in the trash don't block either.
+const SETTLED_STATUSES = ['completed', 'cancelled'];
+
+// SQL expression that is 1 when the chore aliased `c` still has an open prerequisite
+const BLOCKED_EXPRESSION = `EXISTS (
+  SELECT 1 FROM chore_dependencies cd
+  JOIN chores pc ON cd.depends_on_chore_id = pc.id
+  WHERE cd.chore_id = c.id AND pc.status NOT IN ('completed', 'cancelled') AND pc.deleted_at IS NULL
+)`;
+
+const KINDS = {
+  chore: { table: 'chores', column: 'chore_id', dependsOn: 'depends_on_chore_id', live: 'deleted_at IS NULL' },
+  recurring: { table: 'recurring_chores', column: 'recurring_id', dependsOn: 'depends_on_recurring_id', live: '1 = 1' }
+};
+
+/**
+ * Get a chore's prerequisites with their status
+ * @param {number} choreId - Chore ID
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Array>} - Prerequisite chores, each with an `open` flag
+ */
+async function getPrerequisites(choreId, connection = null) {
+  const sql = `SELECT pc.id, pc.title, pc.status, pc.assigned_to
+     FROM chore_dependencies cd
+     JOIN chores pc ON cd.depends_on_chore_id = pc.id
+     WHERE cd.chore_id = ? AND pc.deleted_at IS NULL
+     ORDER BY pc.id ASC`;
+
+  let prerequisites;
+  if (connection) {
+    [prerequisites] = await connection.execute(sql, [choreId]);
+  } else {
+    prerequisites = await db.query(sql, [choreId]);
+  }
+
+  return prerequisites.map(p => ({ ...p, open: !SETTLED_STATUSES.includes(p.status) }));
+}
+
+/**
+ * Get the prerequisites still blocking a chore
+ * @param {number} choreId - Chore ID
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Array>} - Open prerequisite chores
+ */
+async function getOpenPrerequisites(choreId, connection = null) {
+  return (await getPrerequisites(choreId, connection)).filter(p => p.open);
+}
+
+/**
+ * Get the IDs a chore or recurring definition depends on
+ * @param {string} kind - 'chore' or 'recurring'
+ * @param {number} id - Chore or recurring chore ID
+ * @returns {Promise<Array<number>>} - Prerequisite IDs
+ */
+async function getDependencyIds(kind, id) {
+  const { column, dependsOn } = KINDS[kind];
+  const rows = await db.query(
+    `SELECT ${dependsOn} as id FROM chore_dependencies WHERE ${column} = ?`,
+    [id]
+  );
+  return rows.map(row => row.id);
+}
+
+/**
+ * Validate a new set of prerequisites
+ * @param {string} kind - 'chore' or 'recurring'
+ * @param {number} id - Chore or recurring chore ID
+ * @param {Array} dependsOn - Prerequisite IDs from the request body
+ * @param {number} familyId - Family the prerequisites must belong to
+ * @returns {Promise<Array<string>>} - Validation error messages (empty if valid)
+ */
+async function validateDependencies(kind, id, dependsOn, familyId) {
+  if (!Array.isArray(dependsOn) || dependsOn.some(value => !Number.isInteger(Number(value)))) {
+    return ['depends_on must be an array of IDs'];
+  }
+
+  const ids = [...new Set(dependsOn.map(Number))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  if (ids.includes(Number(id))) {
+    return ['A chore cannot depend on itself'];
+  }
+
+  const { table, live } = KINDS[kind];
+  const found = await db.query(
+    `SELECT id FROM ${table} WHERE family_id = ? AND ${live} AND id IN (${ids.map(() => '?').join(', ')})`,
+    [familyId, ...ids]
+  );
+
+  if (found.length !== ids.length) {
+    const missing = ids.filter(value => !found.some(row => row.id === value));
+    return [`Prerequisites not found: ${missing.join(', ')}`];
+  }
+
+  // Walk up from each prerequisite; reaching `id` again would close a loop
+  const seen = new Set();
+  const queue = [...ids];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === Number(id)) {
+      return ['These dependencies would create a cycle'];
+    }
+    if (seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+    queue.push(...await getDependencyIds(kind, current));
+  }
+
+  return [];
+}
+
+/**
+ * Replace the prerequisites of a chore or recurring definition
+ * @param {Object} connection - Transaction connection
+ * @param {string} kind - 'chore' or 'recurring'
+ * @param {number} id - Chore or recurring chore ID
+ * @param {Array} dependsOn - Validated prerequisite IDs
+ */
+async function replaceDependencies(connection, kind, id, dependsOn) {
+  const { column, dependsOn: dependsOnColumn } = KINDS[kind];
+
+  await connection.execute(
+    `DELETE FROM chore_dependencies WHERE ${column} = ?`,
+    [id]
+  );
+
+  for (const prerequisiteId of new Set(dependsOn.map(Number))) {
+    await connection.execute(
+      `INSERT INTO chore_dependencies (${column}, ${dependsOnColumn}) VALUES (?, ?)`,
+      [id, prerequisiteId]
+    );
+  }
+}
+
+/**
+ * Find the latest chores generated from the recurring definitions a recurring
+ * chore depends on, which the chore generated next will be linked to
+ * @param {number} recurringId - Recurring chore about to generate a chore
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Array>} - { chore_id, open } for each prerequisite chore
+ */
+async function findRecurringPrerequisites(recurringId, connection = null) {
+  const sql = `SELECT rch.chore_id, pc.status, pc.deleted_at
+     FROM chore_dependencies cd
+     JOIN recurring_chore_history rch ON rch.id = (
+       SELECT id FROM recurring_chore_history
+       WHERE recurring_id = cd.depends_on_recurring_id AND chore_id IS NOT NULL
+       ORDER BY due_date DESC, id DESC LIMIT 1
+     )
+     LEFT JOIN chores pc ON rch.chore_id = pc.id
+     WHERE cd.recurring_id = ?`;
+
+  let prerequisites;
+  if (connection) {
+    [prerequisites] = await connection.execute(sql, [recurringId]);
+  } else {
+    prerequisites = await db.query(sql, [recurringId]);
+  }
+
+  // Same rule as getPrerequisites(): settled or trashed prerequisites don't block
+  return prerequisites.map(p => ({
+    chore_id: p.chore_id,
+    open: Boolean(p.status) && !p.deleted_at && !SETTLED_STATUSES.includes(p.status)
+  }));
+}
+
+/**
+ * Link a freshly generated chore to its prerequisite chores
+ * @param {number} choreId - Generated chore ID
+ * @param {Array} prerequisites - From findRecurringPrerequisites()
+ * @param {Object} connection - Optional transaction connection
+ */
+async function linkRecurringDependencies(choreId, prerequisites, connection = null) {
+  for (const prerequisite of prerequisites) {
+    const params = [choreId, prerequisite.chore_id];
+    const sql = 'INSERT INTO chore_dependencies (chore_id, depends_on_chore_id) VALUES (?, ?)';
+
+    if (connection) {
+      await connection.execute(sql, params);
+    } else {
+      await db.query(sql, params);
+    }
+  }
+}
+
+/**
+ * Find chores that depended on a chore and have no open prerequisites left
+ * @param {number} choreId - Prerequisite that was just settled
+ * @returns {Promise<Array>} - Unblocked dependent chores
+ */
+async function findUnblockedDependents(choreId) {
+  return await db.query(
+    `SELECT c.id, c.title, c.assigned_to, c.created_by
+     FROM chore_dependencies d
+     JOIN chores c ON d.chore_id = c.id
+     WHERE d.depends_on_chore_id = ?
+     AND c.status NOT IN ('completed', 'cancelled')
+     AND c.deleted_at IS NULL
+     AND NOT ${BLOCKED_EXPRESSION}`,
+    [choreId]
+  );
+}
+
+module.exports = {
+  BLOCKED_EXPRESSION,
+  getPrerequisites,
+  getOpenPrerequisites,
+  getDependencyIds,
+  validateDependencies,
+  replaceDependencies,
+  findRecurringPrerequisites,
+  linkRecurringDependencies,
+  findUnblockedDependents
+};
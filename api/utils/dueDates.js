@@ -0,0 +1,54 @@
+// Chore statuses that can no longer become overdue
+const CLOSED_STATUSES = ['pending_approval', 'completed', 'cancelled'];
+
+// Priority ladder used when a family escalates overdue chores
+const PRIORITY_LADDER = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Parse a due date from a request body
+ * @param {string|null} value - ISO 8601 date/time string, or null to clear
+ * @returns {Object} - { dueDate, error }
+ */
+function parseDueDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return { dueDate: null, error: null };
+  }
+
+  const dueDate = new Date(value);
+  if (isNaN(dueDate.getTime())) {
+    return { dueDate: null, error: 'due_date must be a valid date and time' };
+  }
+
+  return { dueDate, error: null };
+}
+
+/**
+ * Check whether a chore is past its due date and still open
+ * @param {Object} chore - Chore row
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {boolean} - True if overdue
+ */
+function isOverdue(chore, now = new Date()) {
+  if (!chore.due_date || CLOSED_STATUSES.includes(chore.status)) {
+    return false;
+  }
+
+  return new Date(chore.due_date) < now;
+}
+
+/**
+ * Get the next priority up the ladder
+ * @param {string} priority - Current priority
+ * @returns {string} - Escalated priority ('urgent' stays 'urgent')
+ */
+function escalatePriority(priority) {
+  const index = PRIORITY_LADDER.indexOf(priority || 'medium');
+  return PRIORITY_LADDER[Math.min(index + 1, PRIORITY_LADDER.length - 1)];
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  parseDueDate,
+  isOverdue,
+  escalatePriority
+};
@@ -0,0 +1,53 @@
+// Chores and recurring chores carry a version that goes up on every edit and
+// status change, the scheduler's and trades' included. It is sent as the ETag; a write carrying If-Match with an older
+// version is refused with 412 and the current representation, so two people
+// editing the same chore can't silently overwrite each other.
+
+/**
+ * ETag for a row version
+ * @param {number} version - Row version
+ * @returns {string} - Quoted entity tag
+ */
+function etagFor(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Whether a request's If-Match header rules out the current version.
+ * Requests without If-Match (or with If-Match: *) are never stale.
+ * @param {Object} req - Express request
+ * @param {number} version - Current row version
+ * @returns {boolean} - True if the write should be refused with 412
+ */
+function isStale(req, version) {
+  const header = req.get('If-Match');
+
+  if (!header || header.trim() === '*') {
+    return false;
+  }
+
+  // Weak tags (W/"3") compare the same as strong ones for our purposes
+  const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  return !tags.includes(etagFor(version));
+}
+
+/**
+ * Send a 412 with the current representation and its ETag
+ * @param {Object} res - Express response
+ * @param {string} name - Key of the representation in data (e.g. 'chore')
+ * @param {Object} current - Current row
+ */
+function sendStale(res, name, current) {
+  res.set('ETag', etagFor(current.version));
+  res.status(412).json({
+    status: 'fail',
+    message: `This ${name === 'recurringChore' ? 'recurring chore' : name} has changed since you loaded it; review the current version and try again`,
+    data: { [name]: current }
+  });
+}
+
+module.exports = {
+  etagFor,
+  isStale,
+  sendStale
+};
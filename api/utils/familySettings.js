@@ -0,0 +1,161 @@
+const db = require('../config/database');
+
+// Family-wide chore policies stored in families.settings
+const DEFAULT_SETTINGS = {
+  // What happens when a child lets an acceptance deadline pass:
+  // 'expire' returns the chore to available, 'reassign' offers it to the next
+  // rotation member, 'auto_accept' accepts it on the child's behalf
+  acceptance_expiry_policy: 'expire',
+  // What happens when an open chore passes its due date:
+  // 'none', 'escalate_priority', 'notify_parents' or 'cancel'
+  overdue_policy: 'none',
+  // How many self-claimed chores a child may have in progress at once,
+  // with optional per-child overrides keyed by user ID
+  max_claimed_chores: 3,
+  claim_limit_overrides: {},
+  // Bonus paid on approval for a quality rating, as a percentage of the
+  // reward, keyed by rating, e.g. { "4": 10, "5": 25 }
+  rating_bonus_percent: {},
+  // How many times parents may send a submission back for revision (null for no limit)
+  max_revision_rounds: 3,
+  // Reduced reward once a chore has needed this many revisions,
+  // e.g. { "after_rounds": 2, "reward_percent": 50 }, or null to always pay in full
+  revision_penalty: null,
+  // Whether a parent must approve chore swaps and hand-offs a sibling has accepted
+  require_swap_approval: false,
+  // Flag submissions whose timed work is below this percentage of the chore's
+  // estimated_duration (null to never flag)
+  min_plausible_time_percent: 25,
+  // How long after approving a parent may still reverse the approval and take
+  // the reward back, in hours (0 to never allow it, null for no limit)
+  unapprove_window_hours: 24,
+  // Local hour (0-23, in the family's timezone) from which the day's recurring
+  // chores are generated
+  recurring_generation_hour: 6
+};
+
+// Validators for settings that parents may change
+const SETTING_VALIDATORS = {
+  acceptance_expiry_policy: (value) => ['expire', 'reassign', 'auto_accept'].includes(value),
+  overdue_policy: (value) => ['none', 'escalate_priority', 'notify_parents', 'cancel'].includes(value),
+  max_claimed_chores: (value) => Number.isInteger(value) && value >= 0,
+  claim_limit_overrides: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).every(key => /^\d+$/.test(key) && Number.isInteger(value[key]) && value[key] >= 0),
+  rating_bonus_percent: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).every(key => /^[1-5]$/.test(key) && typeof value[key] === 'number' && value[key] >= 0 && value[key] <= 1000),
+  max_revision_rounds: (value) => value === null || (Number.isInteger(value) && value >= 1),
+  revision_penalty: (value) => value === null || (typeof value === 'object' && !Array.isArray(value) &&
+    Number.isInteger(value.after_rounds) && value.after_rounds >= 1 &&
+    typeof value.reward_percent === 'number' && value.reward_percent >= 0 && value.reward_percent <= 100),
+  require_swap_approval: (value) => typeof value === 'boolean',
+  min_plausible_time_percent: (value) => value === null || (typeof value === 'number' && value > 0 && value <= 100),
+  unapprove_window_hours: (value) => value === null || (Number.isInteger(value) && value >= 0),
+  recurring_generation_hour: (value) => Number.isInteger(value) && value >= 0 && value <= 23
+};
+
+/**
+ * Parse a settings value coming from a JSON column
+ * @param {Object|string|null} raw - Raw column value
+ * @returns {Object} - Parsed settings object
+ */
+function parseSettings(raw) {
+  if (!raw) {
+    return {};
+  }
+
+  if (typeof raw === 'object') {
+    return raw;
+  }
+
+  try {
+    return JSON.parse(raw) || {};
+  } catch (e) {
+    console.error('Failed to parse family settings:', e);
+    return {};
+  }
+}
+
+/**
+ * Get a family's settings merged with the defaults
+ * @param {number} familyId - Family ID
+ * @returns {Promise<Object>} - Family settings
+ */
+async function getFamilySettings(familyId) {
+  const [family] = await db.query(
+    'SELECT settings FROM families WHERE id = ?',
+    [familyId]
+  );
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...parseSettings(family ? family.settings : null)
+  };
+}
+
+/**
+ * Validate a partial settings update
+ * @param {Object} updates - Settings to change
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateSettings(updates) {
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    const validator = SETTING_VALIDATORS[key];
+
+    if (!validator) {
+      errors.push(`Unknown setting: ${key}`);
+    } else if (!validator(updates[key])) {
+      errors.push(`Invalid value for ${key}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Merge a partial update into a family's stored settings
+ * @param {number} familyId - Family ID
+ * @param {Object} updates - Validated settings to change
+ * @returns {Promise<Object>} - Updated settings merged with the defaults
+ */
+async function updateFamilySettings(familyId, updates) {
+  const [family] = await db.query(
+    'SELECT settings FROM families WHERE id = ?',
+    [familyId]
+  );
+
+  const settings = {
+    ...parseSettings(family ? family.settings : null),
+    ...updates
+  };
+
+  await db.query(
+    'UPDATE families SET settings = ?, updated_at = NOW() WHERE id = ?',
+    [JSON.stringify(settings), familyId]
+  );
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings
+  };
+}
+
+/**
+ * Get how many self-claimed chores a child may hold at once
+ * @param {Object} settings - Family settings
+ * @param {number} userId - Child's user ID
+ * @returns {number} - Claim limit
+ */
+function getClaimLimit(settings, userId) {
+  const overrides = settings.claim_limit_overrides || {};
+  return overrides[userId] !== undefined ? overrides[userId] : settings.max_claimed_chores;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getClaimLimit,
+  getFamilySettings,
+  validateSettings,
+  updateFamilySettings
+};
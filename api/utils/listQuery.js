@@ -0,0 +1,301 @@
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { BLOCKED_EXPRESSION } = require('./dependencies');
+
+// Shared filtering, sorting and cursor pagination for list endpoints.
+//
+// A list config describes what a caller may filter and sort on:
+// {
+//   idColumn: 'c.id',
+//   filters: { status: { column: 'c.status', values: [...] }, ... },
+//   ranges: { due: { column: 'c.due_date' } },      // -> ?due_from=&due_to=
+//   search: ['c.title', 'c.description'],             // -> ?q=
+//   sorts: { created_at: { expression: 'c.created_at', type: 'date' }, ... },
+//   defaultSort: '-created_at',
+//   defaultLimit: 50,
+//   maxLimit: 200
+// }
+//
+// Pagination is keyset-based: the cursor encodes the sort key and id of the
+// last row returned, so pages stay stable while rows are added or changed.
+
+const CHORE_STATUSES = ['available', 'assigned', 'pending_acceptance', 'auto_accepted', 'in_progress', 'pending_approval', 'completed', 'cancelled'];
+
+// Latest value a TIMESTAMP column can hold; used to sort NULLs after real dates
+const MAX_TIMESTAMP = "TIMESTAMP '2038-01-19 03:14:07'";
+
+const CHORE_LIST_CONFIG = {
+  idColumn: 'c.id',
+  filters: {
+    status: { column: 'c.status', values: CHORE_STATUSES },
+    assignee: { column: 'c.assigned_to', type: 'user' },
+    category: { column: 'c.category' },
+    priority: { column: 'c.priority', values: ['low', 'medium', 'high', 'urgent'] },
+    difficulty: { column: 'c.difficulty_level', values: ['easy', 'medium', 'hard'] },
+    claimable: { column: 'c.is_claimable', type: 'int' },
+    blocked: { column: `(${BLOCKED_EXPRESSION})`, type: 'int' }
+  },
+  ranges: {
+    due: { column: 'c.due_date' }
+  },
+  search: ['c.title', 'c.description'],
+  sorts: {
+    created_at: { expression: 'c.created_at', type: 'date' },
+    updated_at: { expression: 'c.updated_at', type: 'date' },
+    due_date: { expression: `COALESCE(c.due_date, ${MAX_TIMESTAMP})`, type: 'date' },
+    // ENUM + 0 yields the declaration index, so low < medium < high < urgent
+    priority: { expression: '(c.priority + 0)', type: 'number' },
+    reward: { expression: 'c.current_reward', type: 'number' },
+    title: { expression: 'c.title', type: 'string' }
+  },
+  defaultSort: '-created_at',
+  defaultLimit: 100,
+  maxLimit: 200
+};
+
+const COMPLETED_TASK_LIST_CONFIG = {
+  idColumn: 'ct.id',
+  filters: {
+    reward_type: { column: 'ct.reward_type', values: ['money', 'screen_time'] },
+    chore: { column: 'ct.chore_id', type: 'int' }
+  },
+  ranges: {
+    completed: { column: 'ct.completed_at' }
+  },
+  search: ['ct.chore_title', 'ct.chore_description'],
+  sorts: {
+    completed_at: { expression: 'ct.completed_at', type: 'date' },
+    approved_at: { expression: `COALESCE(ct.approved_at, ${MAX_TIMESTAMP})`, type: 'date' },
+    reward: { expression: 'ct.reward_earned', type: 'number' },
+    title: { expression: 'ct.chore_title', type: 'string' }
+  },
+  defaultSort: '-completed_at',
+  defaultLimit: 20,
+  maxLimit: 200
+};
+
+/**
+ * Read a possibly multi-valued query parameter (?a=1,2 or ?a=1&a=2)
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} - Individual values
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Encode a pagination cursor
+ * @param {string} sortKey - Sort key the cursor belongs to
+ * @param {*} value - Sort value of the last row
+ * @param {number} id - ID of the last row
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(sortKey, value, id) {
+  const payload = {
+    s: sortKey,
+    v: value instanceof Date ? value.toISOString() : value,
+    id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} - { s, v, id }
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.s !== 'string' || !Number.isInteger(payload.id)) {
+      throw new Error('Malformed cursor');
+    }
+    return payload;
+  } catch (e) {
+    throw new AppError('Invalid cursor', 400);
+  }
+}
+
+/**
+ * Build WHERE, ORDER BY and LIMIT clauses from request query parameters
+ * @param {Object} query - req.query
+ * @param {Object} config - List config
+ * @param {Object} context - { userId } used to resolve assignee=me
+ * @returns {Object} - { where, params, orderBy, limit, sortKey }
+ */
+function buildListQuery(query, config, context = {}) {
+  const where = [];
+  const params = [];
+
+  // Equality filters (multi-value)
+  Object.keys(config.filters).forEach(name => {
+    if (query[name] === undefined) {
+      return;
+    }
+
+    const filter = config.filters[name];
+    let values = toList(query[name]);
+    let includeNull = false;
+
+    if (filter.type === 'user') {
+      values = values.flatMap(v => {
+        if (v === 'me') return [context.userId];
+        if (v === 'none') {
+          includeNull = true;
+          return [];
+        }
+        return [v];
+      });
+    }
+
+    if (filter.type === 'user' || filter.type === 'int') {
+      values = values.map(Number);
+      if (values.some(v => !Number.isInteger(v))) {
+        throw new AppError(`Invalid ${name} filter`, 400);
+      }
+    }
+
+    if (filter.values) {
+      const invalid = values.filter(v => !filter.values.includes(v));
+      if (invalid.length > 0) {
+        throw new AppError(`Invalid ${name} filter: ${invalid.join(', ')}`, 400);
+      }
+    }
+
+    const conditions = [];
+    if (values.length > 0) {
+      conditions.push(`${filter.column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+    if (includeNull) {
+      conditions.push(`${filter.column} IS NULL`);
+    }
+    if (conditions.length > 0) {
+      where.push(`(${conditions.join(' OR ')})`);
+    }
+  });
+
+  // Date ranges (?<name>_from= / ?<name>_to=)
+  Object.keys(config.ranges || {}).forEach(name => {
+    const { column } = config.ranges[name];
+
+    ['from', 'to'].forEach(bound => {
+      const raw = query[`${name}_${bound}`];
+      if (raw === undefined) {
+        return;
+      }
+
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) {
+        throw new AppError(`Invalid ${name}_${bound} date`, 400);
+      }
+
+      where.push(`${column} ${bound === 'from' ? '>=' : '<='} ?`);
+      params.push(date);
+    });
+  });
+
+  // Text search
+  if (query.q && config.search && config.search.length > 0) {
+    const term = `%${String(query.q).replace(/[\\%_]/g, '\\$&')}%`;
+    where.push(`(${config.search.map(column => `${column} LIKE ?`).join(' OR ')})`);
+    config.search.forEach(() => params.push(term));
+  }
+
+  // Sorting
+  const sortParam = String(query.sort || config.defaultSort);
+  const descending = sortParam.startsWith('-');
+  const sortKey = descending ? sortParam.slice(1) : sortParam;
+  const sort = config.sorts[sortKey];
+
+  if (!sort) {
+    throw new AppError(`Invalid sort. Use one of: ${Object.keys(config.sorts).join(', ')}`, 400);
+  }
+
+  const direction = descending ? 'DESC' : 'ASC';
+  const orderBy = `${sort.expression} ${direction}, ${config.idColumn} ${direction}`;
+
+  // Keyset pagination
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (cursor.s !== sortParam) {
+      throw new AppError('Cursor does not match the requested sort', 400);
+    }
+
+    const value = sort.type === 'date' ? new Date(cursor.v) : cursor.v;
+    const op = descending ? '<' : '>';
+    where.push(`(${sort.expression} ${op} ? OR (${sort.expression} = ? AND ${config.idColumn} ${op} ?))`);
+    params.push(value, value, cursor.id);
+  }
+
+  // Page size
+  let limit = config.defaultLimit;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new AppError('Limit must be a positive number', 400);
+    }
+    limit = Math.min(limit, config.maxLimit);
+  }
+
+  return { where, params, orderBy, limit, sortKey: sortParam };
+}
+
+/**
+ * Run a paginated list query
+ * @param {Object} options - Options
+ * @param {string} options.select - SELECT list (must include the row's id)
+ * @param {string} options.from - FROM/JOIN clause
+ * @param {Array<string>} options.where - Base WHERE conditions scoping the list
+ * @param {Array} options.params - Parameters for the base conditions
+ * @param {Object} options.query - req.query
+ * @param {Object} options.config - List config
+ * @param {Object} options.context - { userId }
+ * @returns {Promise<Object>} - { items, pagination }
+ */
+async function runListQuery(options) {
+  const { select, from, where = [], params = [], query, config, context } = options;
+  const list = buildListQuery(query, config, context);
+  const sortExpression = config.sorts[list.sortKey.replace(/^-/, '')].expression;
+  const conditions = [...where, ...list.where];
+
+  // Fetch one extra row to know whether there is a next page
+  const rows = await db.query(
+    `SELECT ${select}, ${sortExpression} as _sort_value
+     FROM ${from}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${list.orderBy}
+     LIMIT ${list.limit + 1}`,
+    [...params, ...list.params]
+  );
+
+  const hasMore = rows.length > list.limit;
+  const items = rows.slice(0, list.limit);
+  const last = items[items.length - 1];
+
+  const nextCursor = hasMore && last
+    ? encodeCursor(list.sortKey, last._sort_value, last.id)
+    : null;
+
+  items.forEach(item => delete item._sort_value);
+
+  return {
+    items,
+    pagination: {
+      limit: list.limit,
+      sort: list.sortKey,
+      next_cursor: nextCursor
+    }
+  };
+}
+
+module.exports = {
+  CHORE_LIST_CONFIG,
+  COMPLETED_TASK_LIST_CONFIG,
+  buildListQuery,
+  runListQuery
+};
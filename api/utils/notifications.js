@@ -1,6 +1,7 @@
 const db = require('../config/database');
 const fs = require('fs');
 const path = require('path');
+const { getFamilyTimezone } = require('./timezones');
 
 // Email and push notifications are disabled for now
 // This is a simplified version for basic in-app notifications
@@ -399,12 +400,13 @@ async function notifyChoreAssigned(options) {
       return { success: false, message: 'User not found' };
     }
     
-    // Format due date
+    // Format due date in the family's timezone
     const dueDate = chore.due_date
       ? new Date(chore.due_date).toLocaleDateString('en-US', {
           weekday: 'long',
           month: 'short',
-          day: 'numeric'
+          day: 'numeric',
+          timeZone: await getFamilyTimezone(chore.family_id)
         })
       : 'No due date';
     
@@ -486,7 +488,8 @@ async function notifyChoreCompleted(options) {
           month: 'short',
           day: 'numeric',
           hour: 'numeric',
-          minute: 'numeric'
+          minute: 'numeric',
+          timeZone: await getFamilyTimezone(chore.family_id)
         })
       },
       link: `/chores/${choreId}/review`,
@@ -566,6 +569,465 @@ async function notifyChoreApproval(options) {
   }
 }
 
+/**
+ * Send notifications when a child lets an acceptance deadline pass
+ * @param {Object} options - Options
+ * @param {number} options.choreId - Chore ID
+ * @param {number} options.userId - User ID who missed the deadline
+ * @param {number} options.assignedBy - User ID who assigned the chore
+ * @param {string} options.outcome - 'expired', 'reassigned' or 'auto_accepted'
+ * @param {number} options.reassignedTo - User ID the chore was passed on to
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyAssignmentExpired(options) {
+  try {
+    const { choreId, userId, assignedBy, outcome, reassignedTo } = options;
+    
+    // Get chore and child details
+    const [chore] = await db.query(
+      `SELECT c.*, u.name as missed_by_name
+       FROM chores c
+       JOIN users u ON u.id = ?
+       WHERE c.id = ?`,
+      [userId, choreId]
+    );
+    
+    if (!chore) {
+      return { success: false, message: 'Chore not found' };
+    }
+    
+    let childMessage;
+    let parentMessage;
+    
+    if (outcome === 'auto_accepted') {
+      childMessage = `"${chore.title}" was accepted for you because the acceptance time ran out.`;
+      parentMessage = `${chore.missed_by_name} did not respond in time, so "${chore.title}" was auto-accepted.`;
+    } else if (outcome === 'reassigned') {
+      childMessage = `Time ran out to accept "${chore.title}", so it was passed on.`;
+      parentMessage = `${chore.missed_by_name} did not accept "${chore.title}" in time, so it was reassigned.`;
+    } else {
+      childMessage = `Time ran out to accept "${chore.title}".`;
+      parentMessage = `${chore.missed_by_name} did not accept "${chore.title}" in time. It is available again.`;
+    }
+    
+    const data = {
+      choreId,
+      choreTitle: chore.title,
+      missedBy: userId,
+      outcome,
+      reassignedTo: reassignedTo || null
+    };
+    
+    const childNotification = await notifyUser({
+      userId,
+      type: 'chore_acceptance_expired',
+      title: outcome === 'auto_accepted' ? 'Chore Auto-Accepted' : 'Chore Acceptance Expired',
+      message: childMessage,
+      link: `/chores/${choreId}`,
+      data
+    });
+    
+    const parentNotification = assignedBy
+      ? await notifyUser({
+          userId: assignedBy,
+          type: 'chore_acceptance_expired',
+          title: 'Chore Not Accepted In Time',
+          message: parentMessage,
+          link: `/chores/${choreId}`,
+          data
+        })
+      : null;
+    
+    return {
+      success: true,
+      childNotification,
+      parentNotification
+    };
+  } catch (error) {
+    console.error('Failed to send acceptance expiry notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send notifications when a chore passes its due date
+ * @param {Object} options - Options
+ * @param {number} options.choreId - Chore ID
+ * @param {string} options.action - Overdue policy that was applied
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyChoreOverdue(options) {
+  try {
+    const { choreId, action } = options;
+    
+    // Get chore details
+    const [chore] = await db.query(
+      `SELECT c.*, u.name as assigned_to_name
+       FROM chores c
+       LEFT JOIN users u ON c.assigned_to = u.id
+       WHERE c.id = ?`,
+      [choreId]
+    );
+    
+    if (!chore) {
+      return { success: false, message: 'Chore not found' };
+    }
+    
+    const who = chore.assigned_to_name ? ` (assigned to ${chore.assigned_to_name})` : '';
+    const message = action === 'cancel'
+      ? `"${chore.title}"${who} was cancelled because it passed its due date.`
+      : `"${chore.title}"${who} is overdue.`;
+    
+    const parents = await db.query(
+      'SELECT id FROM users WHERE family_id = ? AND role = "parent" AND is_active = 1',
+      [chore.family_id]
+    );
+    
+    const userIds = parents.map(parent => parent.id);
+    
+    // The assignee hears about cancellations too
+    if (action === 'cancel' && chore.assigned_to) {
+      userIds.push(chore.assigned_to);
+    }
+    
+    if (userIds.length === 0) {
+      return { success: true, message: 'No users to notify' };
+    }
+    
+    return await notifyUsers(userIds, {
+      type: action === 'cancel' ? 'chore_cancelled' : 'chore_overdue',
+      title: action === 'cancel' ? 'Overdue Chore Cancelled' : 'Chore Overdue',
+      message,
+      link: `/chores/${choreId}`,
+      data: {
+        choreId,
+        choreTitle: chore.title,
+        dueDate: chore.due_date,
+        assignedTo: chore.assigned_to,
+        action
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send overdue chore notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Let a chore's assignee know its prerequisites are done
+ * @param {Object} options - Options
+ * @param {number} options.choreId - Chore that was unblocked
+ * @param {number} options.prerequisiteId - Chore whose approval unblocked it
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyChoreUnblocked(options) {
+  try {
+    const { choreId, prerequisiteId } = options;
+    
+    // Get chore details
+    const [chore] = await db.query(
+      'SELECT id, title, assigned_to FROM chores WHERE id = ?',
+      [choreId]
+    );
+    
+    if (!chore) {
+      return { success: false, message: 'Chore not found' };
+    }
+    
+    if (!chore.assigned_to) {
+      return { success: true, message: 'No assignee to notify' };
+    }
+    
+    const [prerequisite] = await db.query(
+      'SELECT title FROM chores WHERE id = ?',
+      [prerequisiteId]
+    );
+    
+    return await notifyUser({
+      userId: chore.assigned_to,
+      type: 'chore_unblocked',
+      title: 'Chore Ready to Start',
+      message: prerequisite
+        ? `"${prerequisite.title}" is done, so you can start "${chore.title}" now.`
+        : `You can start "${chore.title}" now.`,
+      link: `/chores/${choreId}`,
+      data: {
+        choreId,
+        choreTitle: chore.title,
+        prerequisiteId
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send chore unblocked notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save in-app notifications for a new chore comment
+ * @param {Object} options - Options
+ * @param {number} options.choreId - Chore ID
+ * @param {number} options.commentId - Comment ID
+ * @param {number} options.authorId - User who wrote the comment
+ * @param {Array<number>} options.mentionedIds - Users @mentioned in the comment
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyChoreComment(options) {
+  try {
+    const { choreId, commentId, authorId, mentionedIds = [] } = options;
+    
+    // Get chore and author details
+    const [chore] = await db.query(
+      `SELECT c.id, c.title, c.family_id, c.assigned_to, u.name as author_name
+       FROM chores c
+       JOIN users u ON u.id = ?
+       WHERE c.id = ?`,
+      [authorId, choreId]
+    );
+    
+    if (!chore) {
+      return { success: false, message: 'Chore not found' };
+    }
+    
+    // Everyone following the chore: parents, the assignee and shared participants
+    const followers = await db.query(
+      `SELECT id FROM users WHERE family_id = ? AND role = 'parent' AND is_active = 1
+       UNION
+       SELECT user_id FROM chore_assignments 
+       WHERE chore_id = ? AND status IN ('pending', 'accepted', 'auto_accepted')`,
+      [chore.family_id, choreId]
+    );
+    
+    const followerIds = new Set(followers.map(row => row.id));
+    if (chore.assigned_to) {
+      followerIds.add(chore.assigned_to);
+    }
+    
+    const data = { choreId, choreTitle: chore.title, commentId, authorId };
+    const link = `/chores/${choreId}#comment-${commentId}`;
+    let sent = 0;
+    
+    // Mentions get their own wording, and followers who were mentioned aren't notified twice
+    for (const userId of new Set(mentionedIds)) {
+      if (userId === authorId) continue;
+      await saveInAppNotification({
+        userId,
+        type: 'chore_comment_mention',
+        title: 'You Were Mentioned',
+        message: `${chore.author_name} mentioned you on "${chore.title}"`,
+        link,
+        data
+      });
+      followerIds.delete(userId);
+      sent++;
+    }
+    
+    for (const userId of followerIds) {
+      if (userId === authorId) continue;
+      await saveInAppNotification({
+        userId,
+        type: 'chore_comment',
+        title: 'New Comment',
+        message: `${chore.author_name} commented on "${chore.title}"`,
+        link,
+        data
+      });
+      sent++;
+    }
+    
+    return { success: true, sent };
+  } catch (error) {
+    console.error('Failed to send chore comment notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Let the people doing a chore know it was cancelled
+ * @param {Object} options - Options
+ * @param {number} options.choreId - Cancelled chore
+ * @param {Array<number>} options.userIds - Assignee(s) at the time it was cancelled
+ * @param {string} options.reason - Why it was cancelled
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyChoreCancelled(options) {
+  try {
+    const { choreId, userIds = [], reason } = options;
+    
+    // Get chore details
+    const [chore] = await db.query(
+      'SELECT id, title FROM chores WHERE id = ?',
+      [choreId]
+    );
+    
+    if (!chore) {
+      return { success: false, message: 'Chore not found' };
+    }
+    
+    if (userIds.length === 0) {
+      return { success: true, message: 'No assignee to notify' };
+    }
+    
+    return await notifyUsers(userIds, {
+      type: 'chore_cancelled',
+      title: 'Chore Cancelled',
+      message: reason
+        ? `"${chore.title}" was cancelled: ${reason}`
+        : `"${chore.title}" was cancelled. You don't need to do it anymore.`,
+      link: `/chores/${choreId}`,
+      data: {
+        choreId,
+        choreTitle: chore.title,
+        reason: reason || null
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send chore cancelled notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Let the children paid for a chore know its approval was reversed
+ * @param {Object} options - Options
+ * @param {number} options.choreId - Chore whose approval was reversed
+ * @param {Array<number>} options.userIds - Children whose reward was taken back
+ * @param {string} options.reason - Why the approval was reversed
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyApprovalReversed(options) {
+  try {
+    const { choreId, userIds = [], reason } = options;
+    
+    // Get chore details
+    const [chore] = await db.query(
+      'SELECT id, title FROM chores WHERE id = ?',
+      [choreId]
+    );
+    
+    if (!chore) {
+      return { success: false, message: 'Chore not found' };
+    }
+    
+    if (userIds.length === 0) {
+      return { success: true, message: 'No one to notify' };
+    }
+    
+    return await notifyUsers(userIds, {
+      type: 'chore_unapproved',
+      title: 'Approval Reversed',
+      message: reason
+        ? `The approval of "${chore.title}" was reversed and its reward taken back: ${reason}`
+        : `The approval of "${chore.title}" was reversed and its reward taken back. It is waiting for review again.`,
+      link: `/chores/${choreId}`,
+      data: {
+        choreId,
+        choreTitle: chore.title,
+        reason: reason || null
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send approval reversed notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Notify the children (and, when it needs approval, the parents) about a chore swap
+ * @param {Object} options - Options
+ * @param {number} options.swapId - Swap ID
+ * @param {string} options.event - 'offered', 'awaiting_approval', 'completed', 'declined', 'rejected' or 'cancelled'
+ * @returns {Promise<Object>} - Notification result
+ */
+async function notifyChoreSwap(options) {
+  try {
+    const { swapId, event } = options;
+    
+    // Get swap details
+    const [swap] = await db.query(
+      `SELECT s.*, c.title as chore_title, rc.title as return_chore_title,
+              fu.name as from_user_name, tu.name as to_user_name
+       FROM chore_swaps s
+       JOIN chores c ON s.chore_id = c.id
+       LEFT JOIN chores rc ON s.return_chore_id = rc.id
+       JOIN users fu ON s.from_user_id = fu.id
+       JOIN users tu ON s.to_user_id = tu.id
+       WHERE s.id = ?`,
+      [swapId]
+    );
+    
+    if (!swap) {
+      return { success: false, message: 'Swap not found' };
+    }
+    
+    const terms = swap.return_chore_title
+      ? ` in exchange for "${swap.return_chore_title}"`
+      : swap.reward_percent
+        ? ` for ${parseFloat(swap.reward_percent)}% of the reward`
+        : '';
+    
+    const notification = {
+      type: `chore_swap_${event}`,
+      link: '/swaps',
+      data: {
+        swapId: swap.id,
+        choreId: swap.chore_id,
+        choreTitle: swap.chore_title,
+        returnChoreId: swap.return_chore_id,
+        rewardPercent: swap.reward_percent !== null ? parseFloat(swap.reward_percent) : null
+      }
+    };
+    
+    switch (event) {
+      case 'offered':
+        return await notifyUser({
+          ...notification,
+          userId: swap.to_user_id,
+          title: 'Chore Swap Offer',
+          message: `${swap.from_user_name} offered you "${swap.chore_title}"${terms}.`
+        });
+      case 'awaiting_approval':
+        return await notifyFamily(swap.family_id, {
+          ...notification,
+          role: 'parent',
+          title: 'Chore Swap Needs Approval',
+          message: `${swap.to_user_name} agreed to take "${swap.chore_title}" from ${swap.from_user_name}${terms}.`
+        });
+      case 'completed':
+        return await notifyUsers([swap.from_user_id, swap.to_user_id], {
+          ...notification,
+          title: 'Chore Swap Done',
+          message: `"${swap.chore_title}" now belongs to ${swap.to_user_name}${terms}.`
+        });
+      case 'declined':
+        return await notifyUser({
+          ...notification,
+          userId: swap.from_user_id,
+          title: 'Chore Swap Declined',
+          message: `${swap.to_user_name} declined to take "${swap.chore_title}".`
+        });
+      case 'rejected':
+        return await notifyUsers([swap.from_user_id, swap.to_user_id], {
+          ...notification,
+          title: 'Chore Swap Not Approved',
+          message: `The swap of "${swap.chore_title}" between ${swap.from_user_name} and ${swap.to_user_name} was not approved.`
+        });
+      case 'cancelled':
+        return await notifyUser({
+          ...notification,
+          userId: swap.to_user_id,
+          title: 'Chore Swap Withdrawn',
+          message: `${swap.from_user_name} withdrew the offer of "${swap.chore_title}".`
+        });
+      default:
+        return { success: false, message: `Unknown swap event: ${event}` };
+    }
+  } catch (error) {
+    console.error('Failed to send chore swap notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Send a reminder notification for upcoming chores
  * @param {Object} options - Options
@@ -589,12 +1051,13 @@ async function notifyChoreReminder(options) {
       return { success: false, message: 'No assigned chore found' };
     }
     
-    // Format due date
+    // Format due date in the family's timezone
     const dueDate = chore.due_date
       ? new Date(chore.due_date).toLocaleDateString('en-US', {
           weekday: 'long',
           month: 'short',
-          day: 'numeric'
+          day: 'numeric',
+          timeZone: await getFamilyTimezone(chore.family_id)
         })
       : 'No due date';
     
@@ -781,6 +1244,13 @@ module.exports = {
   notifyChoreAssigned,
   notifyChoreCompleted,
   notifyChoreApproval,
+  notifyAssignmentExpired,
+  notifyChoreOverdue,
+  notifyChoreUnblocked,
+  notifyChoreComment,
+  notifyChoreCancelled,
+  notifyApprovalReversed,
+  notifyChoreSwap,
   notifyChoreReminder,
   notifyAchievementEarned,
   notifySystemMessage
@@ -0,0 +1,151 @@
+const db = require('../config/database');
+
+// Families name the places chores happen at (home, grandma's, the garden) as a
+// point and a radius. A chore with required_place_id must be submitted from
+// within that place; the check runs server-side on the coordinates the browser
+// sends and the outcome is stored in chore_submissions.location_data.
+
+const EARTH_RADIUS_METERS = 6371000;
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 50000;
+
+// GPS accuracy counted in the child's favour, capped so a vague fix can't cover the town
+const MAX_ACCURACY_ALLOWANCE_METERS = 100;
+
+/**
+ * Validate place fields from a request body
+ * @param {Object} body - { name, latitude, longitude, radius_meters }
+ * @param {boolean} partial - True for updates, where every field is optional
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validatePlace(body, partial = false) {
+  const { name, latitude, longitude, radius_meters } = body;
+  const errors = [];
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      errors.push('Name is required (up to 100 characters)');
+    }
+  }
+
+  if (latitude !== undefined || !partial) {
+    const value = Number(latitude);
+    if (latitude === null || latitude === '' || isNaN(value) || value < -90 || value > 90) {
+      errors.push('Latitude must be between -90 and 90');
+    }
+  }
+
+  if (longitude !== undefined || !partial) {
+    const value = Number(longitude);
+    if (longitude === null || longitude === '' || isNaN(value) || value < -180 || value > 180) {
+      errors.push('Longitude must be between -180 and 180');
+    }
+  }
+
+  if (radius_meters !== undefined || !partial) {
+    const value = Number(radius_meters);
+    if (!Number.isInteger(value) || value < MIN_RADIUS_METERS || value > MAX_RADIUS_METERS) {
+      errors.push(`Radius must be a whole number of meters from ${MIN_RADIUS_METERS} to ${MAX_RADIUS_METERS}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse coordinates sent with a submission
+ * @param {Object} body - { latitude, longitude, accuracy }
+ * @returns {Object} - { coordinates, error }; coordinates is null when none were sent
+ */
+function parseCoordinates(body) {
+  const { latitude, longitude, accuracy } = body;
+
+  if ((latitude === undefined || latitude === '') && (longitude === undefined || longitude === '')) {
+    return { coordinates: null, error: null };
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+    return { error: 'Location needs a valid latitude and longitude' };
+  }
+
+  const acc = accuracy === undefined || accuracy === '' ? null : Number(accuracy);
+  if (acc !== null && (isNaN(acc) || acc < 0)) {
+    return { error: 'Location accuracy must be a non-negative number of meters' };
+  }
+
+  return { coordinates: { latitude: lat, longitude: lng, accuracy: acc }, error: null };
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in meters
+ */
+function distanceMeters(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Check submitted coordinates against a chore's required place. Coordinates are
+ * only kept for chores that require a place; otherwise they are dropped
+ * @param {Object|null} place - Place row (null when the chore has none)
+ * @param {Object|null} coordinates - Parsed coordinates
+ * @returns {Object|null} - location_data to store, or null when there is nothing to record
+ */
+function verifyLocation(place, coordinates) {
+  if (!place) {
+    return null;
+  }
+
+  if (!coordinates) {
+    return { place_id: place.id, place_name: place.name, radius_meters: place.radius_meters, provided: false, within: false };
+  }
+
+  const distance = distanceMeters(coordinates, {
+    latitude: parseFloat(place.latitude),
+    longitude: parseFloat(place.longitude)
+  });
+  const allowance = Math.min(coordinates.accuracy || 0, MAX_ACCURACY_ALLOWANCE_METERS);
+
+  return {
+    ...coordinates,
+    provided: true,
+    place_id: place.id,
+    place_name: place.name,
+    radius_meters: place.radius_meters,
+    distance_meters: Math.round(distance),
+    within: distance - allowance <= place.radius_meters
+  };
+}
+
+/**
+ * Get a family's place
+ * @param {number} placeId - Place ID
+ * @param {number} familyId - Family ID
+ * @returns {Promise<Object|undefined>} - Place
+ */
+async function getPlace(placeId, familyId) {
+  const [place] = await db.query(
+    'SELECT * FROM family_places WHERE id = ? AND family_id = ?',
+    [placeId, familyId]
+  );
+  return place;
+}
+
+module.exports = {
+  validatePlace,
+  parseCoordinates,
+  distanceMeters,
+  verifyLocation,
+  getPlace
+};
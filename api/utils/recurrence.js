@@ -0,0 +1,574 @@
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedParts, zonedTime } = require('./timezones');
+
+// Occurrences of recurring chores. Every schedule is turned into an iCalendar
+// recurrence rule (RFC 5545 RRULE): frequency 'custom' stores one in
+// custom_schedule, and daily/weekly/monthly are shorthands for simple rules.
+// The rule is expanded from start_date, so COUNT and INTERVAL are counted from
+// the first occurrence. Each day the rule picks has one slot per due time
+// (due_times, "HH:MM"; 09:00 when none are set), and each slot is generated as
+// its own chore. Days and due times are the family's local ones: a schedule
+// carries its family's IANA timezone as `timezone` (UTC when it has none), so
+// a chore due at 07:00 stays due at 07:00 across DST changes.
+//
+// Supported rule parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT,
+// UNTIL, BYDAY (with ordinals such as 1SA or -1FR for MONTHLY and YEARLY),
+// BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'custom'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const UNSUPPORTED_PARTS = ['BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYYEARDAY', 'BYWEEKNO'];
+
+const DEFAULT_DUE_TIMES = ['09:00'];
+const MAX_DUE_TIMES = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods (days, weeks, months or years) to look through before giving up on a
+// rule that never matches, such as the 31st of February
+const MAX_PERIODS = 20000;
+
+// Days are handled as UTC midnights so day arithmetic never meets a DST change
+const makeDay = (year, month, date) => new Date(Date.UTC(year, month, date));
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Calendar day of a date or YYYY-MM-DD string. DATE columns arrive as UTC
+ * midnights (the pool runs in UTC), so a Date is read in UTC.
+ * @param {Date|string} value - Date, or a string starting YYYY-MM-DD
+ * @returns {Date|null} - The day as a UTC midnight, or null if unreadable
+ */
+function toDay(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const [year, month, date] = value.slice(0, 10).split('-').map(Number);
+    const day = makeDay(year, month - 1, date);
+    return day.getUTCMonth() === month - 1 ? day : null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  return value === null || value === undefined || isNaN(date) ? null : makeDay(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// The local calendar day an instant falls on
+const localDay = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return makeDay(year, month - 1, day);
+};
+
+// When a slot on a day is due, in a timezone
+const dueAt = (day, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return zonedTime(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hours, minutes, timeZone);
+};
+
+const timezoneOf = (schedule) => (isValidTimezone(schedule.timezone) ? schedule.timezone : DEFAULT_TIMEZONE);
+
+/**
+ * The slot ("HH:MM", local time) a due date falls in
+ * @param {Date|string} date - Due date
+ * @param {string} timeZone - Family's IANA timezone
+ * @returns {string} - Time of day
+ */
+function slotOf(date, timeZone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = zonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Read weekdays from a request body or column: a day name, a list of them, or a
+ * comma-separated string such as "monday,wednesday,friday"
+ * @param {string|Array|null} value - Weekdays
+ * @returns {Array<string>|null} - Lowercase day names in week order, [] when none
+ *   are set, or null if any is not a day name
+ */
+function parseDaysOfWeek(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const names = (Array.isArray(value) ? value : String(value).split(/[\s,|/]+/))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.some(name => !WEEKDAYS.includes(name))) {
+    return null;
+  }
+
+  return WEEKDAYS.filter(name => names.includes(name));
+}
+
+/**
+ * Read due times from a request body or JSON column
+ * @param {Array|string|null} value - "HH:MM" times, or their JSON
+ * @returns {Array<string>|null} - Sorted distinct times, [] when none are set,
+ *   or null if any is not a valid time
+ */
+function parseDueTimes(value) {
+  let times = value;
+
+  if (times === undefined || times === null || times === '') {
+    return [];
+  }
+
+  if (typeof times === 'string') {
+    try {
+      times = JSON.parse(times);
+    } catch (e) {
+      times = times.split(/[\s,|]+/).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(times) || times.some(time => typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+    return null;
+  }
+
+  return [...new Set(times)].sort();
+}
+
+/**
+ * Parse a list of whole numbers from a rule part
+ * @param {string} value - Comma-separated numbers
+ * @param {number} min - Smallest absolute value allowed
+ * @param {number} max - Largest absolute value allowed
+ * @param {boolean} signed - Whether negative values are allowed
+ * @returns {Array<number>|null} - Numbers, or null if any is invalid
+ */
+function parseNumberList(value, min, max, signed) {
+  const numbers = value.split(',').map(item => (/^[+-]?\d+$/.test(item) ? Number(item) : NaN));
+  const valid = numbers.every(n => Number.isInteger(n) && Math.abs(n) >= min && Math.abs(n) <= max && (signed || n > 0));
+  return valid ? numbers : null;
+}
+
+/**
+ * Parse an iCalendar RRULE
+ * @param {string} text - Rule such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU" (an "RRULE:" prefix is allowed)
+ * @returns {Object} - { rule, error }; rule is null when error is set
+ */
+function parseRRule(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { rule: null, error: 'A recurrence rule is required' };
+  }
+
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value, extra] = part.split('=');
+    if (!key || !value || extra !== undefined) {
+      return { rule: null, error: `Malformed rule part: ${part}` };
+    }
+    const name = key.trim().toUpperCase();
+    if (parts[name] !== undefined) {
+      return { rule: null, error: `${name} appears more than once` };
+    }
+    parts[name] = value.trim().toUpperCase();
+  }
+
+  const fail = (error) => ({ rule: null, error });
+
+  for (const name of Object.keys(parts)) {
+    if (UNSUPPORTED_PARTS.includes(name)) {
+      return fail(`${name} is not supported; chores are due once a day at most`);
+    }
+    if (!['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'].includes(name)) {
+      return fail(`Unknown rule part: ${name}`);
+    }
+  }
+
+  if (!RRULE_FREQUENCIES.includes(parts.FREQ)) {
+    return fail(`FREQ must be one of: ${RRULE_FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1
+  };
+
+  if (parts.INTERVAL !== undefined) {
+    const [interval] = parseNumberList(parts.INTERVAL, 1, 1000, false) || [];
+    if (!interval || parts.INTERVAL.includes(',')) {
+      return fail('INTERVAL must be a whole number from 1 to 1000');
+    }
+    rule.interval = interval;
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    return fail('COUNT and UNTIL cannot be used together');
+  }
+
+  if (parts.COUNT !== undefined) {
+    const [count] = parseNumberList(parts.COUNT, 1, 10000, false) || [];
+    if (!count || parts.COUNT.includes(',')) {
+      return fail('COUNT must be a positive whole number');
+    }
+    rule.count = count;
+  }
+
+  if (parts.UNTIL !== undefined) {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(parts.UNTIL);
+    rule.until = match ? toDay(`${match[1]}-${match[2]}-${match[3]}`) : null;
+    if (!rule.until) {
+      return fail('UNTIL must be a date such as 20261231');
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    for (const item of parts.BYDAY.split(',')) {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+      if (!match) {
+        return fail(`Invalid BYDAY value: ${item}`);
+      }
+      const n = match[1] ? Number(match[1]) : null;
+      if (n !== null && (n === 0 || Math.abs(n) > 5)) {
+        return fail(`Invalid BYDAY position: ${item}`);
+      }
+      if (n !== null && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        return fail('Numbered BYDAY values (such as 1SA) need FREQ=MONTHLY or FREQ=YEARLY');
+      }
+      rule.byDay.push({ weekday: RRULE_WEEKDAYS.indexOf(match[2]), n });
+    }
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (rule.freq === 'WEEKLY') {
+      return fail('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+    }
+    rule.byMonthDay = parseNumberList(parts.BYMONTHDAY, 1, 31, true);
+    if (!rule.byMonthDay) {
+      return fail('BYMONTHDAY values must be from 1 to 31 (or -1 to -31 from the end of the month)');
+    }
+  }
+
+  if (parts.BYMONTH !== undefined) {
+    rule.byMonth = parseNumberList(parts.BYMONTH, 1, 12, false);
+    if (!rule.byMonth) {
+      return fail('BYMONTH values must be from 1 to 12');
+    }
+  }
+
+  if (parts.BYSETPOS !== undefined) {
+    rule.bySetPos = parseNumberList(parts.BYSETPOS, 1, 366, true);
+    if (!rule.bySetPos) {
+      return fail('BYSETPOS values must be from 1 to 366 (or negative from the end)');
+    }
+    if (rule.byDay.length === 0 && rule.byMonthDay.length === 0 && rule.byMonth.length === 0) {
+      return fail('BYSETPOS needs BYDAY, BYMONTHDAY or BYMONTH');
+    }
+  }
+
+  if (parts.WKST !== undefined) {
+    rule.wkst = RRULE_WEEKDAYS.indexOf(parts.WKST);
+    if (rule.wkst === -1) {
+      return fail('WKST must be a day such as MO');
+    }
+  }
+
+  if (rule.freq === 'YEARLY' && rule.byDay.length > 0 && rule.byMonth.length === 0) {
+    return fail('BYDAY with FREQ=YEARLY needs BYMONTH');
+  }
+
+  return { rule, error: null };
+}
+
+/**
+ * The recurrence rule behind a recurring chore's schedule
+ * @param {Object} schedule - { frequency, day_of_week, day_of_month, custom_schedule }
+ * @returns {Object|null} - Parsed rule, or null if the schedule is invalid
+ */
+function getScheduleRule(schedule) {
+  switch (schedule.frequency) {
+    case 'daily':
+      return parseRRule('FREQ=DAILY').rule;
+    case 'weekly': {
+      const days = parseDaysOfWeek(schedule.day_of_week) || [];
+      return parseRRule(days.length === 0
+        ? 'FREQ=WEEKLY'
+        : `FREQ=WEEKLY;BYDAY=${days.map(name => RRULE_WEEKDAYS[WEEKDAYS.indexOf(name)]).join(',')}`).rule;
+    }
+    case 'monthly': {
+      const date = Number(schedule.day_of_month);
+      if (!date) {
+        return parseRRule('FREQ=MONTHLY').rule;
+      }
+      // Late days fall back to the last day of shorter months
+      return parseRRule(date <= 28
+        ? `FREQ=MONTHLY;BYMONTHDAY=${date}`
+        : `FREQ=MONTHLY;BYMONTHDAY=${Array.from({ length: date - 27 }, (v, i) => 28 + i).join(',')};BYSETPOS=-1`).rule;
+    }
+    case 'custom':
+      return parseRRule(schedule.custom_schedule).rule;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Days of one month picked by BYMONTHDAY and BYDAY (or the start's date when neither is set)
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First day of the schedule
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @returns {Array<number>} - Dates of the month, ascending
+ */
+function monthCandidates(rule, start, year, month) {
+  const length = daysInMonth(year, month);
+  let dates = null;
+
+  if (rule.byMonthDay.length > 0) {
+    dates = rule.byMonthDay.map(n => (n > 0 ? n : length + 1 + n)).filter(n => n >= 1 && n <= length);
+  }
+
+  if (rule.byDay.length > 0) {
+    const firstWeekday = makeDay(year, month, 1).getUTCDay();
+    const byDayDates = [];
+    for (const { weekday, n } of rule.byDay) {
+      const matches = [];
+      for (let date = 1 + ((weekday - firstWeekday + 7) % 7); date <= length; date += 7) {
+        matches.push(date);
+      }
+      if (n === null) {
+        byDayDates.push(...matches);
+      } else {
+        const picked = n > 0 ? matches[n - 1] : matches[matches.length + n];
+        if (picked) {
+          byDayDates.push(picked);
+        }
+      }
+    }
+    dates = dates ? dates.filter(date => byDayDates.includes(date)) : byDayDates;
+  }
+
+  if (!dates) {
+    dates = start.getUTCDate() <= length ? [start.getUTCDate()] : [];
+  }
+
+  return [...new Set(dates)].sort((a, b) => a - b);
+}
+
+/**
+ * Candidate days of the nth period of a rule, before BYSETPOS
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First day of the schedule
+ * @param {number} period - Period number (0 is the period containing start)
+ * @returns {Array<Date>} - Days, ascending
+ */
+function periodCandidates(rule, start, period) {
+  const inMonths = (day) => rule.byMonth.length === 0 || rule.byMonth.includes(day.getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = addDays(start, period * rule.interval);
+      const matches = inMonths(day) &&
+        (rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === day.getUTCDay())) &&
+        (rule.byMonthDay.length === 0 || monthCandidates({ ...rule, byDay: [] }, start, day.getUTCFullYear(), day.getUTCMonth()).includes(day.getUTCDate()));
+      return matches ? [day] : [];
+    }
+    case 'WEEKLY': {
+      const weekStart = addDays(start, -((start.getUTCDay() - rule.wkst + 7) % 7) + period * 7 * rule.interval);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [start.getUTCDay()];
+      return Array.from({ length: 7 }, (v, i) => addDays(weekStart, i))
+        .filter(day => weekdays.includes(day.getUTCDay()) && inMonths(day));
+    }
+    case 'MONTHLY': {
+      const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period * rule.interval, 1));
+      if (!inMonths(first)) {
+        return [];
+      }
+      return monthCandidates(rule, start, first.getUTCFullYear(), first.getUTCMonth())
+        .map(date => makeDay(first.getUTCFullYear(), first.getUTCMonth(), date));
+    }
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + period * rule.interval;
+      const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [start.getUTCMonth() + 1];
+      return months.flatMap(month => monthCandidates(rule, start, year, month - 1).map(date => makeDay(year, month - 1, date)));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Expand a rule into its occurrence days, in order
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First day of the schedule
+ * @returns {Generator<Date>} - Occurrence days
+ */
+function* expandRule(rule, start) {
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    let days = periodCandidates(rule, start, period);
+
+    if (rule.bySetPos.length > 0) {
+      days = [...new Set(rule.bySetPos
+        .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+        .filter(Boolean))].sort((a, b) => a - b);
+    }
+
+    for (const day of days) {
+      if (day < start) {
+        continue;
+      }
+      if ((rule.until && day > rule.until) || (rule.count && emitted >= rule.count)) {
+        return;
+      }
+      emitted++;
+      yield day;
+    }
+  }
+}
+
+/**
+ * Validate a recurring chore's schedule
+ * @param {Object} schedule - { frequency, day_of_week, day_of_month, custom_schedule, due_times, start_date, end_date, timezone }
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateSchedule(schedule) {
+  const { frequency, day_of_week, day_of_month, custom_schedule, due_times, start_date, end_date } = schedule;
+  const errors = [];
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const start = toDay(start_date);
+  if (!start) {
+    errors.push('start_date must be a date (YYYY-MM-DD)');
+  }
+
+  if (end_date !== undefined && end_date !== null && end_date !== '') {
+    const end = toDay(end_date);
+    if (!end) {
+      errors.push('end_date must be a date (YYYY-MM-DD)');
+    } else if (start && end < start) {
+      errors.push('end_date cannot be before start_date');
+    }
+  }
+
+  if (!parseDaysOfWeek(day_of_week)) {
+    errors.push('day_of_week must be day names such as monday or monday,wednesday,friday');
+  }
+
+  const times = parseDueTimes(due_times);
+  if (!times) {
+    errors.push('due_times must be a list of times in HH:MM format');
+  } else if (times.length > MAX_DUE_TIMES) {
+    errors.push(`A recurring chore can have at most ${MAX_DUE_TIMES} due times a day`);
+  }
+
+  if (frequency === 'monthly' && day_of_month !== undefined && day_of_month !== null && day_of_month !== '') {
+    const date = Number(day_of_month);
+    if (!Number.isInteger(date) || date < 1 || date > 31) {
+      errors.push('day_of_month must be from 1 to 31');
+    }
+  }
+
+  if (frequency === 'custom') {
+    const { error } = parseRRule(custom_schedule);
+    if (error) {
+      errors.push(`Invalid custom_schedule: ${error}`);
+    }
+  }
+
+  if (errors.length === 0 && !nextOccurrence(schedule, dueAt(start, '00:00', timezoneOf(schedule)), { inclusive: true })) {
+    errors.push('This schedule never comes due');
+  }
+
+  return errors;
+}
+
+/**
+ * Next slot of a schedule after a moment
+ * @param {Object} schedule - Recurring chore (or body) with its schedule fields
+ * @param {Date|string} after - Moment to search from
+ * @param {Object} options - { inclusive } to also accept an occurrence exactly at `after`
+ * @returns {Date|null} - When the next occurrence is due, or null if there are no more
+ */
+function nextOccurrence(schedule, after, options = {}) {
+  const rule = getScheduleRule(schedule);
+  const start = toDay(schedule.start_date);
+
+  if (!rule || !start) {
+    return null;
+  }
+
+  const from = new Date(after);
+  const end = schedule.end_date ? toDay(schedule.end_date) : null;
+  const timeZone = timezoneOf(schedule);
+  const times = parseDueTimes(schedule.due_times) || [];
+  const slots = times.length > 0 ? times : DEFAULT_DUE_TIMES;
+
+  for (const day of expandRule(rule, start)) {
+    if (end && day > end) {
+      return null;
+    }
+    for (const time of slots) {
+      const due = dueAt(day, time, timeZone);
+      if (options.inclusive ? due >= from : due > from) {
+        return due;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a due date falls on a local day after the schedule's end_date
+ * @param {Object} schedule - Schedule fields
+ * @param {Date|string} date - Due date
+ * @returns {boolean} - True once the schedule has ended by that day
+ */
+function isPastEnd(schedule, date) {
+  const end = schedule.end_date ? toDay(schedule.end_date) : null;
+  return Boolean(end) && localDay(date, timezoneOf(schedule)) > end;
+}
+
+/**
+ * First due date of a new or rescheduled recurring chore: its first occurrence
+ * that is not already in the past
+ * @param {Object} schedule - Schedule fields
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Date|null} - Due date, or null if the schedule has no occurrences left
+ */
+function firstDueDate(schedule, now = new Date()) {
+  return nextOccurrence(schedule, now, { inclusive: true });
+}
+
+/**
+ * Upcoming occurrences of a schedule
+ * @param {Object} schedule - Schedule fields
+ * @param {Date} from - Moment to start from
+ * @param {number} limit - Maximum number of occurrences
+ * @returns {Array<Date>} - Due dates, ascending
+ */
+function upcomingOccurrences(schedule, from, limit = 5) {
+  const dates = [];
+  let next = nextOccurrence(schedule, from, { inclusive: true });
+
+  while (next && dates.length < limit) {
+    dates.push(next);
+    next = nextOccurrence(schedule, next);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseRRule,
+  parseDaysOfWeek,
+  parseDueTimes,
+  slotOf,
+  validateSchedule,
+  nextOccurrence,
+  isPastEnd,
+  firstDueDate,
+  upcomingOccurrences
+};
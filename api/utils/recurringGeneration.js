@@ -0,0 +1,379 @@
+const db = require('../config/database');
+const { parseRewardPolicy, computeReward } = require('./rewards');
+const { copyTemplateChecklist } = require('./checklists');
+const { findRecurringPrerequisites, linkRecurringDependencies } = require('./dependencies');
+const { recordChoreCreated } = require('./choreLifecycle');
+const { nextOccurrence, isPastEnd, slotOf } = require('./recurrence');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedParts, zonedTime, endOfZonedDay, getFamilyTimezone } = require('./timezones');
+
+// Turning recurring chores into chores, shared by the scheduler and
+// POST /api/recurring/generate. A recurring chore's next_due_date is always
+// its next slot (one due time on one day); each slot becomes its own chore
+// and its own recurring_chore_history row. Recurring chores are loaded with
+// their family's timezone, which places their slots and their "today".
+
+// Most slots one recurring chore generates in a run, so a schedule that has
+// fallen far behind catches up over several runs instead of flooding the family
+const MAX_SLOTS_PER_RUN = 24;
+
+// Minutes a child has to accept a generated chore; recurring chores don't set
+// their own, so generated chores get the same default as chores.acceptance_timer
+const ACCEPTANCE_TIMER_MINUTES = 5;
+
+/**
+ * Order recurring chores so each comes after the ones it depends on
+ * @param {Array} recurringChores - Recurring chore rows
+ * @param {Array} links - { recurring_id, depends_on_recurring_id } rows between them
+ * @returns {Array} - The same rows, prerequisites first, otherwise in their given order
+ */
+function sortByPrerequisites(recurringChores, links) {
+  const sorted = [];
+  const placed = new Set();
+  const prerequisitesOf = (id) => links
+    .filter(link => link.recurring_id === id)
+    .map(link => link.depends_on_recurring_id);
+
+  // Place the first chore whose prerequisites are all placed; dependency
+  // validation rules out cycles, but one would just be placed as it comes
+  while (sorted.length < recurringChores.length) {
+    const remaining = recurringChores.filter(recurringChore => !placed.has(recurringChore.id));
+    const next = remaining.find(recurringChore =>
+      prerequisitesOf(recurringChore.id).every(id => placed.has(id) || !remaining.some(other => other.id === id))
+    ) || remaining[0];
+
+    sorted.push(next);
+    placed.add(next.id);
+  }
+
+  return sorted;
+}
+
+/**
+ * Active recurring chores with a slot due by a moment, with their family's timezone
+ * @param {Date} until - Generate slots due at or before this
+ * @param {number} familyId - Optional family to limit to
+ * @returns {Promise<Array>} - Recurring chores, each after the ones it depends on
+ */
+async function findDueRecurringChores(until, familyId = null) {
+  // end_date is checked per slot, on the family's local calendar
+  const recurringChores = await db.query(
+    `SELECT rc.*, f.timezone
+     FROM recurring_chores rc
+     JOIN families f ON rc.family_id = f.id
+     WHERE rc.is_active = 1 ${familyId ? 'AND rc.family_id = ?' : ''}
+     AND rc.next_due_date <= ?
+     ORDER BY rc.id ASC`,
+    familyId ? [familyId, until] : [until]
+  );
+
+  if (recurringChores.length === 0) {
+    return [];
+  }
+
+  const ids = recurringChores.map(recurringChore => recurringChore.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const links = await db.query(
+    `SELECT recurring_id, depends_on_recurring_id FROM chore_dependencies
+     WHERE recurring_id IN (${placeholders}) AND depends_on_recurring_id IN (${placeholders})`,
+    [...ids, ...ids]
+  );
+
+  return sortByPrerequisites(recurringChores, links).map(recurringChore => ({
+    ...recurringChore,
+    timezone: isValidTimezone(recurringChore.timezone) ? recurringChore.timezone : DEFAULT_TIMEZONE
+  }));
+}
+
+/**
+ * Latest due date a family's chores are generated up to: the end of its local
+ * today from its generation hour on, and the end of yesterday before it
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Family's IANA timezone
+ * @param {number} generationHour - Local hour the day's chores are generated
+ * @returns {Date} - Generate slots due at or before this
+ */
+function generationCutoff(now, timeZone, generationHour) {
+  return endOfZonedDay(now, timeZone, zonedParts(now, timeZone).hour >= generationHour ? 0 : -1);
+}
+
+/**
+ * Work out who a generated chore is assigned to
+ * @param {Object} recurringChore - Recurring chore row
+ * @returns {Promise<number|null>} - User ID, or null to leave the chore available
+ */
+async function pickAssignee(recurringChore) {
+  if (!recurringChore.auto_assign) {
+    return null;
+  }
+
+  if (recurringChore.rotation_type === 'none' && recurringChore.assigned_to) {
+    // Fixed assignment
+    return recurringChore.assigned_to;
+  }
+
+  if (!recurringChore.rotation_members) {
+    return null;
+  }
+
+  const members = typeof recurringChore.rotation_members === 'string'
+    ? JSON.parse(recurringChore.rotation_members)
+    : recurringChore.rotation_members;
+
+  if (!members || members.length === 0) {
+    return null;
+  }
+
+  if (recurringChore.rotation_type === 'round_robin') {
+    // The rotation carries on from the last slot assigned, whichever time it
+    // was; slots left unassigned because they were blocked don't count
+    const [lastHistory] = await db.query(
+      `SELECT * FROM recurring_chore_history
+       WHERE recurring_id = ? AND assigned_to IS NOT NULL
+       ORDER BY due_date DESC LIMIT 1`,
+      [recurringChore.id]
+    );
+
+    if (lastHistory && lastHistory.assigned_to) {
+      const lastIndex = members.indexOf(lastHistory.assigned_to);
+      return members[(lastIndex + 1) % members.length];
+    }
+
+    return members[0];
+  }
+
+  if (recurringChore.rotation_type === 'random') {
+    return members[Math.floor(Math.random() * members.length)];
+  }
+
+  return null;
+}
+
+/**
+ * Generate the chore for a recurring chore's next slot and move it on to the
+ * slot after. A slot that already has a chore is not generated twice, but the
+ * recurring chore still moves on past it.
+ * @param {Object} recurringChore - Recurring chore row; its next_due_date is updated in place
+ * @param {Object} options - { actorId }: the parent generating by hand, or none for the scheduler
+ * @returns {Promise<number|null>} - New chore ID, or null if the slot already had one
+ */
+async function generateSlot(recurringChore, options = {}) {
+  const actorId = options.actorId || null;
+  const dueDate = recurringChore.next_due_date;
+  const slot = slotOf(dueDate, recurringChore.timezone);
+  let choreId = null;
+
+  // A slot past the end date (say, after end_date was brought forward) ends the schedule
+  if (isPastEnd(recurringChore, dueDate)) {
+    await db.query('UPDATE recurring_chores SET next_due_date = NULL WHERE id = ?', [recurringChore.id]);
+    recurringChore.next_due_date = null;
+    return null;
+  }
+
+  const [existingHistory] = await db.query(
+    'SELECT id FROM recurring_chore_history WHERE recurring_id = ? AND due_date = ?',
+    [recurringChore.id, dueDate]
+  );
+
+  if (!existingHistory) {
+    const assignee = await pickAssignee(recurringChore);
+    // Parents generating by hand create the chore; otherwise the recurring chore's creator does
+    const createdBy = actorId || recurringChore.created_by;
+
+    // Carry over the template's reward policy, if any
+    let rewardPolicy = null;
+    if (recurringChore.template_id) {
+      const [template] = await db.query(
+        'SELECT reward_policy FROM chore_templates WHERE id = ?',
+        [recurringChore.template_id]
+      );
+      rewardPolicy = template ? parseRewardPolicy(template.reward_policy) : null;
+    }
+
+    try {
+      choreId = await db.transaction(async (connection) => {
+        // A chore that is blocked stays available until its prerequisites are approved
+        const prerequisites = await findRecurringPrerequisites(recurringChore.id, connection);
+        const assignedTo = assignee && !prerequisites.some(prerequisite => prerequisite.open)
+          ? assignee
+          : null;
+        const status = assignedTo ? 'assigned' : 'available';
+
+        const [choreResult] = await connection.execute(
+          `INSERT INTO chores (
+            family_id, template_id, title, description, reward_type, reward_amount,
+            current_reward, reward_policy, requires_photo, required_place_id, acceptance_timer, status, priority, due_date,
+            estimated_duration, difficulty_level, category, created_by, assigned_to,
+            assigned_at, metadata
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            recurringChore.family_id,
+            recurringChore.template_id,
+            recurringChore.title,
+            recurringChore.description,
+            recurringChore.reward_type,
+            recurringChore.reward_amount,
+            // Initial current_reward follows the reward policy (the base amount when there is none)
+            computeReward({ ...recurringChore, reward_policy: rewardPolicy, due_date: dueDate }, new Date(), recurringChore.timezone).current_reward,
+            rewardPolicy ? JSON.stringify(rewardPolicy) : null,
+            recurringChore.requires_photo,
+            recurringChore.required_place_id || null,
+            ACCEPTANCE_TIMER_MINUTES,
+            status,
+            recurringChore.priority,
+            dueDate,
+            recurringChore.estimated_duration,
+            recurringChore.difficulty_level,
+            recurringChore.category,
+            createdBy,
+            assignedTo,
+            assignedTo ? new Date() : null,
+            // The rotation goes with the chore so an expired assignment can be handed on
+            JSON.stringify({
+              recurring_id: recurringChore.id,
+              slot,
+              generated_at: new Date().toISOString(),
+              generated_by: actorId || 'system',
+              rotation_type: recurringChore.rotation_type || 'none',
+              rotation_members: recurringChore.rotation_members || null
+            })
+          ]
+        );
+        const newChoreId = choreResult.insertId;
+
+        // The slot's history row is unique per (recurring_id, due_date): a second
+        // run generating the same slot waits here and then fails as a duplicate
+        await connection.execute(
+          `INSERT INTO recurring_chore_history (
+            recurring_id, chore_id, due_date, slot_time, status, assigned_to
+          ) VALUES (?, ?, ?, ?, ?, ?)`,
+          [recurringChore.id, newChoreId, dueDate, slot, 'generated', assignedTo]
+        );
+
+        await recordChoreCreated(
+          { id: newChoreId, family_id: recurringChore.family_id, status },
+          { actorId, reason: 'Generated from a recurring chore', details: { recurring_id: recurringChore.id, slot } },
+          connection
+        );
+
+        // Give the chore its template's checklist
+        await copyTemplateChecklist(recurringChore.template_id, newChoreId, connection);
+
+        // Block it on the latest chores generated from its prerequisite definitions
+        await linkRecurringDependencies(newChoreId, prerequisites, connection);
+
+        if (assignedTo) {
+          const deadline = new Date();
+          deadline.setMinutes(deadline.getMinutes() + ACCEPTANCE_TIMER_MINUTES);
+
+          await connection.execute(
+            `INSERT INTO chore_assignments (
+              chore_id, user_id, assigned_by, assigned_at, status, acceptance_deadline
+            ) VALUES (?, ?, ?, NOW(), ?, ?)`,
+            [newChoreId, assignedTo, createdBy, 'pending', deadline]
+          );
+        }
+
+        return newChoreId;
+      });
+    } catch (error) {
+      // Another run generated this slot first
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+    }
+  }
+
+  // Move on to the schedule's next slot (null once it has run out)
+  const nextDueDate = nextOccurrence(recurringChore, dueDate);
+
+  await db.query(
+    `UPDATE recurring_chores SET
+      next_due_date = ?,
+      last_generated = NOW()
+    WHERE id = ?`,
+    [nextDueDate, recurringChore.id]
+  );
+  recurringChore.next_due_date = nextDueDate;
+
+  return choreId;
+}
+
+/**
+ * Generate every due slot of a set of recurring chores, earliest slot first.
+ * Slots due at the same time follow the order of the list, so with the list
+ * from findDueRecurringChores() a prerequisite's chore always exists before
+ * the chores that are linked to it.
+ * @param {Array} recurringChores - Recurring chore rows, prerequisites first
+ * @param {Function} untilFor - (recurringChore) => Date: generate its slots due at or before this
+ * @param {Object} options - As for generateSlot()
+ * @returns {Promise<Array>} - { recurringChore, choreId } for each chore generated
+ */
+async function generateDueSlots(recurringChores, untilFor, options = {}) {
+  const generated = [];
+  const runs = new Map(recurringChores.map(recurringChore => [recurringChore.id, 0]));
+  const isDue = (recurringChore) => recurringChore.next_due_date &&
+    new Date(recurringChore.next_due_date) <= untilFor(recurringChore) &&
+    runs.get(recurringChore.id) < MAX_SLOTS_PER_RUN;
+
+  for (;;) {
+    const next = recurringChores.filter(isDue).reduce((earliest, recurringChore) =>
+      (!earliest || new Date(recurringChore.next_due_date) < new Date(earliest.next_due_date) ? recurringChore : earliest), null);
+
+    if (!next) {
+      break;
+    }
+
+    runs.set(next.id, runs.get(next.id) + 1);
+    const choreId = await generateSlot(next, options);
+    if (choreId) {
+      generated.push({ recurringChore: next, choreId });
+    }
+  }
+
+  return generated;
+}
+
+/**
+ * Change a family's timezone, keeping each recurring chore's next slot at the
+ * same local date and time in the new timezone
+ * @param {number} familyId - Family ID
+ * @param {string} timeZone - New IANA timezone, already validated
+ * @returns {Promise<number>} - Number of recurring chores rescheduled
+ */
+async function setFamilyTimezone(familyId, timeZone) {
+  const previous = await getFamilyTimezone(familyId);
+
+  return await db.transaction(async (connection) => {
+    await connection.execute(
+      'UPDATE families SET timezone = ?, updated_at = NOW() WHERE id = ?',
+      [timeZone, familyId]
+    );
+
+    if (previous === timeZone) {
+      return 0;
+    }
+
+    const [recurringChores] = await connection.execute(
+      'SELECT id, next_due_date FROM recurring_chores WHERE family_id = ? AND next_due_date IS NOT NULL',
+      [familyId]
+    );
+
+    for (const recurringChore of recurringChores) {
+      const { year, month, day, hour, minute } = zonedParts(recurringChore.next_due_date, previous);
+      await connection.execute(
+        'UPDATE recurring_chores SET next_due_date = ? WHERE id = ?',
+        [zonedTime(year, month, day, hour, minute, timeZone), recurringChore.id]
+      );
+    }
+
+    return recurringChores.length;
+  });
+}
+
+module.exports = {
+  findDueRecurringChores,
+  generationCutoff,
+  generateSlot,
+  generateDueSlots,
+  setFamilyTimezone
+};
@@ -0,0 +1,262 @@
+const { DEFAULT_TIMEZONE, zonedParts, zonedTime } = require('./timezones');
+
+// Reward policies adjust a chore's current_reward over time.
+//
+// A policy is stored as JSON on chores.reward_policy / chore_templates.reward_policy:
+// {
+//   "decay": { "percent": 10, "interval_minutes": 60, "floor_percent": 50 },
+//   "early_bonus": { "percent": 20, "before": "12:00" }
+// }
+// decay: lose `percent` of the base reward for every full interval past due_date,
+//        never dropping below `floor_percent` of the base reward.
+// early_bonus: add `percent` to the base reward until the `before` time on the
+//        day the chore is due (or the day it was created if it has no due date),
+//        in the family's timezone.
+
+// Chore statuses whose reward is still moving; later statuses keep the value locked in at submission
+const ACTIVE_REWARD_STATUSES = ['available', 'assigned', 'pending_acceptance', 'auto_accepted', 'in_progress'];
+
+/**
+ * Parse a policy value coming from a JSON column or request body
+ * @param {Object|string|null} raw - Raw policy
+ * @returns {Object|null} - Parsed policy or null
+ */
+function parseRewardPolicy(raw) {
+  if (!raw) {
+    return null;
+  }
+
+  if (typeof raw === 'object') {
+    return raw;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Validate a reward policy
+ * @param {Object|string|null} raw - Policy from the request body
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateRewardPolicy(raw) {
+  if (raw === null || raw === undefined) {
+    return [];
+  }
+
+  const policy = parseRewardPolicy(raw);
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['Reward policy must be an object'];
+  }
+
+  const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+  if (policy.decay !== undefined) {
+    const { percent, interval_minutes, floor_percent } = policy.decay || {};
+    if (!isPercent(percent) || percent === 0) {
+      errors.push('decay.percent must be a number between 1 and 100');
+    }
+    if (!Number.isInteger(interval_minutes) || interval_minutes < 1) {
+      errors.push('decay.interval_minutes must be a positive whole number');
+    }
+    if (floor_percent !== undefined && !isPercent(floor_percent)) {
+      errors.push('decay.floor_percent must be a number between 0 and 100');
+    }
+  }
+
+  if (policy.early_bonus !== undefined) {
+    const { percent, before } = policy.early_bonus || {};
+    if (typeof percent !== 'number' || percent <= 0 || percent > 1000) {
+      errors.push('early_bonus.percent must be a positive number');
+    }
+    if (typeof before !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(before)) {
+      errors.push('early_bonus.before must be a time in HH:MM format');
+    }
+  }
+
+  Object.keys(policy).forEach(key => {
+    if (!['decay', 'early_bonus'].includes(key)) {
+      errors.push(`Unknown reward policy rule: ${key}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Round a reward to the precision of its type
+ * @param {number} amount - Reward amount
+ * @param {string} rewardType - 'money' or 'screen_time'
+ * @returns {number} - Rounded amount
+ */
+function roundReward(amount, rewardType) {
+  if (rewardType === 'screen_time') {
+    return Math.round(amount);
+  }
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Work out the bonus for a quality rating from the family's rating table
+ * @param {Object} settings - Family settings (rating_bonus_percent maps rating -> percent)
+ * @param {number} rating - Quality rating (1-5)
+ * @param {number} reward - Reward the bonus is a percentage of
+ * @param {string} rewardType - 'money' or 'screen_time'
+ * @returns {number} - Bonus amount (0 when the rating earns none)
+ */
+function getRatingBonus(settings, rating, reward, rewardType) {
+  const percent = (settings.rating_bonus_percent || {})[rating];
+  if (!rating || !percent) {
+    return 0;
+  }
+  return roundReward(parseFloat(reward) * percent / 100, rewardType);
+}
+
+/**
+ * Apply the family's revision penalty to a reward
+ * @param {Object} settings - Family settings (revision_penalty: { after_rounds, reward_percent })
+ * @param {number} reward - Reward before the penalty
+ * @param {number} revisions - How many times revisions were requested
+ * @param {string} rewardType - 'money' or 'screen_time'
+ * @returns {number} - Reward to pay out
+ */
+function applyRevisionPenalty(settings, reward, revisions, rewardType) {
+  const penalty = settings.revision_penalty;
+  if (!penalty || revisions < penalty.after_rounds) {
+    return parseFloat(reward);
+  }
+  return roundReward(parseFloat(reward) * penalty.reward_percent / 100, rewardType);
+}
+
+/**
+ * Split a reward into the part paid for partial credit and the unfinished remainder
+ * @param {number} reward - Full reward
+ * @param {Object} credit - { percent } or { amount }
+ * @param {string} rewardType - 'money' or 'screen_time'
+ * @returns {Object} - { paid, remainder }
+ */
+function applyPartialCredit(reward, credit, rewardType) {
+  const full = parseFloat(reward);
+  const paid = credit.amount !== undefined
+    ? roundReward(Math.min(credit.amount, full), rewardType)
+    : roundReward(full * credit.percent / 100, rewardType);
+
+  return { paid, remainder: roundReward(full - paid, rewardType) };
+}
+
+/**
+ * Work out when the early bonus stops applying for a chore
+ * @param {Object} chore - Chore row
+ * @param {Object} bonus - early_bonus rule
+ * @param {string} timeZone - Family's IANA timezone
+ * @returns {Date} - Bonus deadline
+ */
+function getBonusDeadline(chore, bonus, timeZone = DEFAULT_TIMEZONE) {
+  const [hours, minutes] = bonus.before.split(':').map(Number);
+  const { year, month, day } = zonedParts(chore.due_date || chore.created_at || Date.now(), timeZone);
+  return zonedTime(year, month, day, hours, minutes, timeZone);
+}
+
+/**
+ * Compute a chore's reward at a given moment
+ * @param {Object} chore - Chore row (reward_amount, reward_type, due_date, created_at)
+ * @param {Object} policy - Parsed reward policy
+ * @param {Date} at - Moment to evaluate
+ * @param {string} timeZone - Family's IANA timezone
+ * @returns {number} - Reward amount
+ */
+function rewardAt(chore, policy, at, timeZone = DEFAULT_TIMEZONE) {
+  const base = parseFloat(chore.reward_amount);
+  let multiplier = 1;
+
+  if (policy && policy.early_bonus && at < getBonusDeadline(chore, policy.early_bonus, timeZone)) {
+    multiplier += policy.early_bonus.percent / 100;
+  }
+
+  if (policy && policy.decay && chore.due_date) {
+    const due = new Date(chore.due_date);
+    if (at > due) {
+      const intervalMs = policy.decay.interval_minutes * 60 * 1000;
+      const steps = Math.floor((at - due) / intervalMs);
+      const floor = (policy.decay.floor_percent || 0) / 100;
+      multiplier = Math.max(multiplier - steps * policy.decay.percent / 100, floor);
+    }
+  }
+
+  return roundReward(base * multiplier, chore.reward_type);
+}
+
+/**
+ * Compute the live reward for a chore and when it will next change
+ * @param {Object} chore - Chore row including reward_policy
+ * @param {Date} now - Current time (defaults to now)
+ * @param {string} timeZone - Family's IANA timezone
+ * @returns {Object} - { current_reward, next_reward, next_change_at }
+ */
+function computeReward(chore, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const policy = parseRewardPolicy(chore.reward_policy);
+  const current = rewardAt(chore, policy, now, timeZone);
+
+  if (!policy) {
+    return { current_reward: current, next_reward: null, next_change_at: null };
+  }
+
+  // Collect the moments at which the reward can step
+  const candidates = [];
+
+  if (policy.early_bonus) {
+    const deadline = getBonusDeadline(chore, policy.early_bonus, timeZone);
+    if (deadline > now) {
+      candidates.push(deadline);
+    }
+  }
+
+  if (policy.decay && chore.due_date) {
+    const due = new Date(chore.due_date);
+    const intervalMs = policy.decay.interval_minutes * 60 * 1000;
+    const steps = now > due ? Math.floor((now - due) / intervalMs) : 0;
+    candidates.push(new Date(due.getTime() + (steps + 1) * intervalMs));
+  }
+
+  candidates.sort((a, b) => a - b);
+
+  for (const candidate of candidates) {
+    const next = rewardAt(chore, policy, candidate, timeZone);
+    if (next !== current) {
+      return { current_reward: current, next_reward: next, next_change_at: candidate };
+    }
+  }
+
+  return { current_reward: current, next_reward: null, next_change_at: null };
+}
+
+/**
+ * Attach the live reward and its next step to a chore whose reward can still change
+ * @param {Object} chore - Chore row including reward_policy and status
+ * @param {string} timeZone - Family's IANA timezone
+ * @returns {Object} - The chore with current_reward, next_reward and next_reward_at
+ */
+function withLiveReward(chore, timeZone = DEFAULT_TIMEZONE) {
+  if (!chore.reward_policy || !ACTIVE_REWARD_STATUSES.includes(chore.status)) {
+    return { ...chore, next_reward: null, next_reward_at: null };
+  }
+
+  const { current_reward, next_reward, next_change_at } = computeReward(chore, new Date(), timeZone);
+  return { ...chore, current_reward, next_reward, next_reward_at: next_change_at };
+}
+
+module.exports = {
+  ACTIVE_REWARD_STATUSES,
+  parseRewardPolicy,
+  validateRewardPolicy,
+  computeReward,
+  withLiveReward,
+  getRatingBonus,
+  applyRevisionPenalty,
+  applyPartialCredit
+};
@@ -1,10 +1,24 @@
 const cron = require('node-cron');
 const backupManager = require('./backup');
 const db = require('../config/database');
+const { getFamilySettings } = require('./familySettings');
+const { ACTIVE_REWARD_STATUSES, computeReward } = require('./rewards');
+const { CLOSED_STATUSES, escalatePriority } = require('./dueDates');
+const { syncSharedChoreStatus } = require('./sharedChores');
+const { findDueRecurringChores, generationCutoff, generateDueSlots } = require('./recurringGeneration');
+const { getOpenPrerequisites } = require('./dependencies');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./timezones');
+const { TRASH_RETENTION_DAYS, cancelChore } = require('./choreActions');
+const { NOW, transitionChore, runTransitionEffects } = require('./choreLifecycle');
+const { notifyAssignmentExpired, notifyChoreAssigned, notifyChoreOverdue } = require('./notifications');
 
 // Configuration
 const BACKUP_SCHEDULE = process.env.BACKUP_SCHEDULE || '0 2 * * *'; // Default: 2 AM daily
-const RECURRING_CHORES_SCHEDULE = process.env.RECURRING_CHORES_SCHEDULE || '0 6 * * *'; // Default: 6 AM daily
+const RECURRING_CHORES_SCHEDULE = process.env.RECURRING_CHORES_SCHEDULE || '*/15 * * * *'; // Default: every 15 minutes, so each family generates at its local generation hour
+const ACCEPTANCE_EXPIRY_SCHEDULE = process.env.ACCEPTANCE_EXPIRY_SCHEDULE || '* * * * *'; // Default: every minute
+const REWARD_UPDATE_SCHEDULE = process.env.REWARD_UPDATE_SCHEDULE || '*/5 * * * *'; // Default: every 5 minutes
+const OVERDUE_CHECK_SCHEDULE = process.env.OVERDUE_CHECK_SCHEDULE || '*/5 * * * *'; // Default: every 5 minutes
+const TRASH_PURGE_SCHEDULE = process.env.TRASH_PURGE_SCHEDULE || '30 3 * * *'; // Default: 3:30 AM daily
 
 /**
  * Initialize scheduled tasks
@@ -45,24 +59,91 @@ function initScheduledTasks() {
   } else {
     console.error(`Invalid recurring chores schedule: ${RECURRING_CHORES_SCHEDULE}`);
   }
+  
+  // Schedule acceptance deadline enforcement
+  if (cron.validate(ACCEPTANCE_EXPIRY_SCHEDULE)) {
+    console.log(`Scheduling acceptance deadline checks: ${ACCEPTANCE_EXPIRY_SCHEDULE}`);
+    
+    cron.schedule(ACCEPTANCE_EXPIRY_SCHEDULE, async () => {
+      try {
+        const result = await processExpiredAssignments();
+        if (result.processed > 0) {
+          console.log(`Processed ${result.processed} expired chore assignments`);
+        }
+      } catch (error) {
+        console.error('Acceptance deadline check failed:', error);
+      }
+    });
+  } else {
+    console.error(`Invalid acceptance expiry schedule: ${ACCEPTANCE_EXPIRY_SCHEDULE}`);
+  }
+  
+  // Schedule reward policy recalculation
+  if (cron.validate(REWARD_UPDATE_SCHEDULE)) {
+    console.log(`Scheduling reward updates: ${REWARD_UPDATE_SCHEDULE}`);
+    
+    cron.schedule(REWARD_UPDATE_SCHEDULE, async () => {
+      try {
+        const result = await updateCurrentRewards();
+        if (result.updated > 0) {
+          console.log(`Updated current reward for ${result.updated} chores`);
+        }
+      } catch (error) {
+        console.error('Reward update failed:', error);
+      }
+    });
+  } else {
+    console.error(`Invalid reward update schedule: ${REWARD_UPDATE_SCHEDULE}`);
+  }
+  
+  // Schedule overdue chore handling
+  if (cron.validate(OVERDUE_CHECK_SCHEDULE)) {
+    console.log(`Scheduling overdue chore checks: ${OVERDUE_CHECK_SCHEDULE}`);
+    
+    cron.schedule(OVERDUE_CHECK_SCHEDULE, async () => {
+      try {
+        const result = await processOverdueChores();
+        if (result.processed > 0) {
+          console.log(`Applied overdue policy to ${result.processed} chores`);
+        }
+      } catch (error) {
+        console.error('Overdue chore check failed:', error);
+      }
+    });
+  } else {
+    console.error(`Invalid overdue check schedule: ${OVERDUE_CHECK_SCHEDULE}`);
+  }
+  
+  // Schedule purging of chores left in the trash
+  if (cron.validate(TRASH_PURGE_SCHEDULE)) {
+    console.log(`Scheduling trash purge: ${TRASH_PURGE_SCHEDULE}`);
+    
+    cron.schedule(TRASH_PURGE_SCHEDULE, async () => {
+      try {
+        const result = await purgeDeletedChores();
+        if (result.purged > 0) {
+          console.log(`Purged ${result.purged} chores from the trash`);
+        }
+      } catch (error) {
+        console.error('Trash purge failed:', error);
+      }
+    });
+  } else {
+    console.error(`Invalid trash purge schedule: ${TRASH_PURGE_SCHEDULE}`);
+  }
 }
 
 /**
- * Generate chores from recurring templates that are due
+ * Generate chores from recurring templates that are due, one per due slot.
+ * Each family's day is its own: from its generation hour, local time, the
+ * chores due by the end of its today are generated.
  */
 async function generateRecurringChores() {
   try {
-    // Get all active recurring chores that are due today or overdue
-    const today = new Date();
-    today.setHours(23, 59, 59, 999); // End of today
-    
-    const recurringChores = await db.query(
-      `SELECT * FROM recurring_chores 
-       WHERE is_active = 1 
-       AND next_due_date <= ? 
-       AND (end_date IS NULL OR end_date >= CURDATE())`,
-      [today]
-    );
+    const now = new Date();
+
+    // No family's today ends more than a day from now
+    const recurringChores = await findDueRecurringChores(new Date(now.getTime() + 24 * 60 * 60 * 1000));
 
     console.log(`Found ${recurringChores.length} recurring chores to process`);
     
@@ -70,168 +151,361 @@ async function generateRecurringChores() {
       return { generated: 0 };
     }
 
-    // Generate chores for each recurring chore
-    let generatedCount = 0;
-    
+    const settingsCache = new Map();
     for (const recurringChore of recurringChores) {
-      // Check if a chore has already been generated for this recurring chore and due date
-      const [existingHistory] = await db.query(
-        `SELECT * FROM recurring_chore_history 
-         WHERE recurring_id = ? 
-         AND DATE(due_date) = DATE(?)`,
-        [recurringChore.id, recurringChore.next_due_date]
-      );
+      if (!settingsCache.has(recurringChore.family_id)) {
+        settingsCache.set(recurringChore.family_id, await getFamilySettings(recurringChore.family_id));
+      }
+    }
+
+    // Generate chores for each due slot, each family up to the end of its day
+    const generated = await generateDueSlots(recurringChores, (recurringChore) => generationCutoff(
+      now,
+      recurringChore.timezone,
+      settingsCache.get(recurringChore.family_id).recurring_generation_hour
+    ));
+
+    generated.forEach(({ recurringChore, choreId }) => {
+      console.log(`Generated chore ${choreId} from recurring chore ${recurringChore.id}`);
+    });
+
+    return { generated: generated.length };
+  } catch (error) {
+    console.error('Error generating recurring chores:', error);
+    throw error;
+  }
+}
 
-      if (existingHistory) {
-        console.log(`Skipping recurring chore ${recurringChore.id}: already generated for ${recurringChore.next_due_date}`);
-        continue; // Skip if already generated for this date
+/**
+ * Pick the next rotation member for a chore whose assignment expired,
+ * skipping anyone who already let it expire or declined it
+ * @param {Object} chore - Chore row
+ * @param {number} expiredUserId - User whose assignment just expired
+ * @returns {Promise<number|null>} - Next user ID, or null if nobody is left
+ */
+async function findNextRotationMember(chore, expiredUserId) {
+  let metadata = chore.metadata || {};
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (e) {
+      metadata = {};
+    }
+  }
+
+  let members = metadata.rotation_members;
+
+  // Chores generated before their metadata carried the rotation take it from their recurring chore
+  if (members === undefined && metadata.recurring_id) {
+    const [recurringChore] = await db.query(
+      'SELECT rotation_members FROM recurring_chores WHERE id = ?',
+      [metadata.recurring_id]
+    );
+    members = recurringChore ? recurringChore.rotation_members : null;
+  }
+
+  if (typeof members === 'string') {
+    try {
+      members = JSON.parse(members);
+    } catch (e) {
+      members = null;
+    }
+  }
+
+  if (!Array.isArray(members) || members.length === 0) {
+    return null;
+  }
+
+  const passed = await db.query(
+    `SELECT DISTINCT user_id FROM chore_assignments 
+     WHERE chore_id = ? AND status IN ('expired', 'declined')`,
+    [chore.id]
+  );
+  const excluded = new Set(passed.map(row => row.user_id));
+  excluded.add(expiredUserId);
+
+  // Walk the rotation starting after the member who missed the deadline
+  const startIndex = members.map(Number).indexOf(Number(expiredUserId));
+  for (let offset = 1; offset <= members.length; offset++) {
+    const candidate = Number(members[(startIndex + offset) % members.length]);
+    if (!excluded.has(candidate)) {
+      const [user] = await db.query(
+        'SELECT id FROM users WHERE id = ? AND family_id = ? AND is_active = 1',
+        [candidate, chore.family_id]
+      );
+      if (user) {
+        return candidate;
       }
+    }
+  }
 
-      // Determine who to assign the chore to
-      let assignedTo = null;
-      
-      if (recurringChore.auto_assign) {
-        if (recurringChore.rotation_type === 'none' && recurringChore.assigned_to) {
-          // Fixed assignment
-          assignedTo = recurringChore.assigned_to;
-        } else if (recurringChore.rotation_type === 'round_robin' && recurringChore.rotation_members) {
-          // Round robin assignment
-          const members = JSON.parse(recurringChore.rotation_members);
-          
-          if (members && members.length > 0) {
-            // Get the last assigned member
-            const [lastHistory] = await db.query(
-              `SELECT * FROM recurring_chore_history 
-               WHERE recurring_id = ? 
-               ORDER BY due_date DESC LIMIT 1`,
-              [recurringChore.id]
-            );
-            
-            if (lastHistory && lastHistory.assigned_to) {
-              // Find the index of the last assigned member
-              const lastIndex = members.indexOf(lastHistory.assigned_to);
-              // Get the next member in the rotation
-              assignedTo = members[(lastIndex + 1) % members.length];
-            } else {
-              // Start with the first member
-              assignedTo = members[0];
-            }
-          }
-        } else if (recurringChore.rotation_type === 'random' && recurringChore.rotation_members) {
-          // Random assignment
-          const members = JSON.parse(recurringChore.rotation_members);
-          
-          if (members && members.length > 0) {
-            // Randomly select a member
-            const randomIndex = Math.floor(Math.random() * members.length);
-            assignedTo = members[randomIndex];
-          }
+  return null;
+}
+
+/**
+ * Enforce acceptance deadlines on pending chore assignments.
+ * Depending on the family's acceptance_expiry_policy the assignment is
+ * expired (chore back to available), reassigned to the next rotation
+ * member, or auto-accepted. A chore blocked by open prerequisites is never
+ * auto-accepted or handed on: its assignment waits until the chore is
+ * unblocked, or just expires under the reassign policy.
+ */
+async function processExpiredAssignments() {
+  const overdue = await db.query(
+    `SELECT ca.id as assignment_id, ca.user_id, ca.assigned_by, c.*
+     FROM chore_assignments ca
+     JOIN chores c ON ca.chore_id = c.id
+     WHERE ca.status = 'pending'
+     AND c.deleted_at IS NULL
+     AND ca.acceptance_deadline IS NOT NULL
+     AND ca.acceptance_deadline <= NOW()
+     AND (
+       (c.is_shared = 0 AND c.assigned_to = ca.user_id AND c.status IN ('assigned', 'pending_acceptance'))
+       OR (c.is_shared = 1 AND c.status IN ('pending_acceptance', 'in_progress'))
+     )`
+  );
+
+  let processed = 0;
+  const settingsCache = new Map();
+
+  for (const row of overdue) {
+    if (!settingsCache.has(row.family_id)) {
+      settingsCache.set(row.family_id, await getFamilySettings(row.family_id));
+    }
+    const policy = settingsCache.get(row.family_id).acceptance_expiry_policy;
+    const blocked = policy !== 'expire' && (await getOpenPrerequisites(row.id)).length > 0;
+
+    if (blocked && policy === 'auto_accept') {
+      continue;
+    }
+
+    // Shared chores are never handed to someone new; the participant just drops out
+    const nextUserId = policy === 'reassign' && !row.is_shared && !blocked
+      ? await findNextRotationMember(row, row.user_id)
+      : null;
+
+    const outcome = await db.transaction(async (connection) => {
+      if (policy === 'auto_accept') {
+        // Only act if the child hasn't responded in the meantime
+        const [assignmentResult] = await connection.execute(
+          'UPDATE chore_assignments SET status = ?, accepted_at = NOW() WHERE id = ? AND status = ?',
+          ['auto_accepted', row.assignment_id, 'pending']
+        );
+        if (assignmentResult.affectedRows === 0) {
+          return null;
+        }
+
+        if (row.is_shared) {
+          await syncSharedChoreStatus(connection, row.id, { reason: 'Acceptance deadline passed' });
+          return 'auto_accepted';
         }
+
+        await transitionChore(connection, row, 'auto_accepted', {
+          reason: 'Acceptance deadline passed',
+          changes: { accepted_at: NOW }
+        });
+        return 'auto_accepted';
       }
 
-      // Create the chore
-      const choreResult = await db.query(
-        `INSERT INTO chores (
-          family_id, template_id, title, description, reward_type, reward_amount,
-          current_reward, requires_photo, status, priority, due_date,
-          estimated_duration, difficulty_level, category, created_by, assigned_to,
-          assigned_at, metadata
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          recurringChore.family_id,
-          recurringChore.template_id,
-          recurringChore.title,
-          recurringChore.description,
-          recurringChore.reward_type,
-          recurringChore.reward_amount,
-          recurringChore.reward_amount, // Initial current_reward is the same as reward_amount
-          recurringChore.requires_photo,
-          assignedTo ? 'assigned' : 'available',
-          recurringChore.priority,
-          recurringChore.next_due_date,
-          recurringChore.estimated_duration,
-          recurringChore.difficulty_level,
-          recurringChore.category,
-          recurringChore.created_by, // Created by the original creator of the recurring chore
-          assignedTo,
-          assignedTo ? new Date() : null,
-          JSON.stringify({
-            recurring_id: recurringChore.id,
-            generated_at: new Date().toISOString(),
-            generated_by: 'system'
-          })
-        ]
+      const [assignmentResult] = await connection.execute(
+        'UPDATE chore_assignments SET status = ? WHERE id = ? AND status = ?',
+        ['expired', row.assignment_id, 'pending']
       );
+      if (assignmentResult.affectedRows === 0) {
+        return null;
+      }
+
+      if (row.is_shared) {
+        await syncSharedChoreStatus(connection, row.id, { reason: 'Acceptance deadline passed' });
+        return 'expired';
+      }
 
-      // Create assignment record if assigned
-      if (assignedTo) {
-        await db.query(
-          `INSERT INTO chore_assignments (
-            chore_id, user_id, assigned_by, assigned_at, status
-          ) VALUES (?, ?, ?, NOW(), ?)`,
-          [
-            choreResult.insertId,
-            assignedTo,
-            recurringChore.created_by,
-            'pending'
-          ]
+      if (nextUserId) {
+        const deadline = new Date();
+        deadline.setMinutes(deadline.getMinutes() + (row.acceptance_timer || 5));
+
+        await connection.execute(
+          `INSERT INTO chore_assignments 
+           (chore_id, user_id, assigned_by, status, acceptance_deadline, notes) 
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [row.id, nextUserId, row.assigned_by, 'pending', deadline, 'Reassigned after acceptance deadline expired']
         );
+
+        await transitionChore(connection, row, 'pending_acceptance', {
+          reason: 'Acceptance deadline passed; reassigned',
+          details: { assignee_ids: [nextUserId] },
+          changes: { assigned_to: nextUserId, assigned_at: NOW }
+        });
+        return 'reassigned';
       }
 
-      // Record in history
-      await db.query(
-        `INSERT INTO recurring_chore_history (
-          recurring_id, chore_id, due_date, status, assigned_to
-        ) VALUES (?, ?, ?, ?, ?)`,
-        [
-          recurringChore.id,
-          choreResult.insertId,
-          recurringChore.next_due_date,
-          'generated',
-          assignedTo
-        ]
+      await transitionChore(connection, row, 'available', {
+        reason: 'Acceptance deadline passed',
+        changes: { assigned_to: null, assigned_at: null }
+      });
+      return 'expired';
+    });
+
+    if (!outcome) {
+      continue; // Accepted or declined while we were looking
+    }
+
+    processed++;
+
+    await notifyAssignmentExpired({
+      choreId: row.id,
+      userId: row.user_id,
+      assignedBy: row.assigned_by,
+      outcome,
+      reassignedTo: outcome === 'reassigned' ? nextUserId : null
+    });
+
+    if (outcome === 'reassigned') {
+      await notifyChoreAssigned({
+        choreId: row.id,
+        userId: nextUserId,
+        assignedBy: row.assigned_by
+      });
+    }
+  }
+
+  return { processed };
+}
+
+/**
+ * Recompute current_reward for open chores that have a reward policy
+ */
+async function updateCurrentRewards() {
+  const placeholders = ACTIVE_REWARD_STATUSES.map(() => '?').join(', ');
+  const chores = await db.query(
+    `SELECT c.id, c.status, c.reward_type, c.reward_amount, c.current_reward, c.reward_policy, c.due_date,
+            c.created_at, f.timezone
+     FROM chores c
+     JOIN families f ON c.family_id = f.id
+     WHERE c.reward_policy IS NOT NULL
+     AND c.deleted_at IS NULL
+     AND c.status IN (${placeholders})`,
+    ACTIVE_REWARD_STATUSES
+  );
+
+  let updated = 0;
+
+  for (const chore of chores) {
+    const { current_reward } = computeReward(chore, new Date(), isValidTimezone(chore.timezone) ? chore.timezone : DEFAULT_TIMEZONE);
+
+    if (current_reward !== parseFloat(chore.current_reward)) {
+      // Skip chores that were submitted since we read them; their reward is locked in
+      const result = await db.query(
+        `UPDATE chores SET current_reward = ?, version = version + 1, updated_at = NOW() 
+         WHERE id = ? AND status IN (${placeholders})`,
+        [current_reward, chore.id, ...ACTIVE_REWARD_STATUSES]
       );
+      updated += result.affectedRows;
+    }
+  }
 
-      // Calculate the next due date for the recurring chore
-      let nextDueDate = new Date(recurringChore.next_due_date);
-      
-      switch (recurringChore.frequency) {
-        case 'daily':
-          nextDueDate.setDate(nextDueDate.getDate() + 1);
-          break;
-        case 'weekly':
-          nextDueDate.setDate(nextDueDate.getDate() + 7);
-          break;
-        case 'monthly':
-          nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-          break;
-        case 'custom':
-          // Custom schedules would need more complex logic
-          // For now, just set it to a week from now
-          nextDueDate.setDate(nextDueDate.getDate() + 7);
-          break;
-      }
+  return { updated };
+}
+
+/**
+ * Apply each family's overdue_policy to open chores that passed their due date.
+ * Every chore is handled once per due date (tracked in overdue_processed_at).
+ */
+async function processOverdueChores() {
+  const placeholders = CLOSED_STATUSES.map(() => '?').join(', ');
+  const overdue = await db.query(
+    `SELECT id, family_id, priority FROM chores
+     WHERE due_date IS NOT NULL
+     AND due_date <= NOW()
+     AND overdue_processed_at IS NULL
+     AND deleted_at IS NULL
+     AND status NOT IN (${placeholders})`,
+    CLOSED_STATUSES
+  );
+
+  let processed = 0;
+  const settingsCache = new Map();
+
+  for (const chore of overdue) {
+    if (!settingsCache.has(chore.family_id)) {
+      settingsCache.set(chore.family_id, await getFamilySettings(chore.family_id));
+    }
+    const action = settingsCache.get(chore.family_id).overdue_policy;
+
+    let result;
+    if (action === 'escalate_priority') {
+      result = await db.query(
+        `UPDATE chores SET priority = ?, overdue_processed_at = NOW(), version = version + 1, updated_at = NOW() 
+         WHERE id = ? AND overdue_processed_at IS NULL`,
+        [escalatePriority(chore.priority), chore.id]
+      );
+    } else if (action === 'cancel') {
+      const transition = await db.transaction(async (connection) => {
+        const [[current]] = await connection.execute(
+          `SELECT * FROM chores 
+           WHERE id = ? AND overdue_processed_at IS NULL AND deleted_at IS NULL AND status NOT IN (${placeholders})
+           FOR UPDATE`,
+          [chore.id, ...CLOSED_STATUSES]
+        );
+        if (!current) {
+          return null;
+        }
+
+        const cancelled = await cancelChore(connection, current, { cancelledBy: null, reason: 'Overdue' });
+        await connection.execute('UPDATE chores SET overdue_processed_at = NOW(), version = version + 1 WHERE id = ?', [current.id]);
 
-      // Update the recurring chore with the new next_due_date and last_generated
-      await db.query(
-        `UPDATE recurring_chores SET
-          next_due_date = ?,
-          last_generated = NOW()
-        WHERE id = ?`,
-        [nextDueDate, recurringChore.id]
+        // notifyChoreOverdue() below tells the assignee, so the transition notifies nobody itself
+        return { ...cancelled, notifyUserIds: [] };
+      });
+
+      if (transition) {
+        await runTransitionEffects([transition]);
+      }
+      result = { affectedRows: transition ? 1 : 0 };
+    } else {
+      // 'none' and 'notify_parents' only record that the deadline passed
+      result = await db.query(
+        `UPDATE chores SET overdue_processed_at = NOW(), version = version + 1 
+         WHERE id = ? AND overdue_processed_at IS NULL`,
+        [chore.id]
       );
+    }
 
-      generatedCount++;
-      console.log(`Generated chore ${choreResult.insertId} from recurring chore ${recurringChore.id}`);
+    if (result.affectedRows === 0) {
+      continue;
     }
 
-    return { generated: generatedCount };
-  } catch (error) {
-    console.error('Error generating recurring chores:', error);
-    throw error;
+    processed++;
+
+    if (action === 'notify_parents' || action === 'cancel') {
+      await notifyChoreOverdue({ choreId: chore.id, action });
+    }
   }
+
+  return { processed };
+}
+
+/**
+ * Permanently delete chores that have been in the trash longer than the retention period.
+ * Chores that ever paid out (even if the approval was reversed) stay in the trash so
+ * their completed_tasks ledger rows survive; status history is kept either way
+ */
+async function purgeDeletedChores() {
+  const result = await db.query(
+    `DELETE FROM chores
+     WHERE deleted_at IS NOT NULL
+     AND deleted_at <= DATE_SUB(NOW(), INTERVAL ? DAY)
+     AND NOT EXISTS (SELECT 1 FROM completed_tasks ct WHERE ct.chore_id = chores.id)`,
+    [TRASH_RETENTION_DAYS]
+  );
+
+  return { purged: result.affectedRows };
 }
 
 module.exports = {
-  initScheduledTasks
+  initScheduledTasks,
+  processExpiredAssignments,
+  updateCurrentRewards,
+  processOverdueChores,
+  purgeDeletedChores
 };
@@ -0,0 +1,173 @@
+const db = require('../config/database');
+const { sql, transitionChore } = require('./choreLifecycle');
+
+// Shared chores have several assignees, each with their own chore_assignments row.
+// chores.assigned_to points at the lead participant so single-assignee queries keep working.
+
+// Assignment statuses that still count as taking part in the chore
+const ACTIVE_ASSIGNMENT_STATUSES = ['pending', 'accepted', 'auto_accepted'];
+
+const SPLIT_RULES = ['equal', 'percentage', 'time'];
+const SUBMISSION_MODES = ['individual', 'joint'];
+
+/**
+ * Get the current participants of a chore with their latest submission
+ * @param {number} choreId - Chore ID
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Array>} - Participants ordered by assignment
+ */
+async function getParticipants(choreId, connection = null) {
+  const sql = `SELECT ca.id as assignment_id, ca.user_id, ca.status as assignment_status, ca.share_percent,
+            ca.accepted_at, u.name as user_name,
+            cs.id as submission_id, cs.status as submission_status, cs.submitted_at,
+            cs.time_taken, cs.photo_path, cs.notes
+     FROM chore_assignments ca
+     JOIN users u ON ca.user_id = u.id
+     LEFT JOIN chore_submissions cs ON cs.id = (
+       SELECT MAX(id) FROM chore_submissions WHERE assignment_id = ca.id
+     )
+     WHERE ca.chore_id = ? AND ca.status IN ('pending', 'accepted', 'auto_accepted')
+     ORDER BY ca.id ASC`;
+
+  if (connection) {
+    const [rows] = await connection.execute(sql, [choreId]);
+    return rows;
+  }
+
+  return await db.query(sql, [choreId]);
+}
+
+/**
+ * Recompute a shared chore's status from its participants' assignments.
+ * Only meant for chores that have not been submitted yet.
+ * @param {Object} connection - Transaction connection
+ * @param {number} choreId - Chore ID
+ * @param {Object} options - { actorId, reason } for the status history
+ * @returns {Promise<string>} - New chore status
+ */
+async function syncSharedChoreStatus(connection, choreId, options = {}) {
+  const [[chore]] = await connection.execute(
+    'SELECT id, family_id, status FROM chores WHERE id = ? FOR UPDATE',
+    [choreId]
+  );
+  const participants = await getParticipants(choreId, connection);
+  const accepted = participants.filter(p => p.assignment_status !== 'pending');
+
+  if (participants.length === 0) {
+    await transitionChore(connection, chore, 'available', {
+      ...options,
+      changes: { assigned_to: null, assigned_at: null }
+    });
+    return 'available';
+  }
+
+  if (accepted.length > 0) {
+    await transitionChore(connection, chore, 'in_progress', {
+      ...options,
+      changes: { assigned_to: accepted[0].user_id, accepted_at: sql('COALESCE(accepted_at, NOW())') }
+    });
+    return 'in_progress';
+  }
+
+  await transitionChore(connection, chore, 'pending_acceptance', {
+    ...options,
+    changes: { assigned_to: participants[0].user_id }
+  });
+  return 'pending_acceptance';
+}
+
+/**
+ * Round a reward amount to the precision of its type
+ * @param {number} amount - Amount
+ * @param {string} rewardType - 'money' or 'screen_time'
+ * @returns {number} - Rounded amount
+ */
+function roundAmount(amount, rewardType) {
+  return rewardType === 'screen_time' ? Math.round(amount) : Math.round(amount * 100) / 100;
+}
+
+/**
+ * Split a reward between participants
+ * @param {number} total - Reward to split
+ * @param {Array} participants - Participants (share_percent / time_taken used by the rules)
+ * @param {string} rule - 'equal', 'percentage' or 'time'
+ * @param {string} rewardType - 'money' or 'screen_time'
+ * @returns {Array<number>} - Amount per participant, in the same order, summing to total
+ */
+function splitReward(total, participants, rule, rewardType) {
+  if (participants.length === 0) {
+    return [];
+  }
+
+  let weights = participants.map(() => 1);
+
+  if (rule === 'percentage') {
+    const percents = participants.map(p => parseFloat(p.share_percent) || 0);
+    if (percents.some(p => p > 0)) {
+      weights = percents;
+    }
+  } else if (rule === 'time') {
+    const times = participants.map(p => parseInt(p.time_taken) || 0);
+    // Fall back to an equal split unless everyone recorded their time
+    if (times.every(t => t > 0)) {
+      weights = times;
+    }
+  }
+
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const amounts = weights.map(w => roundAmount(total * w / totalWeight, rewardType));
+
+  // Give any rounding remainder to the largest share so the parts add up exactly
+  const remainder = roundAmount(total - amounts.reduce((sum, a) => sum + a, 0), rewardType);
+  if (remainder !== 0) {
+    const largest = weights.indexOf(Math.max(...weights));
+    amounts[largest] = roundAmount(amounts[largest] + remainder, rewardType);
+  }
+
+  return amounts;
+}
+
+/**
+ * Validate the assignee list and split settings for a shared assignment
+ * @param {Object} body - Request body ({ userIds, split_rule, submission_mode, shares })
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateSharedAssignment(body) {
+  const { userIds, split_rule, submission_mode, shares } = body;
+  const errors = [];
+
+  if (!Array.isArray(userIds) || userIds.length < 2) {
+    errors.push('Shared chores need at least two user IDs');
+  } else if (new Set(userIds.map(Number)).size !== userIds.length) {
+    errors.push('User IDs must be unique');
+  }
+
+  if (split_rule !== undefined && !SPLIT_RULES.includes(split_rule)) {
+    errors.push(`split_rule must be one of: ${SPLIT_RULES.join(', ')}`);
+  }
+
+  if (submission_mode !== undefined && !SUBMISSION_MODES.includes(submission_mode)) {
+    errors.push(`submission_mode must be one of: ${SUBMISSION_MODES.join(', ')}`);
+  }
+
+  if (split_rule === 'percentage') {
+    const values = Array.isArray(userIds) ? userIds.map(id => Number((shares || {})[id])) : [];
+    if (values.some(v => isNaN(v) || v < 0)) {
+      errors.push('shares must give a percentage for every user');
+    } else if (Math.abs(values.reduce((sum, v) => sum + v, 0) - 100) > 0.01) {
+      errors.push('shares must add up to 100');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ACTIVE_ASSIGNMENT_STATUSES,
+  SPLIT_RULES,
+  SUBMISSION_MODES,
+  getParticipants,
+  syncSharedChoreStatus,
+  splitReward,
+  validateSharedAssignment
+};
@@ -0,0 +1,194 @@
+const db = require('../config/database');
+const { parseRewardPolicy, validateRewardPolicy } = require('./rewards');
+const { validateChecklist, replaceChecklist } = require('./checklists');
+
+// Chore templates hold the fields parents would otherwise retype for the same
+// chore every time. A chore or recurring chore made from a template starts from
+// its fields (plus its reward policy and checklist) and may override any of them;
+// template_id records where it came from.
+
+// Fields a template supplies; chores and recurring chores store all of them too
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'reward_type',
+  'reward_amount',
+  'requires_photo',
+  'required_place_id',
+  'estimated_duration',
+  'difficulty_level',
+  'category'
+];
+
+const REWARD_TYPES = ['money', 'screen_time'];
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+/**
+ * Validate template fields, reward policy and checklist from a request body
+ * @param {Object} body - Template fields
+ * @param {boolean} partial - True for updates, where every field is optional
+ * @returns {Array<string>} - Validation error messages (empty if valid)
+ */
+function validateTemplate(body, partial = false) {
+  const { title, reward_type, reward_amount, estimated_duration, difficulty_level, category } = body;
+  const errors = [];
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || title.trim() === '' || title.length > 255) {
+      errors.push('Title is required (up to 255 characters)');
+    }
+  }
+
+  if (reward_amount !== undefined || !partial) {
+    const value = Number(reward_amount);
+    if (reward_amount === null || reward_amount === '' || isNaN(value) || value < 0) {
+      errors.push('Reward amount must be a number of at least 0');
+    }
+  }
+
+  if (reward_type !== undefined && !REWARD_TYPES.includes(reward_type)) {
+    errors.push(`Reward type must be one of: ${REWARD_TYPES.join(', ')}`);
+  }
+
+  if (difficulty_level !== undefined && !DIFFICULTY_LEVELS.includes(difficulty_level)) {
+    errors.push(`Difficulty level must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+
+  if (estimated_duration !== undefined && estimated_duration !== null) {
+    if (!Number.isInteger(Number(estimated_duration)) || Number(estimated_duration) < 1) {
+      errors.push('Estimated duration must be a positive whole number of minutes');
+    }
+  }
+
+  if (category !== undefined && category !== null && (typeof category !== 'string' || category.length > 100)) {
+    errors.push('Category must be text of up to 100 characters');
+  }
+
+  return [...errors, ...validateRewardPolicy(body.reward_policy), ...validateChecklist(body.checklist)];
+}
+
+/**
+ * Get a family's template
+ * @param {number} templateId - Template ID
+ * @param {number} familyId - Family ID
+ * @param {Object} options - { activeOnly } to ignore deleted templates
+ * @returns {Promise<Object|undefined>} - Template
+ */
+async function getTemplate(templateId, familyId, options = {}) {
+  const [template] = await db.query(
+    `SELECT t.*, u.name as created_by_name
+     FROM chore_templates t
+     JOIN users u ON t.created_by = u.id
+     WHERE t.id = ? AND t.family_id = ?${options.activeOnly ? ' AND t.is_active = 1' : ''}`,
+    [templateId, familyId]
+  );
+
+  if (template) {
+    template.reward_policy = parseRewardPolicy(template.reward_policy);
+  }
+
+  return template;
+}
+
+/**
+ * Insert a validated template with its checklist
+ * @param {Object} connection - Transaction connection
+ * @param {Object} body - Template fields and checklist
+ * @param {Object} context - { familyId, userId }
+ * @returns {Promise<number>} - New template ID
+ */
+async function insertTemplate(connection, body, context) {
+  const {
+    title,
+    description,
+    reward_type,
+    reward_amount,
+    reward_policy,
+    requires_photo,
+    required_place_id,
+    estimated_duration,
+    difficulty_level,
+    category,
+    checklist
+  } = body;
+
+  const [result] = await connection.execute(
+    `INSERT INTO chore_templates (
+      family_id, title, description, reward_type, reward_amount, reward_policy,
+      requires_photo, required_place_id, estimated_duration, difficulty_level, category, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      context.familyId,
+      title.trim(),
+      description || null,
+      reward_type || 'money',
+      reward_amount,
+      reward_policy ? JSON.stringify(reward_policy) : null,
+      requires_photo ? 1 : 0,
+      required_place_id || null,
+      estimated_duration || null,
+      difficulty_level || 'medium',
+      category || null,
+      context.userId
+    ]
+  );
+
+  if (checklist) {
+    await replaceChecklist(connection, { templateId: result.insertId }, checklist);
+  }
+
+  return result.insertId;
+}
+
+/**
+ * Fill in the fields a request body leaves out from a template
+ * @param {Object} template - Template row
+ * @param {Object} overrides - Request body; any field given here wins
+ * @returns {Object} - Body with the template's fields, reward policy and template_id
+ */
+function applyTemplate(template, overrides = {}) {
+  const body = { ...overrides, template_id: template.id };
+
+  for (const field of [...TEMPLATE_FIELDS, 'reward_policy']) {
+    if (overrides[field] === undefined) {
+      body[field] = template[field];
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Push edited template fields to the recurring chores made from the template.
+ * Only the fields that were edited are copied, so a definition's own overrides
+ * of other fields survive.
+ * @param {Object} connection - Transaction connection
+ * @param {Object} template - Template row after the edit
+ * @param {Array<string>} fields - Names of the fields that were edited
+ * @returns {Promise<number>} - Number of recurring chores updated
+ */
+async function propagateTemplate(connection, template, fields) {
+  const columns = TEMPLATE_FIELDS.filter(field => fields.includes(field));
+
+  if (columns.length === 0) {
+    return 0;
+  }
+
+  const [result] = await connection.execute(
+    `UPDATE recurring_chores
+     SET ${columns.map(column => `${column} = ?`).join(', ')}, version = version + 1, updated_at = NOW()
+     WHERE template_id = ? AND family_id = ?`,
+    [...columns.map(column => template[column]), template.id, template.family_id]
+  );
+
+  return result.affectedRows;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  validateTemplate,
+  getTemplate,
+  insertTemplate,
+  applyTemplate,
+  propagateTemplate
+};
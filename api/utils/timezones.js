@@ -0,0 +1,147 @@
+const db = require('../config/database');
+
+// Wall-clock time in a family's IANA timezone (families.timezone). Instants are
+// stored and compared in UTC; these helpers turn them into the family's local
+// date and time and back, so schedules keep their local due times across DST.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+// Formatter giving the numeric parts of an instant in a timezone
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check that a timezone is a known IANA name such as Europe/London
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} - Whether it can be used
+ */
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Local date and time of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+function zonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// How far a timezone is ahead of UTC at an instant, in milliseconds
+const offsetAt = (time, timeZone) => {
+  const whole = Math.floor(time / 1000) * 1000;
+  const { year, month, day, hour, minute, second } = zonedParts(whole, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - whole;
+};
+
+/**
+ * The instant a local date and time happens in a timezone. A time skipped by a
+ * DST change moves forward by the size of the gap (02:30 becomes 03:30); a
+ * time that happens twice is the first of the two.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Instant
+ */
+function zonedTime(year, month, day, hour, minute, timeZone = DEFAULT_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offsets either side of any DST change near this time
+  const before = offsetAt(wallClock - 12 * HOUR_MS, timeZone);
+  const after = offsetAt(wallClock + 12 * HOUR_MS, timeZone);
+  const matches = [wallClock - before, wallClock - after]
+    .filter(time => offsetAt(time, timeZone) === wallClock - time);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - before);
+}
+
+/**
+ * Local calendar date of an instant
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+function zonedDateString(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Last moment of the local day an instant falls on
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @param {number} dayOffset - Days after (or before, if negative) that day
+ * @returns {Date} - One millisecond before the next local midnight
+ */
+function endOfZonedDay(date, timeZone = DEFAULT_TIMEZONE, dayOffset = 0) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const next = new Date(Date.UTC(year, month - 1, day + dayOffset + 1));
+  return new Date(zonedTime(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone).getTime() - 1);
+}
+
+/**
+ * Get a family's timezone
+ * @param {number} familyId - Family ID
+ * @returns {Promise<string>} - IANA timezone, UTC when unset or unknown
+ */
+async function getFamilyTimezone(familyId) {
+  const [family] = await db.query(
+    'SELECT timezone FROM families WHERE id = ?',
+    [familyId]
+  );
+
+  return family && isValidTimezone(family.timezone) ? family.timezone : DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedParts,
+  zonedTime,
+  zonedDateString,
+  endOfZonedDay,
+  getFamilyTimezone
+};
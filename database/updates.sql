@@ -176,3 +176,283 @@ CREATE INDEX idx_recurring_family_active_next ON recurring_chores(family_id, is_
 CREATE INDEX idx_recurring_history_recurring_status ON recurring_chore_history(recurring_id, status);
 CREATE INDEX idx_uploads_family_type ON uploads(family_id, upload_type);
 CREATE INDEX idx_system_backups_type_status ON system_backups(backup_type, status);
+
+-- Reward policies (time decay / early bonus) for chores and templates
+ALTER TABLE `chores`
+ADD COLUMN `reward_policy` json DEFAULT NULL AFTER `current_reward`;
+
+ALTER TABLE `chore_templates`
+ADD COLUMN `reward_policy` json DEFAULT NULL AFTER `reward_amount`;
+
+-- Track when a chore's overdue policy was applied
+ALTER TABLE `chores`
+ADD COLUMN `overdue_processed_at` timestamp NULL DEFAULT NULL AFTER `due_date`;
+
+-- Whether children may claim an available chore themselves
+ALTER TABLE `chores`
+ADD COLUMN `is_claimable` tinyint(1) NOT NULL DEFAULT 1 AFTER `acceptance_timer`;
+
+-- Shared chores: several assignees and a reward split rule
+ALTER TABLE `chores`
+ADD COLUMN `is_shared` tinyint(1) NOT NULL DEFAULT 0 AFTER `assigned_to`,
+ADD COLUMN `split_rule` enum('equal','percentage','time') NOT NULL DEFAULT 'equal' AFTER `is_shared`,
+ADD COLUMN `submission_mode` enum('individual','joint') NOT NULL DEFAULT 'individual' AFTER `split_rule`;
+
+ALTER TABLE `chore_assignments`
+ADD COLUMN `share_percent` decimal(5,2) DEFAULT NULL AFTER `acceptance_deadline`;
+
+CREATE INDEX idx_assignments_chore_status ON chore_assignments(chore_id, status);
+
+-- Ordered checklists for chores and templates
+CREATE TABLE IF NOT EXISTS `chore_checklist_items` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `chore_id` int(11) DEFAULT NULL,
+  `template_id` int(11) DEFAULT NULL,
+  `position` int(11) NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `is_required` tinyint(1) NOT NULL DEFAULT 1,
+  `completed_at` timestamp NULL DEFAULT NULL,
+  `completed_by` int(11) DEFAULT NULL,
+  `photo_path` varchar(500) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_chore_position` (`chore_id`, `position`),
+  KEY `idx_template_position` (`template_id`, `position`),
+  KEY `completed_by` (`completed_by`),
+  CONSTRAINT `chore_checklist_items_ibfk_1` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_checklist_items_ibfk_2` FOREIGN KEY (`template_id`) REFERENCES `chore_templates` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_checklist_items_ibfk_3` FOREIGN KEY (`completed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Revision rounds: which round a submission belongs to and what the parent asked to fix
+ALTER TABLE `chore_submissions`
+ADD COLUMN `revision_round` int(11) NOT NULL DEFAULT 1 AFTER `status`,
+ADD COLUMN `revision_request` json DEFAULT NULL AFTER `review_notes`;
+
+-- Partial-credit approvals
+ALTER TABLE `completed_tasks`
+ADD COLUMN `credit_percent` decimal(5,2) DEFAULT NULL AFTER `bonus_earned`,
+ADD COLUMN `partial_reason` text AFTER `credit_percent`;
+
+-- "Blocked by" dependencies between chores and between recurring chores
+CREATE TABLE IF NOT EXISTS `chore_dependencies` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `chore_id` int(11) DEFAULT NULL,
+  `depends_on_chore_id` int(11) DEFAULT NULL,
+  `recurring_id` int(11) DEFAULT NULL,
+  `depends_on_recurring_id` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `chore_dependency` (`chore_id`, `depends_on_chore_id`),
+  UNIQUE KEY `recurring_dependency` (`recurring_id`, `depends_on_recurring_id`),
+  KEY `depends_on_chore_id` (`depends_on_chore_id`),
+  KEY `depends_on_recurring_id` (`depends_on_recurring_id`),
+  CONSTRAINT `chore_dependencies_ibfk_1` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_dependencies_ibfk_2` FOREIGN KEY (`depends_on_chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_dependencies_ibfk_3` FOREIGN KEY (`recurring_id`) REFERENCES `recurring_chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_dependencies_ibfk_4` FOREIGN KEY (`depends_on_recurring_id`) REFERENCES `recurring_chores` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Comment threads on chores
+CREATE TABLE IF NOT EXISTS `chore_comments` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `chore_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `body` text NOT NULL,
+  `upload_id` int(11) DEFAULT NULL,
+  `mentions` json DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_chore_comment` (`chore_id`, `id`),
+  KEY `user_id` (`user_id`),
+  KEY `upload_id` (`upload_id`),
+  CONSTRAINT `chore_comments_ibfk_1` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_comments_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_comments_ibfk_3` FOREIGN KEY (`upload_id`) REFERENCES `uploads` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- How far each user has read a chore's comment thread
+CREATE TABLE IF NOT EXISTS `chore_comment_reads` (
+  `chore_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `last_read_comment_id` int(11) NOT NULL DEFAULT 0,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`chore_id`, `user_id`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `chore_comment_reads_ibfk_1` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_comment_reads_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Cancelling keeps the chore and records why; deleting moves it to a trash bin
+-- that the scheduler purges after 30 days
+ALTER TABLE `chores`
+ADD COLUMN `cancelled_at` timestamp NULL DEFAULT NULL AFTER `completed_at`,
+ADD COLUMN `cancelled_by` int(11) DEFAULT NULL AFTER `cancelled_at`,
+ADD COLUMN `cancel_reason` varchar(500) DEFAULT NULL AFTER `cancelled_by`,
+ADD COLUMN `deleted_at` timestamp NULL DEFAULT NULL AFTER `cancel_reason`,
+ADD COLUMN `deleted_by` int(11) DEFAULT NULL AFTER `deleted_at`;
+
+CREATE INDEX idx_chores_family_deleted ON chores(family_id, deleted_at);
+
+-- Swap and hand-off offers between siblings
+CREATE TABLE IF NOT EXISTS `chore_swaps` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `family_id` int(11) NOT NULL,
+  `chore_id` int(11) NOT NULL,
+  `from_user_id` int(11) NOT NULL,
+  `to_user_id` int(11) NOT NULL,
+  `return_chore_id` int(11) DEFAULT NULL,
+  `reward_percent` decimal(5,2) DEFAULT NULL,
+  `message` varchar(500) DEFAULT NULL,
+  `status` enum('pending','awaiting_approval','completed','declined','rejected','cancelled') NOT NULL DEFAULT 'pending',
+  `responded_at` timestamp NULL DEFAULT NULL,
+  `reviewed_by` int(11) DEFAULT NULL,
+  `reviewed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_family_status` (`family_id`, `status`),
+  KEY `idx_chore_status` (`chore_id`, `status`),
+  KEY `from_user_id` (`from_user_id`),
+  KEY `to_user_id` (`to_user_id`),
+  KEY `return_chore_id` (`return_chore_id`),
+  CONSTRAINT `chore_swaps_ibfk_1` FOREIGN KEY (`family_id`) REFERENCES `families` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_swaps_ibfk_2` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_swaps_ibfk_3` FOREIGN KEY (`from_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_swaps_ibfk_4` FOREIGN KEY (`to_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_swaps_ibfk_5` FOREIGN KEY (`return_chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Assignments handed over in a swap are closed as 'transferred'
+ALTER TABLE `chore_assignments`
+MODIFY COLUMN `status` enum('pending','accepted','declined','auto_accepted','expired','transferred') NOT NULL DEFAULT 'pending';
+
+-- Share of a traded chore's reward paid to the sibling who handed it off
+ALTER TABLE `chores`
+ADD COLUMN `handoff_user_id` int(11) DEFAULT NULL AFTER `assigned_to`,
+ADD COLUMN `handoff_percent` decimal(5,2) DEFAULT NULL AFTER `handoff_user_id`;
+
+-- Server-side work timers; the active time is copied into the submission
+CREATE TABLE IF NOT EXISTS `chore_timers` (
+  `chore_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `status` enum('running','paused','stopped') NOT NULL DEFAULT 'running',
+  `started_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `running_since` timestamp NULL DEFAULT NULL,
+  `active_seconds` int(11) NOT NULL DEFAULT 0,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`chore_id`, `user_id`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `chore_timers_ibfk_1` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_timers_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Submissions whose time is implausibly short next to the estimate
+ALTER TABLE `chore_submissions`
+ADD COLUMN `time_flagged` tinyint(1) NOT NULL DEFAULT 0 AFTER `time_taken`;
+
+-- Named places (home, grandma's, the garden) chores can require submissions from
+CREATE TABLE IF NOT EXISTS `family_places` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `family_id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `latitude` decimal(10,7) NOT NULL,
+  `longitude` decimal(10,7) NOT NULL,
+  `radius_meters` int(11) NOT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `family_place_name` (`family_id`, `name`),
+  CONSTRAINT `family_places_ibfk_1` FOREIGN KEY (`family_id`) REFERENCES `families` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `family_places_ibfk_2` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `chores`
+ADD COLUMN `required_place_id` int(11) DEFAULT NULL AFTER `requires_photo`,
+ADD CONSTRAINT `chores_required_place_fk` FOREIGN KEY (`required_place_id`) REFERENCES `family_places` (`id`) ON DELETE SET NULL;
+
+-- Submissions made outside the chore's required place (or without a location)
+ALTER TABLE `chore_submissions`
+ADD COLUMN `location_flagged` tinyint(1) NOT NULL DEFAULT 0 AFTER `location_data`;
+
+-- Append-only log of every chore status change (from_status is NULL when the chore was created).
+-- chore_id has no foreign key so the history outlives chores purged from the trash
+CREATE TABLE IF NOT EXISTS `chore_status_history` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `chore_id` int(11) NOT NULL,
+  `family_id` int(11) NOT NULL,
+  `from_status` varchar(30) DEFAULT NULL,
+  `to_status` varchar(30) NOT NULL,
+  `changed_by` int(11) DEFAULT NULL,
+  `reason` text DEFAULT NULL,
+  `details` json DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `chore_status_history_chore` (`chore_id`, `created_at`),
+  KEY `family_id` (`family_id`),
+  CONSTRAINT `chore_status_history_ibfk_2` FOREIGN KEY (`family_id`) REFERENCES `families` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chore_status_history_ibfk_3` FOREIGN KEY (`changed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Row versions for optimistic concurrency (sent as ETag, checked against If-Match)
+ALTER TABLE `chores`
+ADD COLUMN `version` int(11) NOT NULL DEFAULT 1 AFTER `status`;
+
+ALTER TABLE `recurring_chores`
+ADD COLUMN `version` int(11) NOT NULL DEFAULT 1 AFTER `is_active`;
+
+-- Reversed approvals: the completed_tasks row is kept and marked, the payout undone by a reward_adjustments entry
+ALTER TABLE `completed_tasks`
+ADD COLUMN `reversed_at` timestamp NULL DEFAULT NULL AFTER `approved_at`,
+ADD COLUMN `reversed_by` int(11) DEFAULT NULL AFTER `reversed_at`,
+ADD COLUMN `reversal_reason` text DEFAULT NULL AFTER `reversed_by`,
+ADD CONSTRAINT `completed_tasks_reversed_by_fk` FOREIGN KEY (`reversed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS `reward_adjustments` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `chore_id` int(11) DEFAULT NULL,
+  `completed_task_id` int(11) DEFAULT NULL,
+  `reward_type` enum('money','screen_time') NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `reason` text DEFAULT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `user_id` (`user_id`, `created_at`),
+  CONSTRAINT `reward_adjustments_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `reward_adjustments_ibfk_2` FOREIGN KEY (`chore_id`) REFERENCES `chores` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `reward_adjustments_ibfk_3` FOREIGN KEY (`completed_task_id`) REFERENCES `completed_tasks` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `reward_adjustments_ibfk_4` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Recurring chores: several weekdays and due times a day, with history per slot
+ALTER TABLE `recurring_chores`
+  MODIFY COLUMN `day_of_week` varchar(100) DEFAULT NULL,
+  ADD COLUMN `due_times` json DEFAULT NULL AFTER `custom_schedule`;
+
+ALTER TABLE `recurring_chore_history`
+  ADD COLUMN `slot_time` time DEFAULT NULL AFTER `due_date`;
+
+-- The old generator could record a slot twice; keep the first row of each slot
+-- (the chores themselves stay) so the key below can be added
+DELETE h FROM `recurring_chore_history` h
+JOIN `recurring_chore_history` earlier
+  ON earlier.recurring_id = h.recurring_id
+  AND earlier.due_date = h.due_date
+  AND earlier.id < h.id;
+
+ALTER TABLE `recurring_chore_history`
+  ADD UNIQUE KEY `idx_recurring_history_slot` (`recurring_id`, `due_date`);
+
+-- Recurring chores and templates can require a place too; generated chores copy it
+ALTER TABLE `recurring_chores`
+ADD COLUMN `required_place_id` int(11) DEFAULT NULL AFTER `requires_photo`,
+ADD CONSTRAINT `recurring_chores_required_place_fk` FOREIGN KEY (`required_place_id`) REFERENCES `family_places` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `chore_templates`
+ADD COLUMN `required_place_id` int(11) DEFAULT NULL AFTER `requires_photo`,
+ADD CONSTRAINT `chore_templates_required_place_fk` FOREIGN KEY (`required_place_id`) REFERENCES `family_places` (`id`) ON DELETE SET NULL;